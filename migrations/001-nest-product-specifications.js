@@ -0,0 +1,10 @@
+const { nestSpecifications } = require("../utils/productSchema");
+
+// Produsele iniţiale au pages/publisher/year/language/format la nivel superior,
+// iar cele create prin admin le au în specifications, cu pages şi year salvate ca text
+module.exports = {
+   id: "001-nest-product-specifications",
+   description: "Mută specificaţiile produselor în specifications şi converteşte pages/year în numere",
+   collection: "products",
+   migrate: nestSpecifications,
+};
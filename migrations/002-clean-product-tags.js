@@ -0,0 +1,9 @@
+const { cleanTags } = require("../utils/productSchema");
+
+// Listele de etichete conţin valori rătăcite (ex. 1) şi duplicate
+module.exports = {
+   id: "002-clean-product-tags",
+   description: "Elimină etichetele care nu sunt text şi duplicatele",
+   collection: "products",
+   migrate: cleanTags,
+};
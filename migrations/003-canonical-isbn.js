@@ -0,0 +1,10 @@
+const { canonicalIsbn } = require("../utils/productSchema");
+
+// ISBN-urile introduse liber (ISBN-10, fără cratime, cu spaţii) devin ISBN-13 canonic;
+// cele cu cifra de control greşită rămân neschimbate şi trebuie corectate din administrare
+module.exports = {
+   id: "003-canonical-isbn",
+   description: "Converteşte ISBN-urile valide în forma canonică ISBN-13",
+   collection: "products",
+   migrate: canonicalIsbn,
+};
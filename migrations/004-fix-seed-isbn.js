@@ -0,0 +1,16 @@
+// Datele iniţiale (data/books.json) conţineau pentru produsul 6 un ISBN cu cifra de control greşită,
+// corectat ulterior în fişier; bazele de date create înainte îl păstrează, iar validarea ISBN îl respinge
+const SEED_ISBN_FIXES = {
+   // MongoDB Applied Design Patterns
+   "9781449340047": "978-1449340049",
+};
+
+module.exports = {
+   id: "004-fix-seed-isbn",
+   description: "Corectează ISBN-ul greşit din datele iniţiale (MongoDB Applied Design Patterns)",
+   collection: "products",
+   migrate: (product) => {
+      const fixed = typeof product.isbn === "string" && SEED_ISBN_FIXES[product.isbn.replace(/[\s-]/g, "")];
+      return fixed ? { ...product, isbn: fixed } : product;
+   },
+};
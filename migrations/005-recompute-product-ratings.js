@@ -0,0 +1,18 @@
+const { productRating } = require("../utils/reviews");
+
+// Rating-urile din datele iniţiale au fost introduse manual; de la introducerea recenziilor
+// ele se calculează din recenziile aprobate (un produs fără recenzii nu are rating)
+module.exports = {
+   id: "005-recompute-product-ratings",
+   description: "Recalculează rating-ul şi numărul de recenzii din recenziile aprobate",
+   collection: "products",
+   load: (repository) => repository.collection("reviews").find({ status: "approved" }),
+   migrate: (product, approved) => {
+      const reviews = approved.filter((review) => review.productId === product.id);
+      // produsele care nu au avut niciodată rating rămân neschimbate
+      if (product.rating === undefined && product.reviewCount === undefined && reviews.length === 0) {
+         return product;
+      }
+      return { ...product, ...productRating(reviews) };
+   },
+};
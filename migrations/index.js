@@ -0,0 +1,124 @@
+/**
+ * MIGRĂRI DE DATE
+ * Fiecare migrare transformă documentele unei colecţii în forma canonică şi rulează o singură dată.
+ * Migrările aplicate sunt înregistrate în colecţia "migrations" (data/migrations.json).
+ * Adăugarea unei migrări: fişier nou NNN-descriere.js în acest director, apoi înregistrat în MIGRATIONS.
+ * O migrare care are nevoie de alte colecţii le citeşte în load(repository); rezultatul este
+ * transmis lui migrate(doc, context).
+ */
+
+// Ordinea din listă este ordinea de rulare
+const MIGRATIONS = [
+   require("./001-nest-product-specifications"),
+   require("./002-clean-product-tags"),
+   require("./003-canonical-isbn"),
+   require("./004-fix-seed-isbn"),
+   require("./005-recompute-product-ratings"),
+];
+
+/**
+ * Transformă un document în perechi cale -> valoare (listele sunt comparate ca întreg)
+ * @param {Object} doc
+ * @param {string} [prefix]
+ * @param {Object} [result]
+ * @returns {Object}
+ */
+const flatten = (doc, prefix = "", result = {}) => {
+   Object.entries(doc).forEach(([key, value]) => {
+      if (value !== null && typeof value === "object" && !Array.isArray(value) && Object.keys(value).length > 0) {
+         flatten(value, `${prefix}${key}.`, result);
+      } else {
+         result[`${prefix}${key}`] = JSON.stringify(value);
+      }
+   });
+   return result;
+};
+
+/**
+ * Diferenţele dintre două versiuni ale unui document
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array<{ path: string, before?: string, after?: string }>} Valorile sunt serializate JSON
+ */
+const diffDocuments = (before, after) => {
+   const a = flatten(before);
+   const b = flatten(after);
+   return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+      .filter((path) => a[path] !== b[path])
+      .map((path) => ({ path, before: a[path], after: b[path] }));
+};
+
+/**
+ * Starea fiecărei migrări
+ * @param {Object} repository
+ * @returns {Promise<Array<{ id: string, description: string, appliedAt: string|null }>>}
+ */
+const migrationStatus = async (repository) => {
+   const applied = await repository.collection("migrations").find();
+   return MIGRATIONS.map((migration) => {
+      const record = applied.find((m) => m.id === migration.id);
+      return { id: migration.id, description: migration.description, appliedAt: record ? record.appliedAt : null };
+   });
+};
+
+/**
+ * Rulează migrările neaplicate, în ordine
+ * La dryRun nu se scrie nimic: migrările se aplică doar în memorie, una după alta, pentru a arăta diferenţele.
+ * @param {Object} repository Repository-ul aplicaţiei (colecţiile brute, prin collection(name))
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun]
+ * @param {Array} [options.migrations] Lista de migrări (implicit MIGRATIONS)
+ * @returns {Promise<Array<{ id: string, description: string, changes: Array<{ id: *, diff: Array }> }>>} Migrările rulate
+ */
+const runMigrations = async (repository, { dryRun = false, migrations = MIGRATIONS } = {}) => {
+   const log = repository.collection("migrations");
+   const applied = new Set((await log.find()).map((m) => m.id));
+   // copia de lucru a fiecărei colecţii atinse, ca migrările să se vadă una pe alta şi la dryRun
+   const working = new Map();
+   const results = [];
+
+   for (const migration of migrations) {
+      if (applied.has(migration.id)) {
+         continue;
+      }
+
+      const collection = repository.collection(migration.collection);
+      if (!working.has(migration.collection)) {
+         working.set(migration.collection, await collection.find());
+      }
+
+      const context = migration.load ? await migration.load(repository) : undefined;
+      const changes = [];
+      const docs = working.get(migration.collection).map((doc) => {
+         const migrated = migration.migrate(doc, context);
+         const diff = diffDocuments(doc, migrated);
+         if (diff.length > 0) {
+            changes.push({ id: doc.id, diff, doc: migrated });
+         }
+         return migrated;
+      });
+      working.set(migration.collection, docs);
+
+      if (!dryRun) {
+         for (const change of changes) {
+            await collection.replace(change.id, change.doc);
+         }
+         await log.insert({ id: migration.id, description: migration.description, appliedAt: new Date().toISOString(), changed: changes.length });
+      }
+
+      results.push({
+         id: migration.id,
+         description: migration.description,
+         changes: changes.map(({ id, diff }) => ({ id, diff })),
+      });
+   }
+
+   return results;
+};
+
+module.exports = {
+   MIGRATIONS,
+   runMigrations,
+   migrationStatus,
+   diffDocuments,
+};
@@ -0,0 +1,50 @@
+/**
+ * Rulează migrările de date
+ *   npm run migrate               aplică migrările neaplicate
+ *   npm run migrate -- --dry-run  arată diferenţele fără a scrie
+ *   npm run migrate -- --status   listează migrările şi data aplicării
+ * Stocarea se alege la fel ca pentru server (STORAGE_DRIVER, DATA_DIR, MONGODB_URI).
+ */
+
+const { createRepository } = require("../storage");
+const { runMigrations, migrationStatus } = require("../migrations");
+
+const main = async () => {
+   const args = process.argv.slice(2);
+   const dryRun = args.includes("--dry-run");
+   const repository = createRepository();
+
+   try {
+      if (args.includes("--status")) {
+         (await migrationStatus(repository)).forEach((migration) => {
+            console.log(`${migration.appliedAt ? "[x]" : "[ ]"} ${migration.id} - ${migration.description}${migration.appliedAt ? ` (${migration.appliedAt})` : ""}`);
+         });
+         return;
+      }
+
+      const results = await runMigrations(repository, { dryRun });
+      if (results.length === 0) {
+         console.log("Nicio migrare de aplicat.");
+         return;
+      }
+
+      results.forEach((result) => {
+         console.log(`\n${dryRun ? "[dry-run] " : ""}${result.id}: ${result.changes.length} documente modificate`);
+         result.changes.forEach((change) => {
+            console.log(`  #${change.id}`);
+            change.diff.forEach(({ path, before, after }) => {
+               if (before !== undefined) console.log(`    - ${path}: ${before}`);
+               if (after !== undefined) console.log(`    + ${path}: ${after}`);
+            });
+         });
+      });
+      console.log(dryRun ? "\nNimic nu a fost scris (--dry-run)." : "\nMigrări aplicate.");
+   } finally {
+      await repository.close();
+   }
+};
+
+main().catch((error) => {
+   console.error("Eroare la rularea migrărilor:", error);
+   process.exitCode = 1;
+});
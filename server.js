@@ -7,8 +7,10 @@
 
 const express = require("express");
 const cors = require("cors");
-const fs = require("fs");
-const path = require("path");
+const crypto = require("crypto");
+const { createRepository } = require("./storage");
+const { createKeyedMutex } = require("./storage/mutex");
+const { createNotifier } = require("./utils/notifier");
 
 // Inițializarea aplicației Express
 const app = express();
@@ -16,15 +18,35 @@ const PORT = 3000;
 
 // Configurarea middleware-ului de bază
 app.use(cors()); // Permite cereri cross-origin de la frontend
-app.use(express.json()); // Parser pentru JSON în request body
+// Parser pentru JSON în request body, cu limita implicită. Rutele din OWN_BODY_PARSER_PATHS îşi citesc
+// singure corpul: webhook-ul Stripe (corp brut, pentru semnătură) şi importul de catalog (limită mai mare)
+const OWN_BODY_PARSER_PATHS = new Set(["/api/webhooks/stripe", "/api/admin/products/import"]);
+const parseJson = express.json();
+app.use((req, res, next) => (OWN_BODY_PARSER_PATHS.has(req.path) ? next() : parseJson(req, res, next)));
 
-// Căile către fișierele de date
-const PRODUCTS_FILE = path.join(__dirname, "data", "books.json");
+// Stratul de stocare: fişierele JSON din data/ sau MongoDB (vezi storage/index.js)
+const repository = createRepository();
+
+// Notificările către clienţi (consolă sau fişier, vezi utils/notifier.js)
+const notifier = createNotifier();
 
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const validator = require("validator");
+const { createSearchIndex } = require("./utils/search");
+const { validateProduct, applyProductUpdate, CSV_COLUMNS, productFromCsvRecord, productToCsvValues } = require("./utils/productSchema");
+const { parseCsv, formatCsvRow } = require("./utils/csv");
+const { toIsbn13 } = require("./utils/isbn");
+const { validateCoupon, evaluateCoupon } = require("./utils/coupons");
+const { DEFAULT_SHIPPING_METHOD, validateShippingMethod, quoteShippingMethod } = require("./utils/shipping");
+const { VAT_RATES, vatRateForCategory, vatBreakdown, discountedLines } = require("./utils/vat");
+const { validateBilling, formatInvoiceNumber, buildInvoice, renderInvoicePdf } = require("./utils/invoice");
+const analytics = require("./utils/analytics");
+const { AUDIT_ENTITIES, AUDIT_ACTIONS, diffChanges } = require("./utils/audit");
+const { availabilityMode, expectedShipDate, planLine, immediateItems, delayedItems, planFulfilment } = require("./utils/availability");
+const { productRating } = require("./utils/reviews");
+const { MOVEMENT_TYPES, validateReceipt, validateAdjustment, reorderThreshold, isLowStock, lowStockReport } = require("./utils/inventory");
 const { stripTypeScriptTypes } = require("module");
-const USERS_FILE = path.join(__dirname, "data", "users.json");
 
 /**
  * =====================================
@@ -32,21 +54,34 @@ const USERS_FILE = path.join(__dirname, "data", "users.json");
  * =====================================
  */
 
-// Read USERS
 /**
- * Funcţie helper pentru citirea utilizatorilor din fişierul JSON
- * @returns {Object} Obiect cu array-ul de utilizatori
+ * Generează token-ul JWT pentru un utilizator autentificat
+ * @param {Object} user Utilizatorul din users.json
+ * @returns {string} Token semnat
  */
-const readUsers = () => {
-   try {
-      const data = fs.readFileSync(USERS_FILE, "utf8");
-      return JSON.parse(data);
-   } catch (error) {
-      console.error("Eroare la citirea utilizatorilor:", error);
-      // Returnează structură goală dacă fişierul nu există
-      return { users: [] };
-   }
-};
+const generateToken = (user) =>
+   jwt.sign(
+      {
+         id: user.id,
+         email: user.email,
+         role: user.role,
+         name: user.name,
+      },
+      process.env.JWT_SECRET || "fallback_secret",
+      { expiresIn: "8h" }
+   );
+
+/**
+ * Returnează datele publice ale utilizatorului (fără parolă)
+ * @param {Object} user Utilizatorul din users.json
+ * @returns {Object}
+ */
+const publicUser = (user) => ({
+   id: user.id,
+   email: user.email,
+   name: user.name,
+   role: user.role,
+});
 
 // Authenticate token
 const authenticateToken = (req, res, next) => {
@@ -65,6 +100,17 @@ const authenticateToken = (req, res, next) => {
    });
 };
 
+/**
+ * Autentificare opţională: rutele coşului funcţionează şi pentru vizitatori,
+ * dar dacă există header Authorization acesta trebuie să fie valid
+ */
+const optionalAuth = (req, res, next) => {
+   if (!req.headers["authorization"]) {
+      return next();
+   }
+   authenticateToken(req, res, next);
+};
+
 // Require Admin
 
 const requireAdmin = (req, res, next) => {
@@ -81,18 +127,30 @@ const requireAdmin = (req, res, next) => {
  */
 
 /**
- * * Funcție helper pentru citirea produselor din fișierul JSON
- * @returns {Array} Array-ul cu produsele sau array gol în caz de eroare
+ * Indexul de căutare al catalogului, construit la prima căutare
+ * şi actualizat de rutele de administrare a produselor
  */
-const readProducts = () => {
-   try {
-      const data = fs.readFileSync(PRODUCTS_FILE, "utf8");
-      const parsedData = JSON.parse(data);
-      return parsedData.products || [];
-   } catch (error) {
-      console.error("Eroare la citirea produselor:", error);
-      return [];
+const searchIndex = createSearchIndex();
+let searchIndexReady = false;
+
+/**
+ * Păstrează doar produsele găsite de motorul de căutare, ordonate după relevanţă,
+ * cu scorul (relevance) şi fragmentele marcate (highlights)
+ * @param {Array} products Produsele de filtrat
+ * @param {string} query Textul căutat
+ * @returns {Promise<Array>}
+ */
+const applySearch = async (products, query) => {
+   if (!searchIndexReady) {
+      searchIndex.rebuild(await repository.products.find());
+      searchIndexReady = true;
    }
+
+   const results = new Map(searchIndex.search(query).map((result) => [result.id, result]));
+   return products
+      .filter((p) => results.has(p.id))
+      .map((p) => ({ ...p, relevance: results.get(p.id).score, highlights: results.get(p.id).highlights }))
+      .sort((a, b) => b.relevance - a.relevance);
 };
 
 /**
@@ -101,73 +159,96 @@ const readProducts = () => {
  * =====================================
  */
 
+/**
+ * Filtrează şi sortează catalogul după parametrii listei de administrare
+ * (folosit de listare şi de export, ca exportul să conţină exact ce vede administratorul)
+ * @param {Array} products Toate produsele
+ * @param {Object} query category, search, status, sortBy, sortOrder
+ * @returns {Promise<{ products: Array, sortField: string }>}
+ */
+const filterAdminProducts = async (products, query) => {
+   const { category, search, status = "all", sortBy = "createdAt", sortOrder = "desc" } = query;
+
+   // FILTRARE DUPĂ STATUS
+   if (status === "active") {
+      products = products.filter((p) => p.isActive === true);
+   } else if (status === "inactive") {
+      products = products.filter((p) => p.isActive === false);
+   }
+   // 'all' afişează toate produsele
+
+   // FILTRARE DUPĂ CATEGORIE
+   if (category && category !== "all") {
+      products = products.filter((p) => p.category.toLowerCase().includes(category.toLowerCase()));
+   }
+
+   // CAUTARE DUPĂ RELEVANŢĂ
+   if (search) {
+      products = await applySearch(products, search);
+   }
+
+   // SORTARE (la căutare fără sortBy explicit rămâne ordinea după relevanţă)
+   const sortField = search && !query.sortBy ? "relevance" : sortBy || "createdAt";
+   const order = sortOrder === "asc" ? 1 : -1;
+
+   products.sort((a, b) => {
+      if (sortField === "relevance") {
+         return b.relevance - a.relevance;
+      }
+      if (sortField === "title" || sortField === "author" || sortField === "category") {
+         return order * a[sortField].localeCompare(b[sortField]);
+      } else if (sortField === "price" || sortField === "stock" || sortField === "rating") {
+         return order * (a[sortField] - b[sortField]);
+      } else {
+         // createdAt sau alte câmpuri de data
+         return order * (new Date(a[sortField]) - new Date(b[sortField]));
+      }
+   });
+
+   return { products, sortField };
+};
+
 /**
  * RUTA GET /api/admin/products Obține toate produsele pentru admin (cu filtre)
  * Parametri interogare:
  *
  * category: filtrare după categorie
- * search: căutare în titlu/autor
+ * search: căutare după relevanţă (titlu, autor, descriere, etichete, editură, ISBN)
  *
  * status: active/inactive (all pentru toate)
  * page: paginare
  *
  * limit: număr produse per pagină
  */
-app.get("/api/admin/products", authenticateToken, requireAdmin, (req, res) => {
+app.get("/api/admin/products", authenticateToken, requireAdmin, async (req, res) => {
    try {
-      const { category, search, status = "all", page = 1, limit = 50, sortBy = "createdAt", sortOrder = "desc" } = req.query;
+      const { category, search, status = "all", page = 1, limit = 50, sortOrder = "desc" } = req.query;
 
       console.log("Filtre administrare produse:", { category, search, status, page, limit });
 
-      let products = readProducts();
-
-      // FILTRARE DUPĂ STATUS
-      if (status === "active") {
-         products = products.filter((p) => p.isActive === true);
-      } else if (status === "inactive") {
-         products = products.filter((p) => p.isActive === false);
-      }
-      // 'all' afişează toate produsele
-
-      // FILTRARE DUPĂ CATEGORIE
-      if (category && category !== "all") {
-         products = products.filter((p) => p.category.toLowerCase().includes(category.toLowerCase()));
-      }
-
-      // CAUTARE ÎN TITLU ȘI AUTOR
-      if (search) {
-         const searchTerm = search.toLowerCase();
-         products = products.filter((p) => p.title.toLowerCase().includes(searchTerm) || p.author.toLowerCase().includes(searchTerm) || (p.isbn && p.isbn.includes(search)));
-      }
-
-      // SORTARE
-      const sortField = sortBy || "createdAt";
-      const order = sortOrder === "asc" ? 1 : -1;
-
-      products.sort((a, b) => {
-         if (sortField === "title" || sortField === "author" || sortField === "category") {
-            return order * a[sortField].localeCompare(b[sortField]);
-         } else if (sortField === "price" || sortField === "stock" || sortField === "rating") {
-            return order * (a[sortField] - b[sortField]);
-         } else {
-            // createdAt sau alte câmpuri de data
-            return order * (new Date(a[sortField]) - new Date(b[sortField]));
-         }
-      });
+      const { products, sortField } = await filterAdminProducts(await repository.products.find(), req.query);
 
       // PAGINARE
       const pageNum = parseInt(page);
       const limitNum = parseInt(limit);
       const startIndex = (pageNum - 1) * limitNum;
       const endIndex = startIndex + limitNum;
-      const paginatedProducts = products.slice(startIndex, endIndex);
+      // stocul fizic şi stocul disponibil la vânzare (fără rezervările active)
+      const reserved = await getReservedQuantities();
+      const paginatedProducts = products.slice(startIndex, endIndex).map((p) => ({
+         ...p,
+         reservedStock: reserved[p.id] || 0,
+         availableStock: availableStock(p, reserved),
+      }));
 
       // STATISTICI
       const totalProducts = products.length;
       const activeProducts = products.filter((p) => p.isActive).length;
       const inactiveProducts = products.filter((p) => !p.isActive).length;
-      const lowStockProducts = products.filter((p) => p.stock < 10 && p.stock > 0).length;
-      const outOfStockProducts = products.filter((p) => p.stock === 0).length;
+      // stocul scăzut şi epuizat se calculează din stocul disponibil, ca în raportul de reaprovizionare
+      const withAvailable = products.map((p) => ({ ...p, availableStock: availableStock(p, reserved) }));
+      const lowStockProducts = withAvailable.filter(isLowStock).length;
+      const outOfStockProducts = withAvailable.filter((p) => p.availableStock === 0).length;
 
       res.json({
          success: true,
@@ -186,6 +267,7 @@ app.get("/api/admin/products", authenticateToken, requireAdmin, (req, res) => {
             inactive: inactiveProducts,
             lowStock: lowStockProducts,
             outOfStock: outOfStockProducts,
+            reserved: Object.values(reserved).reduce((sum, quantity) => sum + quantity, 0),
          },
          filters: {
             category: category || "all",
@@ -207,98 +289,248 @@ app.get("/api/admin/products", authenticateToken, requireAdmin, (req, res) => {
 /**
  * RUTA POST /api/admin/products Adaugă produs nou cu TOATE câmpurile
  */
-app.post("/api/admin/products", authenticateToken, requireAdmin, (req, res) => {
+app.post("/api/admin/products", authenticateToken, requireAdmin, async (req, res) => {
    try {
-      const { title, author, price, description, imageUrl, category, stock, discountPrice, isbn, publisher, pages, year, rating, reviewCount, tags, featured } = req.body;
-
       console.log("Date primite pentru produs nou:", req.body);
 
-      // VALIDARI OBLIGATORII
-      const requiredFields = ["title", "author", "price", "stock"];
-      const missingFields = requiredFields.filter((field) => !req.body[field]);
+      // VALIDARE DUPĂ SCHEMA PRODUSULUI (câmpuri, tipuri, valori permise)
+      const { errors, value } = validateProduct(req.body);
 
-      if (missingFields.length > 0) {
+      if (errors) {
+         const missingFields = Object.keys(errors).filter((field) => errors[field] === "Câmp obligatoriu");
          return res.status(400).json({
             success: false,
-            message: `Câmpuri obligatorii lipsă: ${missingFields.join(", ")}`,
+            message: missingFields.length > 0 ? `Câmpuri obligatorii lipsă: ${missingFields.join(", ")}` : "Date invalide pentru produs",
             missingFields,
+            errors,
+         });
+      }
+
+      // ISBN-UL TREBUIE SĂ FIE UNIC ÎN CATALOG
+      const duplicate = findProductByIsbn(await repository.products.find(), value.isbn);
+      if (duplicate) {
+         return res.status(409).json({
+            success: false,
+            message: "Există deja un produs cu acest ISBN",
+            errors: { isbn: `ISBN-ul aparţine produsului #${duplicate.id}` },
          });
       }
 
-      // VALIDARI SUPLIMENTARE
-      if (price < 0) {
+      // CREEAZĂ ŞI SALVEAZĂ PRODUSUL (ID-UL SE ALOCĂ LA INSERARE)
+      const now = new Date().toISOString();
+      const newProduct = await insertProduct({
+         ...value,
+         // calculate din recenziile aprobate
+         rating: null,
+         reviewCount: 0,
+         createdAt: now,
+         updatedAt: now,
+         createdBy: req.user.id,
+      });
+      searchIndex.upsert(newProduct);
+      await recordInitialStock(newProduct, "Stoc iniţial", req.user.id);
+      await auditProductChange(req, "create", null, newProduct);
+
+      console.log("Produs adăugat cu succes:", newProduct.id);
+      res.status(201).json({
+         success: true,
+         message: "Produs adăugat cu succes",
+         product: newProduct,
+      });
+   } catch (error) {
+      console.error("Eroare la adăugarea produsului:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la adăugarea produsului",
+         error: error.message,
+      });
+   }
+});
+
+/**
+ * =====================================
+ * IMPORT / EXPORT CATALOG
+ * =====================================
+ */
+
+// Numărul maxim de rânduri acceptate într-un import
+const IMPORT_MAX_ROWS = 5000;
+
+// Corpul importului (JSON sau CSV) se citeşte după autentificare, cu o limită mai mare decât parserul global
+const IMPORT_BODY_LIMIT = "5mb";
+const parseImportBody = [express.json({ limit: IMPORT_BODY_LIMIT }), express.text({ type: ["text/csv", "text/plain"], limit: IMPORT_BODY_LIMIT })];
+
+/**
+ * Extrage produsele de importat din corpul cererii
+ * CSV (Content-Type: text/csv) cu antet pe prima linie, sau JSON: o listă ori { products: [...] }
+ * @param {Object} req
+ * @returns {Array|null} Rândurile sau null dacă formatul nu este recunoscut
+ */
+const readImportRows = (req) => {
+   if (typeof req.body === "string") {
+      return parseCsv(req.body).map(productFromCsvRecord);
+   }
+   const rows = Array.isArray(req.body) ? req.body : req.body && req.body.products;
+   return Array.isArray(rows) ? rows : null;
+};
+
+/**
+ * RUTA POST /api/admin/products/import Import în masă (CSV sau JSON)
+ * Fiecare rând este validat cu aceleaşi reguli ca la adăugarea unui produs.
+ * Produsele existente cu acelaşi ISBN sunt actualizate (doar câmpurile prezente în rând), restul sunt create.
+ * Query: dryRun=true - doar raportul, fără salvare
+ * Răspuns: raport per rând (created / updated / rejected, cu erorile pe câmpuri)
+ */
+app.post("/api/admin/products/import", authenticateToken, requireAdmin, parseImportBody, async (req, res) => {
+   try {
+      const dryRun = req.query.dryRun === "true";
+
+      let rows;
+      try {
+         rows = readImportRows(req);
+      } catch (error) {
          return res.status(400).json({
             success: false,
-            message: "Prețul nu poate fi negativ",
+            message: error.message,
          });
       }
-      if (stock < 0) {
+
+      if (!rows || rows.length === 0) {
          return res.status(400).json({
             success: false,
-            message: "Stocul nu poate fi negativ",
+            message: "Importul nu conţine produse (CSV cu antet sau JSON { products: [...] })",
          });
       }
-      if (discountPrice && discountPrice > price) {
+
+      if (rows.length > IMPORT_MAX_ROWS) {
          return res.status(400).json({
             success: false,
-            message: "Prețul redus nu poate fi mai mare decât prețul original",
+            message: `Importul poate conţine cel mult ${IMPORT_MAX_ROWS} produse`,
          });
       }
 
-      const products = readProducts();
+      const existingByIsbn = new Map();
+      (await repository.products.find()).forEach((product) => {
+         const key = toIsbn13(product.isbn);
+         if (key) {
+            existingByIsbn.set(key, product);
+         }
+      });
 
-      // GENERARE ID INCREMENTAT
-      const lastProduct = products[products.length - 1];
-      const newId = lastProduct ? lastProduct.id + 1 : 1;
+      const seenIsbns = new Set();
+      const report = [];
+      const now = new Date().toISOString();
 
-      // CREEAZĂ PRODUS NOU CU TOATE CÂMPURILE
-      const newProduct = {
-         id: newId,
-         title: title.trim(),
-         author: author.trim(),
-         isbn: isbn?.trim() || "",
-         category: category?.trim() || "General",
-         price: parseFloat(price),
-         discountPrice: discountPrice ? parseFloat(discountPrice) : null,
-         description: description?.trim() || "",
-         imageUrl: imageUrl?.trim() || "/images/default-book.jpg",
-         stock: parseInt(stock),
-         isActive: true,
-         featured: featured || false,
-         rating: rating ? parseFloat(rating) : null,
-         reviewCount: reviewCount ? parseInt(reviewCount) : 0,
-         tags: tags || [],
-         specifications: {
-            pages: pages?.toString() || "",
-            language: "Romanian",
-            publisher: publisher?.trim() || "",
-            year: year?.toString() || "",
-            format: "Paperback",
-         },
-         createdAt: new Date().toISOString(),
-         updatedAt: new Date().toISOString(),
-         createdBy: req.user.id,
-      };
+      for (const [index, row] of rows.entries()) {
+         const entry = {
+            row: index + 1,
+            isbn: row && row.isbn,
+            title: row && row.title,
+         };
+
+         const created = validateProduct(row);
+         const key = toIsbn13(created.value.isbn);
+         let errors = created.errors;
+         if (!errors && key && seenIsbns.has(key)) {
+            errors = { isbn: "ISBN duplicat în fişierul de import" };
+         }
+         if (errors) {
+            report.push({ ...entry, status: "rejected", errors });
+            continue;
+         }
+         if (key) {
+            seenIsbns.add(key);
+         }
 
-      // ADAUGĂ PRODUSUL
-      products.push(newProduct);
+         const existing = key ? existingByIsbn.get(key) : null;
+         if (existing) {
+            const update = validateProduct(row, { partial: true, current: existing });
+            if (update.errors) {
+               report.push({ ...entry, status: "rejected", errors: update.errors });
+               continue;
+            }
+            const updatedProduct = { ...applyProductUpdate(existing, update.value), updatedAt: now };
+            if (!dryRun) {
+               await repository.products.replace(existing.id, updatedProduct);
+               searchIndex.upsert(updatedProduct);
+               await recordStockEdit(existing, updatedProduct, "Import catalog", req.user.id);
+               await auditProductChange(req, "import_update", existing, updatedProduct);
+               await notifyWishlistSubscribers(existing, updatedProduct);
+            }
+            report.push({ ...entry, status: "updated", id: existing.id });
+         } else {
+            const fields = { ...created.value, rating: null, reviewCount: 0, createdAt: now, updatedAt: now, createdBy: req.user.id };
+            const newProduct = dryRun ? fields : await insertProduct(fields);
+            if (!dryRun) {
+               searchIndex.upsert(newProduct);
+               await recordInitialStock(newProduct, "Stoc iniţial (import catalog)", req.user.id);
+               await auditProductChange(req, "import_create", null, newProduct);
+            }
+            report.push({ ...entry, status: "created", id: dryRun ? null : newProduct.id });
+         }
+      }
 
-      // SALVEAZĂ ÎN FIŞIER
-      const productsData = { products };
-      fs.writeFileSync(PRODUCTS_FILE, JSON.stringify(productsData, null, 2));
+      const count = (status) => report.filter((r) => r.status === status).length;
+      const summary = { total: report.length, created: count("created"), updated: count("updated"), rejected: count("rejected") };
+      console.log(`Import catalog${dryRun ? " (dry-run)" : ""}:`, summary);
+      if (!dryRun && summary.updated > 0) {
+         scheduleNotificationDelivery();
+      }
 
-      console.log("Produs adăugat cu succes:", newProduct.id);
-      res.status(201).json({
+      res.json({
          success: true,
-         message: "Produs adăugat cu succes",
-         product: newProduct,
+         dryRun,
+         summary,
+         rows: report,
       });
    } catch (error) {
-      console.error("Eroare la adăugarea produsului:", error);
+      console.error("Eroare la importul produselor:", error);
       res.status(500).json({
          success: false,
-         message: "Eroare server la adăugarea produsului",
-         error: error.message,
+         message: "Eroare server la importul produselor",
+      });
+   }
+});
+
+/**
+ * RUTA GET /api/admin/products/export Exportă catalogul ca fişier CSV sau JSON
+ * Query: format=csv (implicit) sau json, plus filtrele listei de administrare (category, search, status, sortBy, sortOrder)
+ * Fişierul se transmite produs cu produs; exportul JSON poate fi reimportat direct.
+ */
+app.get("/api/admin/products/export", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const { format = "csv" } = req.query;
+
+      if (format !== "csv" && format !== "json") {
+         return res.status(400).json({
+            success: false,
+            message: "Format invalid (csv sau json)",
+         });
+      }
+
+      const { products } = await filterAdminProducts(await repository.products.find(), req.query);
+
+      res.attachment(`catalog-${new Date().toISOString().slice(0, 10)}.${format}`);
+
+      if (format === "csv") {
+         res.type("text/csv; charset=utf-8");
+         // BOM pentru ca Excel să recunoască diacriticele
+         res.write("\uFEFF" + formatCsvRow(CSV_COLUMNS));
+         products.forEach((product) => res.write(formatCsvRow(productToCsvValues(product))));
+         return res.end();
+      }
+
+      res.type("application/json; charset=utf-8");
+      res.write('{"products":[');
+      products.forEach(({ relevance, highlights, ...product }, index) => {
+         res.write((index > 0 ? ",\n" : "\n") + JSON.stringify(product));
+      });
+      res.end("\n]}");
+   } catch (error) {
+      console.error("Eroare la exportul produselor:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la exportul produselor",
       });
    }
 });
@@ -318,8 +550,7 @@ app.post("/api/admin/login", async (req, res) => {
          });
       }
 
-      const usersData = readUsers();
-      const user = usersData.users.find((u) => u.email === email && u.role === "admin");
+      const user = await repository.users.findOne({ email, role: "admin" });
 
       if (!user) {
          console.log("Utilizator admin negăsit:", email);
@@ -339,28 +570,14 @@ app.post("/api/admin/login", async (req, res) => {
          });
       }
 
-      const token = jwt.sign(
-         {
-            id: user.id,
-            email: user.email,
-            role: user.role,
-            name: user.name,
-         },
-         process.env.JWT_SECRET || "fallback_secret",
-         { expiresIn: "8h" }
-      );
+      const token = generateToken(user);
 
       console.log("Login admin reuşit:", email);
       res.json({
          success: true,
          message: "Autentificare admin reușită",
          token,
-         user: {
-            id: user.id,
-            email: user.email,
-            name: user.name,
-            role: user.role,
-         },
+         user: publicUser(user),
       });
    } catch (error) {
       console.error("Eroare la login admin:", error);
@@ -372,166 +589,683 @@ app.post("/api/admin/login", async (req, res) => {
 });
 
 /**
- * * RUTA GET /api/products - Obține toate produsele active cu opțiuni de filtrare
- * * Parametri de interogare:
- * - category: filtrare după categorie
+ * =====================================
+ * API ROUTES PENTRU CONTURI CLIENȚI
+ * =====================================
+ */
+
+/**
+ * RUTA POST /api/auth/register Înregistrare client nou
+ * Body: { name, email, password }
+ * Parola: minim 8 caractere, cu literă mică, literă mare și cifră
  */
-app.get("/api/products", (req, res) => {
+app.post("/api/auth/register", async (req, res) => {
    try {
-      let products = readProducts();
-      // Filtrare dupa produsele active
-      products = products.filter((p) => p.isActive === true);
-      // Filtrare după categorie
-      if (req.query.category) {
-         products = products.filter((p) => p.category.toLowerCase() === req.query.category.toLowerCase());
+      const { name, password } = req.body;
+      const email = typeof req.body.email === "string" ? req.body.email.trim().toLowerCase() : "";
+      console.log("Înregistrare client:", email);
+
+      if (!name || !email || !password) {
+         return res.status(400).json({
+            success: false,
+            message: "Nume, email și parolă sunt obligatorii",
+         });
       }
-      //== Căutare după titlu sau autor
-      if (req.query.search) {
-         const keyword = req.query.search.toLowerCase();
-         products = products.filter((p) => p.title.toLowerCase().includes(keyword) || p.author.toLowerCase().includes(keyword));
+
+      if (!validator.isEmail(email)) {
+         return res.status(400).json({
+            success: false,
+            message: "Adresa de email nu este validă",
+         });
       }
-      //=== Sortare ===
-      if (req.query.sort) {
-         switch (req.query.sort) {
-            case "price_asc":
-               products.sort((a, b) => a.price - b.price);
-               break;
-            case "price_desc":
-               products.sort((a, b) => b.price - a.price);
-               break;
-            case "title_asc":
-               products.sort((a, b) => a.title.localeCompare(b.title));
-               break;
-            case "title_desc":
-               products.sort((a, b) => b.title.localeCompare(a.title));
-               break;
-         }
+
+      if (typeof password !== "string" || !validator.isStrongPassword(password, { minLength: 8, minLowercase: 1, minUppercase: 1, minNumbers: 1, minSymbols: 0 })) {
+         return res.status(400).json({
+            success: false,
+            message: "Parola trebuie să aibă minim 8 caractere, o literă mică, o literă mare și o cifră",
+         });
       }
-      res.json({
+
+      if (await repository.users.findOne({ email })) {
+         return res.status(409).json({
+            success: false,
+            message: "Există deja un cont cu acest email",
+         });
+      }
+
+      // ID-ul se alocă la inserare
+      const newUser = await repository.users.insert({
+         email,
+         password: await bcrypt.hash(password, 12),
+         role: "customer",
+         name: String(name).trim(),
+         createdAt: new Date().toISOString(),
+      });
+
+      const mergedCart = await mergeGuestCart(req.headers[CART_TOKEN_HEADER], newUser.id);
+
+      console.log("Client înregistrat:", newUser.id);
+      res.status(201).json({
          success: true,
-         products,
-         total: products.length,
-         filters: {
-            category: req.query.category || null,
-            search: req.query.search || null,
-            sort: req.query.sort || null,
-         },
+         message: "Cont creat cu succes",
+         token: generateToken(newUser),
+         user: publicUser(newUser),
+         cartMerged: Boolean(mergedCart),
       });
    } catch (error) {
-      console.error("Eroare la obținerea produselor:", error);
-      res.status(500).json({ success: false, message: "Eroare server" });
+      console.error("Eroare la înregistrare:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la înregistrare",
+      });
    }
 });
 
-const stripe = require("stripe")("sk_test_51PTP1qBVnVm4XrsHx8kIS9f9ehjUSrwxC7G00hsFCPwn9k431jUsBvAwm1R0n8sktiVSnQkvYZr2FXODjjEpjH8d00INU6ab6u");
-
-// inainte de app.get('/', (req, res)
 /**
- * RUTA POST /api/create-checkout-session
- * creează sesiune Stripe Checkout
+ * RUTA POST /api/auth/login Login pentru clienți
  */
-app.post("/api/create-checkout-session", async (req, res) => {
+app.post("/api/auth/login", async (req, res) => {
    try {
-      const { amount, cartItems } = req.body;
-      console.log("creează sesiune checkout pentru suma de:", amount);
-      // validări
-      if (!amount || amount < 1) {
+      const { password } = req.body;
+      const email = typeof req.body.email === "string" ? req.body.email.trim().toLowerCase() : "";
+      console.log("Încercare login client:", email);
+
+      if (!email || !password) {
          return res.status(400).json({
             success: false,
-            error: "Suma invalidă",
+            message: "Email și parolă sunt obligatorii",
          });
       }
-      // creează randuri pentru produse
-      const lineItems = [
-         ...cartItems.map((item) => ({
-            price_data: {
-               currency: "ron",
-               product_data: {
-                  name: item.title,
-                  description: `de ${item.author}`,
-                  images: [item.imageUrl],
-               },
-               unit_amount: Math.round(item.price * 100), // preț per unitate
-               // deoarece Stripe lucrează în subunități: RON BANI (1 RON = 100 bani)
-            },
-            quantity: item.quantity,
-         })),
-         // adaugăm transportul
-         {
-            price_data: {
-               currency: "ron",
-               product_data: {
-                  name: "Transport",
-                  description: "Cost livrare",
-               },
-               unit_amount: 1999, // 19.99 RON
-            },
-            quantity: 1,
-         },
-         //
-      ]; // am corectat sintaxa din document
 
-      // creează sesiunea Stripe Checkout
-      const session = await stripe.checkout.sessions.create({
-         payment_method_types: ["card"],
-         line_items: lineItems,
-         mode: "payment",
-         success_url: `${req.headers.origin}/payment-success?session_id={CHECKOUT_SESSION_ID}&clear_cart=true`,
-         cancel_url: `${req.headers.origin}/`,
-         metadata: {
-            order_type: "book_store",
-         },
-      });
+      const user = await repository.users.findOne({ email });
+
+      // Același mesaj pentru email inexistent și parolă greșită
+      if (!user || !(await bcrypt.compare(String(password), user.password))) {
+         return res.status(401).json({
+            success: false,
+            message: "Email sau parolă incorectă",
+         });
+      }
+
+      // Coşul de vizitator (dacă există) se mută în coşul contului
+      const mergedCart = await mergeGuestCart(req.headers[CART_TOKEN_HEADER], user.id);
 
-      console.log("Sesiune checkout creată:", session.id);
       res.json({
          success: true,
-         sessionId: session.id,
-         sessionUrl: session.url,
+         message: "Autentificare reușită",
+         token: generateToken(user),
+         user: publicUser(user),
+         cartMerged: Boolean(mergedCart),
       });
    } catch (error) {
-      console.error("Eroare Stripe:", error);
+      console.error("Eroare la login client:", error);
       res.status(500).json({
          success: false,
-         error: "Eroare la crearea sesiunii de plată",
+         message: "Eroare server la autentificare",
       });
    }
 });
 
-app.get("/api/check-payment-status/:sessionId", async (req, res) => {
+/**
+ * RUTA GET /api/auth/me Datele utilizatorului autentificat
+ */
+app.get("/api/auth/me", authenticateToken, async (req, res) => {
    try {
-      const { sessionId } = req.params;
-      const session = await stripe.checkout.sessions.retrieve(sessionId);
+      const user = await repository.users.findById(req.user.id);
+
+      if (!user) {
+         return res.status(404).json({
+            success: false,
+            message: "Utilizatorul nu a fost găsit",
+         });
+      }
+
       res.json({
          success: true,
-         paymentStatus: session.payment_status,
+         user: { ...publicUser(user), createdAt: user.createdAt },
       });
    } catch (error) {
-      res.status(500).json({ success: false, error: "Eroare verificare plată" });
+      console.error("Eroare la obținerea utilizatorului:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la obținerea utilizatorului",
+      });
    }
 });
 
 /**
- * RUTA POST /api/clear-cart Golește coșul
+ * Citeşte un câmp de specificaţii (pages, publisher, year, language, format),
+ * indiferent dacă produsul îl are la nivelul de bază sau în "specifications"
+ * @param {Object} product
+ * @param {string} field
+ * @returns {*} Valoarea sau undefined
+ */
+const productSpec = (product, field) => {
+   const value = product[field] !== undefined && product[field] !== "" ? product[field] : product.specifications && product.specifications[field];
+   return value === "" || value === null ? undefined : value;
+};
+
+// Intervalele de preţ pentru faţeta de preţ (RON, pe preţul efectiv)
+const PRICE_BUCKETS = [
+   { key: "0-50", min: 0, max: 50 },
+   { key: "50-100", min: 50, max: 100 },
+   { key: "100-150", min: 100, max: 150 },
+   { key: "150+", min: 150, max: Infinity },
+];
+
+/**
+ * Calculează numărul de produse pentru fiecare valoare de filtru (faţete)
+ * @param {Array} products Produsele filtrate
+ * @returns {Object} { categories, tags, publishers, priceBuckets }
  */
-app.post("/api/clear-cart", async (req, res) => {
+const computeFacets = (products) => {
+   const count = (values) =>
+      Object.entries(
+         values.reduce((acc, value) => {
+            acc[value] = (acc[value] || 0) + 1;
+            return acc;
+         }, {})
+      )
+         .map(([value, total]) => ({ value, count: total }))
+         .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+
+   return {
+      categories: count(products.map((p) => p.category).filter(Boolean)),
+      tags: count(products.flatMap(productTags)),
+      publishers: count(products.map((p) => productSpec(p, "publisher")).filter(Boolean)),
+      priceBuckets: PRICE_BUCKETS.map((bucket) => ({
+         value: bucket.key,
+         min: bucket.min,
+         max: bucket.max === Infinity ? null : bucket.max,
+         count: products.filter((p) => {
+            const price = p.discountPrice || p.price;
+            return price >= bucket.min && price < bucket.max;
+         }).length,
+      })),
+   };
+};
+
+/**
+ * * RUTA GET /api/products - Obține produsele active cu opțiuni de filtrare şi paginare
+ * * Parametri de interogare:
+ * - category: filtrare după categorie
+ * - search: căutare după relevanţă (fără diacritice, tolerantă la greşeli de tastare)
+ * - minPrice, maxPrice: interval de preţ (preţul efectiv, cu reducere)
+ * - minRating: rating minim
+ * - tags: etichete separate prin virgulă (oricare dintre ele)
+ * - publisher, language: editură / limbă
+ * - yearFrom, yearTo: interval pentru anul apariţiei
+ * - featured, inStock: "true" pentru produse recomandate / în stoc
+ * - sort: price_asc, price_desc, title_asc, title_desc
+ * - page, limit: paginare
+ * * Răspunsul include faţete (categorii, etichete, edituri, intervale de preţ) calculate pe setul filtrat
+ */
+app.get("/api/products", async (req, res) => {
    try {
-      const cart = await readCart();
-      // sterge toate produsele din coș
-      cart.items = [];
-      cart.total = 0;
-      cart.totalItems = 0;
-      saveCart(cart);
+      const { minPrice, maxPrice, minRating, tags, publisher, language, yearFrom, yearTo, featured, inStock, page = 1, limit = 50 } = req.query;
+      const reserved = await getReservedQuantities();
+
+      let products = await repository.products.find();
+      // Filtrare dupa produsele active
+      products = products.filter((p) => p.isActive === true);
+      // Filtrare după categorie
+      if (req.query.category) {
+         products = products.filter((p) => p.category.toLowerCase() === req.query.category.toLowerCase());
+      }
+      //== Căutare după relevanţă
+      if (req.query.search) {
+         products = await applySearch(products, String(req.query.search));
+      }
+      //== Interval de preţ (preţul efectiv)
+      if (minPrice !== undefined && !isNaN(parseFloat(minPrice))) {
+         products = products.filter((p) => (p.discountPrice || p.price) >= parseFloat(minPrice));
+      }
+      if (maxPrice !== undefined && !isNaN(parseFloat(maxPrice))) {
+         products = products.filter((p) => (p.discountPrice || p.price) <= parseFloat(maxPrice));
+      }
+      //== Rating minim
+      if (minRating !== undefined && !isNaN(parseFloat(minRating))) {
+         products = products.filter((p) => (p.rating || 0) >= parseFloat(minRating));
+      }
+      //== Etichete
+      if (tags) {
+         const wantedTags = String(tags)
+            .split(",")
+            .map((tag) => tag.trim().toLowerCase())
+            .filter(Boolean);
+         products = products.filter((p) => productTags(p).some((tag) => wantedTags.includes(tag)));
+      }
+      //== Editură şi limbă
+      if (publisher) {
+         products = products.filter((p) => String(productSpec(p, "publisher") || "").toLowerCase() === String(publisher).toLowerCase());
+      }
+      if (language) {
+         products = products.filter((p) => String(productSpec(p, "language") || "").toLowerCase() === String(language).toLowerCase());
+      }
+      //== Anul apariţiei
+      if (yearFrom !== undefined && !isNaN(parseInt(yearFrom))) {
+         products = products.filter((p) => parseInt(productSpec(p, "year")) >= parseInt(yearFrom));
+      }
+      if (yearTo !== undefined && !isNaN(parseInt(yearTo))) {
+         products = products.filter((p) => parseInt(productSpec(p, "year")) <= parseInt(yearTo));
+      }
+      //== Recomandate şi în stoc
+      if (featured === "true") {
+         products = products.filter((p) => p.featured === true);
+      }
+      if (inStock === "true") {
+         products = products.filter((p) => availableStock(p, reserved) > 0);
+      }
+      //=== Sortare ===
+      if (req.query.sort) {
+         switch (req.query.sort) {
+            case "price_asc":
+               products.sort((a, b) => a.price - b.price);
+               break;
+            case "price_desc":
+               products.sort((a, b) => b.price - a.price);
+               break;
+            case "title_asc":
+               products.sort((a, b) => a.title.localeCompare(b.title));
+               break;
+            case "title_desc":
+               products.sort((a, b) => b.title.localeCompare(a.title));
+               break;
+         }
+      }
+
+      //=== Paginare ===
+      const pageNum = Math.max(parseInt(page) || 1, 1);
+      const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+      const startIndex = (pageNum - 1) * limitNum;
+      const endIndex = startIndex + limitNum;
+      const totalProducts = products.length;
+
       res.json({
          success: true,
-         message: "Coș golit cu succes",
+         products: products.slice(startIndex, endIndex).map((p) => toPublicProduct(p, reserved)),
+         total: totalProducts,
+         pagination: {
+            currentPage: pageNum,
+            totalPages: Math.ceil(totalProducts / limitNum),
+            totalProducts,
+            productsPerPage: limitNum,
+            hasNextPage: endIndex < totalProducts,
+            hasPrevPage: startIndex > 0,
+         },
+         facets: computeFacets(products),
+         filters: {
+            category: req.query.category || null,
+            search: req.query.search || null,
+            sort: req.query.sort || null,
+            minPrice: minPrice || null,
+            maxPrice: maxPrice || null,
+            minRating: minRating || null,
+            tags: tags || null,
+            publisher: publisher || null,
+            language: language || null,
+            yearFrom: yearFrom || null,
+            yearTo: yearTo || null,
+            featured: featured === "true",
+            inStock: inStock === "true",
+         },
       });
    } catch (error) {
-      console.error("Eroare la golirea coșului:", error);
+      console.error("Eroare la obținerea produselor:", error);
+      res.status(500).json({ success: false, message: "Eroare server" });
+   }
+});
+
+/**
+ * Adaugă câmpurile calculate pentru afişarea publică a unui produs
+ * @param {Object} product Produsul din catalog
+ * @param {Object} reserved Map productId -> cantitate rezervată
+ * @returns {Object} Produsul cu effectivePrice, discountPercent, availableStock, inStock, availability şi expectedShipDate
+ */
+const toPublicProduct = (product, reserved) => {
+   const effectivePrice = product.discountPrice || product.price;
+   const available = availableStock(product, reserved);
+   return {
+      ...product,
+      effectivePrice,
+      discountPercent: product.discountPrice ? Math.round(((product.price - product.discountPrice) / product.price) * 100) : 0,
+      availableStock: available,
+      inStock: available > 0,
+      availability: availabilityMode(product),
+      expectedShipDate: expectedShipDate(product, available),
+   };
+};
+
+/**
+ * Etichetele unui produs, normalizate (fără valori care nu sunt text)
+ * @param {Object} product
+ * @returns {Array<string>}
+ */
+const productTags = (product) => (product.tags || []).filter((tag) => typeof tag === "string").map((tag) => tag.toLowerCase());
+
+/**
+ * Cărţi similare: celelalte produse active ordonate după categorie, autor şi etichete comune
+ * Scor: categorie comună +3, acelaşi autor +2, fiecare etichetă comună +1
+ * @param {Object} product Produsul de referinţă
+ * @param {Array} products Catalogul
+ * @param {number} limit Numărul maxim de rezultate
+ * @returns {Array} Produsele similare, cu scorul de relevanţă
+ */
+const findRelatedProducts = (product, products, limit = 4) => {
+   const tags = productTags(product);
+
+   return products
+      .filter((p) => p.id !== product.id && p.isActive === true)
+      .map((p) => {
+         let score = 0;
+         if (p.category && product.category && p.category.toLowerCase() === product.category.toLowerCase()) score += 3;
+         if (p.author && product.author && p.author.toLowerCase() === product.author.toLowerCase()) score += 2;
+         score += productTags(p).filter((tag) => tags.includes(tag)).length;
+         return { product: p, score };
+      })
+      .filter((entry) => entry.score > 0)
+      .sort((a, b) => b.score - a.score || (b.product.rating || 0) - (a.product.rating || 0))
+      .slice(0, limit);
+};
+
+/**
+ * Produsul cu acelaşi ISBN (comparat ca ISBN-13, indiferent de formatul salvat)
+ * @param {Array} products Produsele în care se caută
+ * @param {string} isbn ISBN-10 sau ISBN-13, cu sau fără cratime
+ * @param {number} [excludeId] Produsul ignorat (cel actualizat)
+ * @returns {Object|null}
+ */
+const findProductByIsbn = (products, isbn, excludeId = null) => {
+   const isbn13 = toIsbn13(isbn);
+   if (!isbn13) {
+      return null;
+   }
+   return products.find((p) => p.id !== excludeId && toIsbn13(p.isbn) === isbn13) || null;
+};
+
+/**
+ * RUTA GET /api/products/isbn/:isbn Caută o carte activă după ISBN-10 sau ISBN-13 (ex. cititor de coduri de bare)
+ */
+app.get("/api/products/isbn/:isbn", async (req, res) => {
+   try {
+      if (!toIsbn13(req.params.isbn)) {
+         return res.status(400).json({
+            success: false,
+            message: "ISBN invalid",
+         });
+      }
+
+      const product = findProductByIsbn(await repository.products.find({ isActive: true }), req.params.isbn);
+
+      if (!product) {
+         return res.status(404).json({
+            success: false,
+            message: "Produsul nu a fost găsit",
+         });
+      }
+
+      res.json({
+         success: true,
+         product: toPublicProduct(product, await getReservedQuantities()),
+      });
+   } catch (error) {
+      console.error("Eroare la căutarea după ISBN:", error);
+      res.status(500).json({ success: false, message: "Eroare server" });
+   }
+});
+
+/**
+ * * RUTA GET /api/products/:id - Detaliile unui produs activ
+ * * Include preţul efectiv, procentul de reducere, disponibilitatea şi cărţi similare
+ * * Parametri de interogare:
+ * - related: numărul de cărţi similare (implicit 4, maxim 20)
+ */
+app.get("/api/products/:id", async (req, res) => {
+   try {
+      const productId = Number(req.params.id);
+      const products = await repository.products.find();
+      const product = Number.isInteger(productId) && products.find((p) => p.id === productId && p.isActive === true);
+
+      if (!product) {
+         return res.status(404).json({
+            success: false,
+            message: "Produsul nu a fost găsit",
+         });
+      }
+
+      const relatedLimit = Math.min(Math.max(parseInt(req.query.related) || 4, 0), 20);
+      const reserved = await getReservedQuantities();
+
+      res.json({
+         success: true,
+         product: toPublicProduct(product, reserved),
+         related: findRelatedProducts(product, products, relatedLimit).map(({ product: p, score }) => ({
+            ...toPublicProduct(p, reserved),
+            relevance: score,
+         })),
+      });
+   } catch (error) {
+      console.error("Eroare la obținerea produsului:", error);
+      res.status(500).json({ success: false, message: "Eroare server" });
+   }
+});
+
+const stripe = require("stripe")("sk_test_51PTP1qBVnVm4XrsHx8kIS9f9ehjUSrwxC7G00hsFCPwn9k431jUsBvAwm1R0n8sktiVSnQkvYZr2FXODjjEpjH8d00INU6ab6u");
+
+// inainte de app.get('/', (req, res)
+/**
+ * RUTA POST /api/create-checkout-session
+ * creează sesiune Stripe Checkout pe baza coşului de pe server
+ * Body: { customer, shippingAddress: { county, ... }, billing (opţional: companyName, cui, ...), amount (opţional, doar pentru verificare) }
+ * Preţurile, stocul, reducerea cuponului aplicat pe coş şi transportul (metoda aleasă în coş,
+ * implicit curier) se calculează pe server; "amount" trimis de client
+ * este respins dacă nu corespunde totalului calculat, iar "cartItems" este ignorat.
+ */
+app.post("/api/create-checkout-session", optionalAuth, async (req, res) => {
+   try {
+      const { amount, customer, shippingAddress } = req.body;
+
+      // datele de facturare (firmă cu CUI) sunt opţionale
+      let billing = null;
+      if (req.body.billing) {
+         const { errors, value } = validateBilling(req.body.billing);
+         if (errors) {
+            return res.status(400).json({
+               success: false,
+               error: "Date de facturare invalide",
+               errors,
+            });
+         }
+         billing = value;
+      }
+
+      // comanda se înregistrează pe baza coşului de pe server
+      const cartKey = resolveCartKey(req, res);
+      const cart = await readCart(cartKey);
+      if (cart.items.length === 0) {
+         return res.status(400).json({
+            success: false,
+            error: "Coşul este gol",
+         });
+      }
+
+      // preţurile, stocul, cuponul şi transportul se verifică sub lacătul stocului, împreună cu crearea comenzii
+      // şi rezervarea: două checkout-uri simultane nu pot vinde aceeaşi ultimă bucată
+      const checkout = await withStockLock(async () => {
+         // recalculează preţurile din catalog şi verifică disponibilitatea
+         const { items, errors, subtotal } = await priceCartForCheckout(cart);
+         if (errors.length > 0) {
+            return {
+               error: {
+                  success: false,
+                  error: "Unele produse din coş nu mai sunt disponibile",
+                  items: errors,
+               },
+            };
+         }
+
+         // cuponul aplicat pe coş se reverifică pe preţurile curente
+         let discount = null;
+         if (cart.couponCode) {
+            const result = await evaluateCartCoupon(cart.couponCode, items, req.user);
+            if (result.error) {
+               return {
+                  error: {
+                     success: false,
+                     error: `Cuponul ${cart.couponCode} nu mai poate fi folosit: ${result.error}`,
+                     coupon: cart.couponCode,
+                  },
+               };
+            }
+            discount = {
+               couponId: result.coupon.id,
+               code: result.coupon.code,
+               amount: result.discount,
+               freeShipping: result.freeShipping,
+               productIds: result.productIds,
+            };
+         }
+
+         // costul livrării după metoda aleasă în coş, judeţ, greutate şi pragul de livrare gratuită
+         const merchandiseTotal = Math.round((subtotal - (discount ? discount.amount : 0)) * 100) / 100;
+         const county = (cart.shipping && cart.shipping.county) || (shippingAddress && shippingAddress.county) || null;
+         const methodCode = (cart.shipping && cart.shipping.method) || DEFAULT_SHIPPING_METHOD;
+         const method = await repository.shippingMethods.findOne({ code: methodCode });
+         const quote = method && quoteShippingMethod(method, { items, merchandiseTotal, county, freeShipping: Boolean(discount && discount.freeShipping) });
+         if (!quote || !quote.available) {
+            return {
+               error: {
+                  success: false,
+                  error: quote ? `Livrarea prin ${quote.name} nu este disponibilă: ${quote.reason}` : "Metoda de livrare nu mai este disponibilă",
+                  shippingMethod: methodCode,
+               },
+            };
+         }
+         const shipping = { method: quote.method, name: quote.name, cost: quote.cost, county };
+
+         const total = Math.round((merchandiseTotal + shipping.cost) * 100) / 100;
+         console.log("creează sesiune checkout pentru suma de:", total);
+
+         if (amount !== undefined && Math.round(Number(amount) * 100) !== Math.round(total * 100)) {
+            return {
+               error: {
+                  success: false,
+                  error: "Suma trimisă nu corespunde totalului coşului",
+                  expectedAmount: total,
+               },
+            };
+         }
+
+         const order = await createOrder({ cart: { items }, cartKey, user: req.user, customer, shippingAddress, billing, shipping, discount });
+
+         // stocul rămâne rezervat cât timp sesiunea de plată este deschisă
+         const reservation = await reserveStock(order.id, items);
+         return { items, discount, shipping, total, order, reservation };
+      });
+      if (checkout.error) {
+         return res.status(400).json(checkout.error);
+      }
+      const { items, discount, shipping, total, order, reservation } = checkout;
+
+      // creează randuri pentru produse
+      const lineItems = [
+         ...items.map((item) => ({
+            price_data: {
+               currency: "ron",
+               product_data: {
+                  name: item.title,
+                  description: item.delayedQuantity > 0 ? `de ${item.author} (livrare estimată: ${item.expectedShipDate ? item.expectedShipDate.slice(0, 10) : "după reaprovizionare"})` : `de ${item.author}`,
+                  // Stripe acceptă doar URL-uri absolute pentru imagini
+                  images: /^https?:\/\//.test(item.imageUrl || "") ? [item.imageUrl] : [],
+               },
+               unit_amount: Math.round(item.price * 100), // preț per unitate
+               // deoarece Stripe lucrează în subunități: RON BANI (1 RON = 100 bani)
+            },
+            quantity: item.quantity,
+         })),
+      ];
+      // adaugăm transportul, dacă nu este gratuit
+      if (shipping.cost > 0) {
+         lineItems.push({
+            price_data: {
+               currency: "ron",
+               product_data: {
+                  name: "Transport",
+                  description: shipping.name,
+               },
+               unit_amount: Math.round(shipping.cost * 100),
+            },
+            quantity: 1,
+         });
+      }
+
+      // creează sesiunea Stripe Checkout
+      let session;
+      try {
+         // reducerea ajunge în Stripe ca un cupon de unică folosinţă cu suma calculată aici
+         const discounts = [];
+         if (discount && discount.amount > 0) {
+            const stripeCoupon = await stripe.coupons.create({
+               amount_off: Math.round(discount.amount * 100),
+               currency: "ron",
+               duration: "once",
+               max_redemptions: 1,
+               name: discount.code,
+            });
+            discounts.push({ coupon: stripeCoupon.id });
+         }
+
+         session = await stripe.checkout.sessions.create({
+            payment_method_types: ["card"],
+            line_items: lineItems,
+            discounts,
+            mode: "payment",
+            success_url: `${req.headers.origin}/payment-success?session_id={CHECKOUT_SESSION_ID}&clear_cart=true`,
+            cancel_url: `${req.headers.origin}/`,
+            expires_at: Math.floor(new Date(reservation.expiresAt).getTime() / 1000),
+            metadata: {
+               order_type: "book_store",
+               order_id: String(order.id),
+            },
+         });
+      } catch (error) {
+         await releaseReservation(order.id, "Eroare Stripe");
+         await cancelPendingOrder(order.id, "Sesiunea Stripe nu a putut fi creată");
+         throw error;
+      }
+
+      await withOrderLock(order.id, () => repository.orders.update(order.id, { stripeSessionId: session.id, updatedAt: new Date().toISOString() }));
+
+      console.log("Sesiune checkout creată:", session.id, "pentru comanda", order.id);
+      res.json({
+         success: true,
+         sessionId: session.id,
+         sessionUrl: session.url,
+         orderId: order.id,
+         amount: total,
+         vat: order.vat,
+         fulfilment: order.fulfilment,
+         cartToken: req.cartToken,
+      });
+   } catch (error) {
+      console.error("Eroare Stripe:", error);
       res.status(500).json({
          success: false,
-         message: "Eroare server la golirea coșului",
+         error: "Eroare la crearea sesiunii de plată",
+      });
+   }
+});
+
+app.get("/api/check-payment-status/:sessionId", async (req, res) => {
+   try {
+      const { sessionId } = req.params;
+      const session = await stripe.checkout.sessions.retrieve(sessionId);
+      res.json({
+         success: true,
+         paymentStatus: session.payment_status,
       });
+   } catch (error) {
+      res.status(500).json({ success: false, error: "Eroare verificare plată" });
    }
 });
 
@@ -556,6 +1290,15 @@ if (process.env.NODE_ENV !== "test") {
       console.log(` Produse: http://localhost:${PORT}/api/products `);
       console.log(`\n Server pregătit pentru utilizare!`);
    });
+
+   // Eliberează periodic rezervările de stoc expirate (sesiuni abandonate)
+   // şi reîncearcă notificările rămase în coadă
+   setInterval(() => {
+      releaseExpiredReservations().catch((error) => {
+         console.error("Eroare la eliberarea rezervărilor expirate:", error);
+      });
+      scheduleNotificationDelivery();
+   }, 60 * 1000).unref();
 }
 
 // Exportă aplicația pentru testare
@@ -567,80 +1310,208 @@ module.exports = app;
 // curl "http://localhost:3000" | jq
 // testarea poate fi realizata si din browser, Thunder Client, Postman
 
-const CART_FILE = path.join(__dirname, "data", "cart.json");
+// Header-ul prin care vizitatorii neautentificaţi îşi identifică coşul
+const CART_TOKEN_HEADER = "x-cart-token";
 
 /**
- * Functie helper pentru citirea coşului din fişierul JSON
- * @returns {Object} Obiectul coş sau structură default
+ * Creează un coş gol
+ * @returns {Object}
  */
-const readCart = () => {
-   try {
-      const data = fs.readFileSync(CART_FILE, "utf8");
-      return JSON.parse(data);
-   } catch (error) {
-      // Returnează coş gol dacă fişierul nu există
-      return {
-         items: [],
-         total: 0,
-         totalItems: 0,
-         lastUpdated: new Date().toISOString(),
-      };
+const emptyCart = () => ({
+   items: [],
+   total: 0,
+   totalItems: 0,
+   couponCode: null,
+   discount: null,
+   totalAfterDiscount: 0,
+   vat: null,
+   shipping: null,
+   lastUpdated: new Date().toISOString(),
+});
+
+/**
+ * Functie helper pentru citirea unui coş
+ * Coşurile sunt identificate după cheie: "user:<id>" sau "guest:<token>"
+ * @param {string} cartKey Cheia coşului
+ * @returns {Promise<Object>} Obiectul coş sau coş gol
+ */
+const readCart = async (cartKey) => {
+   const stored = await repository.carts.findById(cartKey);
+   if (!stored) {
+      return emptyCart();
    }
+   // cheia coşului nu se trimite în răspunsuri
+   const { id, ...cart } = stored;
+   return cart;
 };
 
 /**
- * Funcție helper pentru salvarea coşului în fişierul JSON
+ * Funcție helper pentru salvarea unui coş
+ * @param {string} cartKey Cheia coşului
  * @param {Object} cart Obiectul coş de salvat
  */
-const saveCart = (cart) => {
-   try {
-      cart.lastUpdated = new Date().toISOString();
-      fs.writeFileSync(CART_FILE, JSON.stringify(cart, null, 2));
-   } catch (error) {
-      console.error("Eroare la salvarea coşului:", error);
-      throw error;
-   }
+const saveCart = async (cartKey, cart) => {
+   cart.lastUpdated = new Date().toISOString();
+   await repository.carts.replace(cartKey, cart);
 };
+
 /**
- * RUTA POST /api/cart
- * Adaugă un produs în coş
- * Body: { productId, quantity }
+ * Recalculează totalul şi numărul de produse din coş
+ * @param {Object} cart Obiectul coş
+ * @returns {Object} Acelaşi coş, actualizat
  */
-app.post("/api/cart", (req, res) => {
-   try {
-      const { productId, quantity = 1 } = req.body;
+const recalculateCart = (cart) => {
+   cart.total = cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+   cart.totalItems = cart.items.reduce((sum, item) => sum + item.quantity, 0);
+   return cart;
+};
 
-      if (!productId) {
-         return res.status(400).json({
-            success: false,
-            message: "ID produs este obligatoriu",
-         });
-      }
+/**
+ * Determină cheia coşului pentru apelant: coşul contului pentru utilizatorii
+ * autentificaţi, altfel coşul de vizitator identificat prin header-ul X-Cart-Token.
+ * Dacă vizitatorul nu are token (sau are unul invalid) se generează unul nou,
+ * returnat în header şi în req.cartToken.
+ * @returns {string} Cheia coşului
+ */
+const resolveCartKey = (req, res) => {
+   if (req.user) {
+      return `user:${req.user.id}`;
+   }
 
-      // Citește produsele pentru a verifica existenţa
-      const products = readProducts();
-      const product = products.find((p) => p.id === productId && p.isActive === true);
+   let token = req.headers[CART_TOKEN_HEADER];
+   if (!token || !validator.isUUID(token)) {
+      token = crypto.randomUUID();
+   }
+   res.set("X-Cart-Token", token);
+   req.cartToken = token;
+   return `guest:${token}`;
+};
 
-      if (!product) {
-         return res.status(404).json({
+// Cererile pe acelaşi coş rulează pe rând (altfel două adăugări simultane îşi suprascriu modificările)
+const runCartExclusive = createKeyedMutex();
+
+/**
+ * Middleware: determină coşul apelantului (req.cartKey) şi îl blochează până la trimiterea răspunsului
+ */
+const lockCart = (req, res, next) => {
+   const cartKey = resolveCartKey(req, res);
+   req.cartKey = cartKey;
+   runCartExclusive(
+      cartKey,
+      () =>
+         new Promise((resolve) => {
+            res.once("finish", resolve);
+            res.once("close", resolve);
+            next();
+         })
+   );
+};
+
+/**
+ * Mută coşul de vizitator în coşul contului la autentificare.
+ * Cantităţile pentru acelaşi produs se adună, limitate la cât se poate comanda
+ * (stocul disponibil, plus precomenzile sau backorder-ul permis); produsele inactive sau epuizate sunt ignorate.
+ * @param {string} guestToken Token-ul coşului de vizitator
+ * @param {number} userId ID-ul utilizatorului
+ * @returns {Promise<Object|null>} Coşul contului după îmbinare sau null dacă nu exista coş de vizitator
+ */
+const mergeGuestCart = async (guestToken, userId) => {
+   if (!guestToken || !validator.isUUID(guestToken)) {
+      return null;
+   }
+
+   // ambele coşuri sunt blocate (întâi cel de vizitator): o scriere pe coşul de vizitator
+   // în timpul îmbinării s-ar pierde la ştergerea lui
+   const guestKey = `guest:${guestToken}`;
+   const userKey = `user:${userId}`;
+   return runCartExclusive(guestKey, () => runCartExclusive(userKey, async () => {
+      if (!(await repository.carts.findById(guestKey))) {
+         return null;
+      }
+      const guestCart = await readCart(guestKey);
+
+      const userCart = await readCart(userKey);
+      const products = await repository.products.find();
+      const { reserved, delayed } = await getStockCommitments();
+
+      guestCart.items.forEach((guestItem) => {
+         const product = products.find((p) => p.id === guestItem.productId && p.isActive === true);
+         const maxQuantity = product ? planLine(product, 0, { available: availableStock(product, reserved), delayed: delayed[product.id] || 0 }).maxQuantity : 0;
+         if (maxQuantity <= 0) {
+            return;
+         }
+
+         const existingItem = userCart.items.find((item) => item.productId === guestItem.productId);
+         const quantity = Math.min((existingItem ? existingItem.quantity : 0) + guestItem.quantity, maxQuantity);
+
+         if (existingItem) {
+            existingItem.quantity = quantity;
+         } else {
+            userCart.items.push({ ...guestItem, quantity });
+         }
+      });
+
+      recalculateCart(userCart);
+      await saveCart(userKey, userCart);
+      await repository.carts.remove(guestKey);
+
+      console.log(`Coş vizitator îmbinat în coşul utilizatorului ${userId}`);
+      return userCart;
+   }));
+};
+/**
+ * RUTA POST /api/cart
+ * Adaugă un produs în coş
+ * Body: { productId, quantity }
+ * Headers: Authorization (client autentificat) sau X-Cart-Token (vizitator)
+ */
+app.post("/api/cart", optionalAuth, lockCart, async (req, res) => {
+   try {
+      const { productId, quantity = 1 } = req.body;
+
+      if (!productId) {
+         return res.status(400).json({
             success: false,
-            message: "Produsul nu a fost găsit",
+            message: "ID produs este obligatoriu",
          });
       }
 
-      if (product.stock < quantity) {
+      if (!Number.isInteger(quantity) || quantity < 1) {
          return res.status(400).json({
             success: false,
-            message: "Stoc insuficient",
+            message: "Cantitatea trebuie să fie un număr întreg pozitiv",
+         });
+      }
+
+      // Citește produsul pentru a verifica existenţa
+      const product = await repository.products.findOne({ id: productId, isActive: true });
+
+      if (!product) {
+         return res.status(404).json({
+            success: false,
+            message: "Produsul nu a fost găsit",
          });
       }
 
       // Citește coşul existent sau creează unul nou
-      const cart = readCart();
+      const { cartKey } = req;
+      const cart = await readCart(cartKey);
 
       // Verifică dacă produsul există deja în coş
       const existingItemIndex = cart.items.findIndex((item) => item.productId === productId);
 
+      // Stocul se verifică pentru cantitatea totală din coş, nu doar pentru cea adăugată;
+      // precomenzile şi backorder-ul sunt acceptate până la limita produsului
+      const quantityInCart = existingItemIndex > -1 ? cart.items[existingItemIndex].quantity : 0;
+      const line = await planCartLine(product, quantityInCart + quantity);
+      if (!line.ok) {
+         return res.status(400).json({
+            success: false,
+            message: line.message,
+            availableStock: Math.max(0, line.maxQuantity - quantityInCart),
+         });
+      }
+
       if (existingItemIndex > -1) {
          // Actualizează cantitatea
          cart.items[existingItemIndex].quantity += quantity;
@@ -656,185 +1527,2841 @@ app.post("/api/cart", (req, res) => {
             addedAt: new Date().toISOString(),
          });
       }
+      setItemFulfilment(cart.items.find((item) => item.productId === productId), line);
+
+      // Recalculează totalul şi reducerea
+      recalculateCart(cart);
+      const couponWarning = await calculateCartTotals(cart, req.user);
+
+      // Salvează coşul actualizat
+      await saveCart(cartKey, cart);
+
+      res.json({
+         success: true,
+         message: "Produs adăugat în coş",
+         cart: cart,
+         warnings: couponWarning ? [couponWarning] : [],
+         cartToken: req.cartToken,
+      });
+   } catch (error) {
+      console.error("Eroare la adăugarea în coș:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la adăugarea în coş",
+      });
+   }
+});
+
+/**
+ * Cum poate fi onorată o cantitate din coş pentru un produs (vezi planLine)
+ * @param {Object} product
+ * @param {number} quantity Cantitatea totală din coş
+ * @returns {Promise<Object>}
+ */
+const planCartLine = async (product, quantity) => {
+   const { reserved, delayed } = await getStockCommitments();
+   return planLine(product, quantity, { available: availableStock(product, reserved), delayed: delayed[product.id] || 0 });
+};
+
+/**
+ * Notează pe linia din coş câte bucăţi sunt amânate şi când se estimează livrarea lor
+ * @param {Object} item Linia din coş
+ * @param {Object} line Rezultatul planLine
+ */
+const setItemFulfilment = (item, line) => {
+   item.delayedQuantity = line.ok ? line.delayedQuantity : 0;
+   item.expectedShipDate = line.ok ? line.expectedShipDate : null;
+};
+
+/**
+ * Reverifică fiecare linie din coş faţă de catalogul curent.
+ * Preţurile vechi sunt actualizate, iar produsele dezactivate sau fără stoc suficient
+ * sunt marcate (available: false) şi raportate în lista de avertismente.
+ * Bucăţile amânate (precomandă, backorder) apar în delayedQuantity, cu data estimată în expectedShipDate.
+ * @param {Object} cart Obiectul coş
+ * @returns {Promise<{ cart: Object, warnings: Array, changed: boolean }>}
+ */
+const refreshCart = async (cart) => {
+   const products = await repository.products.find();
+   const { reserved, delayed } = await getStockCommitments();
+   const warnings = [];
+   let changed = false;
+
+   cart.items.forEach((item) => {
+      const product = products.find((p) => p.id === item.productId);
+
+      if (!product || product.isActive !== true) {
+         if (item.available !== false) {
+            changed = true;
+         }
+         item.available = false;
+         item.availableStock = 0;
+         warnings.push({ productId: item.productId, type: "unavailable", message: `"${item.title}" nu mai este disponibil` });
+         return;
+      }
+
+      const currentPrice = product.discountPrice || product.price;
+      if (item.price !== currentPrice) {
+         warnings.push({
+            productId: item.productId,
+            type: "price_changed",
+            message: `Preţul pentru "${product.title}" s-a modificat`,
+            oldPrice: item.price,
+            newPrice: currentPrice,
+         });
+         item.price = currentPrice;
+         changed = true;
+      }
+
+      const line = planLine(product, item.quantity, { available: availableStock(product, reserved), delayed: delayed[product.id] || 0 });
+      const available = line.maxQuantity;
+      const isAvailable = line.ok;
+      const previous = { delayedQuantity: item.delayedQuantity, expectedShipDate: item.expectedShipDate };
+      if (item.available !== isAvailable || item.availableStock !== available) {
+         changed = true;
+      }
+      item.available = isAvailable;
+      item.availableStock = available;
+      setItemFulfilment(item, line);
+      if (item.delayedQuantity !== previous.delayedQuantity || item.expectedShipDate !== previous.expectedShipDate) {
+         changed = true;
+      }
+      if (!isAvailable) {
+         warnings.push({
+            productId: item.productId,
+            type: available === 0 ? "out_of_stock" : "insufficient_stock",
+            message: available === 0 ? `"${product.title}" nu mai este în stoc` : `Doar ${available} bucăţi disponibile pentru "${product.title}"`,
+            availableStock: available,
+         });
+      }
+   });
+
+   recalculateCart(cart);
+   return { cart, warnings, changed };
+};
+
+/**
+ * RUTA GET /api/cart Obține conținutul coşului apelantului
+ * Liniile sunt reverificate la fiecare citire (preţ curent, produs activ, stoc)
+ */
+app.get("/api/cart", optionalAuth, lockCart, async (req, res) => {
+   try {
+      const { cartKey } = req;
+      const { cart, warnings, changed } = await refreshCart(await readCart(cartKey));
+      const couponWarning = await calculateCartTotals(cart, req.user);
+      if (couponWarning) {
+         warnings.push(couponWarning);
+      }
+
+      if (changed || couponWarning) {
+         await saveCart(cartKey, cart);
+      }
+
+      res.json({
+         success: true,
+         cart: cart,
+         warnings,
+         cartToken: req.cartToken,
+      });
+   } catch (error) {
+      console.error("Eroare la obținerea coşului:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la obținerea coșului",
+      });
+   }
+});
+
+/**
+ * RUTA POST /api/cart/coupon
+ * Aplică un cupon de reducere pe coş (înlocuieşte cuponul aplicat anterior)
+ * Body: { code }
+ * Înregistrată înaintea rutelor /api/cart/:productId
+ */
+app.post("/api/cart/coupon", optionalAuth, lockCart, async (req, res) => {
+   try {
+      const { code } = req.body;
+      if (typeof code !== "string" || code.trim() === "") {
+         return res.status(400).json({
+            success: false,
+            message: "Codul cuponului este obligatoriu",
+         });
+      }
+
+      const { cartKey } = req;
+      const { cart } = await refreshCart(await readCart(cartKey));
+      if (cart.items.length === 0) {
+         return res.status(400).json({
+            success: false,
+            message: "Coşul este gol",
+         });
+      }
+
+      const result = await evaluateCartCoupon(code, availableCartItems(cart, await repository.products.find()), req.user);
+      if (result.error) {
+         return res.status(result.coupon ? 400 : 404).json({
+            success: false,
+            message: result.error,
+         });
+      }
+
+      cart.couponCode = result.coupon.code;
+      await calculateCartTotals(cart, req.user);
+      await saveCart(cartKey, cart);
+
+      res.json({
+         success: true,
+         message: "Cupon aplicat",
+         cart: cart,
+         cartToken: req.cartToken,
+      });
+   } catch (error) {
+      console.error("Eroare la aplicarea cuponului:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la aplicarea cuponului",
+      });
+   }
+});
+
+/**
+ * RUTA DELETE /api/cart/coupon Elimină cuponul aplicat pe coş
+ */
+app.delete("/api/cart/coupon", optionalAuth, lockCart, async (req, res) => {
+   try {
+      const { cartKey } = req;
+      const cart = await readCart(cartKey);
+      cart.couponCode = null;
+      recalculateCart(cart);
+      await calculateCartTotals(cart, req.user);
+      await saveCart(cartKey, cart);
+
+      res.json({
+         success: true,
+         message: "Cupon eliminat",
+         cart: cart,
+         cartToken: req.cartToken,
+      });
+   } catch (error) {
+      console.error("Eroare la eliminarea cuponului:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la eliminarea cuponului",
+      });
+   }
+});
+
+/**
+ * RUTA PUT /api/cart/:productId
+ * Setează cantitatea exactă pentru un produs din coş (0 = şterge)
+ * Body: { quantity }
+ */
+app.put("/api/cart/:productId", optionalAuth, lockCart, async (req, res) => {
+   try {
+      const productId = Number(req.params.productId);
+      const { quantity } = req.body;
+
+      if (!Number.isInteger(quantity) || quantity < 0) {
+         return res.status(400).json({
+            success: false,
+            message: "Cantitatea trebuie să fie un număr întreg mai mare sau egal cu 0",
+         });
+      }
+
+      const { cartKey } = req;
+      const cart = await readCart(cartKey);
+      const item = cart.items.find((i) => i.productId === productId);
+
+      if (!item) {
+         return res.status(404).json({
+            success: false,
+            message: "Produsul nu este în coş",
+         });
+      }
+
+      if (quantity === 0) {
+         cart.items = cart.items.filter((i) => i.productId !== productId);
+      } else {
+         const product = await repository.products.findOne({ id: productId, isActive: true });
+         if (!product) {
+            return res.status(404).json({
+               success: false,
+               message: "Produsul nu a fost găsit",
+            });
+         }
+
+         const line = await planCartLine(product, quantity);
+         if (!line.ok) {
+            return res.status(400).json({
+               success: false,
+               message: line.message,
+               availableStock: line.maxQuantity,
+            });
+         }
+
+         item.quantity = quantity;
+         item.price = product.discountPrice || product.price;
+         setItemFulfilment(item, line);
+      }
+
+      recalculateCart(cart);
+      const couponWarning = await calculateCartTotals(cart, req.user);
+      await saveCart(cartKey, cart);
+
+      res.json({
+         success: true,
+         message: quantity === 0 ? "Produs șters din coş" : "Cantitate actualizată",
+         cart: cart,
+         warnings: couponWarning ? [couponWarning] : [],
+         cartToken: req.cartToken,
+      });
+   } catch (error) {
+      console.error("Eroare la actualizarea coșului:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la actualizarea coşului",
+      });
+   }
+});
+
+/**
+ * RUTA DELETE /api/cart/:productId
+ * Sterge un produs din coș
+ */
+app.delete("/api/cart/:productId", optionalAuth, lockCart, async (req, res) => {
+   try {
+      const { productId } = req.params;
+      const { cartKey } = req;
+      const cart = await readCart(cartKey);
+
+      // Convertim productId la number
+      const productIdNum = Number(productId);
+
+      // Filtrează cartile din cos, eliminând pe cel cu productId-ul dorit
+      cart.items = cart.items.filter((item) => item.productId !== productIdNum);
+
+      // Recalculează totalul şi reducerea
+      recalculateCart(cart);
+      const couponWarning = await calculateCartTotals(cart, req.user);
+
+      await saveCart(cartKey, cart);
+
+      res.json({
+         success: true,
+         message: "Produs șters din coş",
+         cart: cart,
+         warnings: couponWarning ? [couponWarning] : [],
+         cartToken: req.cartToken,
+      });
+   } catch (error) {
+      console.error("Eroare la ştergerea din coș:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la ştergerea din coş",
+      });
+   }
+});
+
+/**
+ * RUTA POST /api/clear-cart Golește coșul apelantului
+ */
+app.post("/api/clear-cart", optionalAuth, lockCart, async (req, res) => {
+   try {
+      const { cartKey } = req;
+      const cart = await readCart(cartKey);
+      // sterge toate produsele din coș şi cuponul aplicat
+      cart.items = [];
+      cart.couponCode = null;
+      recalculateCart(cart);
+      await calculateCartTotals(cart, req.user);
+      await saveCart(cartKey, cart);
+      res.json({
+         success: true,
+         message: "Coș golit cu succes",
+         cartToken: req.cartToken,
+      });
+   } catch (error) {
+      console.error("Eroare la golirea coșului:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la golirea coșului",
+      });
+   }
+});
+
+/**
+ * =====================================
+ * CUPOANE DE REDUCERE
+ * =====================================
+ */
+
+/**
+ * Utilizările unui cupon: plăţile finalizate, plus comenzile cu acest cupon încă în curs de plată
+ * (rezervare activă) sau plătite dar neînregistrate încă. Utilizările provizorii se eliberează
+ * când comanda este anulată sau sesiunea Stripe expiră, ca limitele să nu fie depăşite de plăţi simultane.
+ * @param {number} couponId
+ * @param {number|null} userId
+ * @returns {Promise<{ totalUsage: number, userUsage: number }>}
+ */
+const getCouponUsage = async (couponId, userId) => {
+   const redemptions = await repository.couponRedemptions.find({ couponId });
+   const redeemed = new Set(redemptions.map((redemption) => redemption.orderId));
+   const now = new Date();
+   const tentative = [];
+   for (const order of await repository.orders.find({ "discount.couponId": couponId })) {
+      if (redeemed.has(order.id)) {
+         continue;
+      }
+      if (order.status === "paid" || (order.status === "pending" && isReservationActive(await repository.reservations.findById(order.id), now))) {
+         tentative.push(order);
+      }
+   }
+
+   // utilizările comenzilor anulate sau rambursate după plată nu se mai numără
+   const uses = [...redemptions.filter((redemption) => !redemption.voidedAt), ...tentative];
+   return {
+      totalUsage: uses.length,
+      userUsage: userId ? uses.filter((use) => use.userId === userId).length : 0,
+   };
+};
+
+/**
+ * Liniile disponibile din coş, cu categoria din catalog (pentru cupoanele limitate la categorii)
+ * @param {Object} cart
+ * @param {Array} products Catalogul curent
+ * @returns {Array}
+ */
+const availableCartItems = (cart, products) =>
+   cart.items
+      .filter((item) => item.available !== false)
+      .map((item) => {
+         const product = products.find((p) => p.id === item.productId);
+         return { ...item, category: product ? product.category : null };
+      });
+
+/**
+ * Verifică un cod de cupon pentru liniile unui coş
+ * @param {string} code Codul introdus de client
+ * @param {Array} items Liniile coşului ({ productId, category, price, quantity })
+ * @param {Object} [user] Utilizatorul autentificat
+ * @returns {Promise<Object>} { coupon, discount, freeShipping } sau { coupon, error } (coupon = null dacă nu există)
+ */
+const evaluateCartCoupon = async (code, items, user) => {
+   const coupon = await repository.coupons.findOne({ code: code.trim().toUpperCase() });
+   if (!coupon) {
+      return { coupon: null, error: "Cuponul nu există" };
+   }
+   const userId = user ? user.id : null;
+   const usage = await getCouponUsage(coupon.id, userId);
+   return { coupon, ...evaluateCoupon(coupon, { items, userId, ...usage }) };
+};
+
+/**
+ * Recalculează totalurile coşului după total: reducerea cuponului aplicat (cart.discount,
+ * cart.totalAfterDiscount) şi defalcarea TVA inclus (cart.vat: net, TVA, brut pe cote, fără transport).
+ * Un cupon care nu mai este valabil (expirat, limită atinsă, coş sub valoarea minimă) este eliminat.
+ * Reducerea, totalul de plată şi TVA-ul se calculează din aceleaşi linii: cele disponibile (ca la checkout).
+ * @param {Object} cart Coşul, cu totalul deja recalculat
+ * @param {Object} [user] Utilizatorul autentificat
+ * @returns {Promise<Object|null>} Avertismentul "coupon_removed" sau null
+ */
+const calculateCartTotals = async (cart, user) => {
+   const products = await repository.products.find();
+   const items = availableCartItems(cart, products);
+   const payable = items.reduce((sum, item) => sum + Math.round(item.price * 100) * item.quantity, 0) / 100;
+   cart.discount = null;
+   cart.totalAfterDiscount = payable;
+
+   let warning = null;
+   let coupon = null;
+   if (cart.couponCode) {
+      const code = cart.couponCode;
+      const result = await evaluateCartCoupon(code, items, user);
+      if (result.error) {
+         cart.couponCode = null;
+         warning = { type: "coupon_removed", code, message: `Cuponul ${code} a fost eliminat: ${result.error}` };
+      } else {
+         coupon = result;
+         cart.discount = {
+            code: result.coupon.code,
+            description: result.coupon.description,
+            type: result.coupon.type,
+            amount: result.discount,
+            freeShipping: result.freeShipping,
+         };
+         cart.totalAfterDiscount = Math.round((payable - result.discount) * 100) / 100;
+      }
+   }
+
+   cart.vat = vatBreakdown(discountedLines(items, coupon && { amount: coupon.discount, productIds: coupon.productIds }));
+   return warning;
+};
+
+/**
+ * Înregistrează folosirea cuponului unei comenzi plătite (o singură dată per comandă)
+ * @param {Object} order Comanda, cu order.discount
+ */
+const recordCouponRedemption = async (order) => {
+   if (await repository.couponRedemptions.findOne({ orderId: order.id })) {
+      return;
+   }
+   await repository.couponRedemptions.insert({
+      couponId: order.discount.couponId,
+      code: order.discount.code,
+      orderId: order.id,
+      userId: order.userId,
+      email: order.customer.email,
+      amount: order.discount.amount,
+      redeemedAt: new Date().toISOString(),
+   });
+};
+
+/**
+ * Anulează utilizarea cuponului unei comenzi plătite care a fost anulată sau rambursată integral,
+ * odată cu readucerea stocului. Înregistrarea rămâne (voidedAt), dar nu mai ocupă limitele cuponului.
+ * @param {Object} order Comanda
+ * @param {string} reason Motivul
+ */
+const voidCouponRedemption = async (order, reason) => {
+   const redemption = await repository.couponRedemptions.findOne({ orderId: order.id });
+   if (redemption && !redemption.voidedAt) {
+      await repository.couponRedemptions.update(redemption.id, { voidedAt: new Date().toISOString(), voidReason: reason });
+   }
+};
+
+/**
+ * Răspunsul 400 pentru datele invalide ale unui cupon
+ */
+const couponValidationError = (res, errors) => {
+   const missingFields = Object.keys(errors).filter((field) => errors[field] === "Câmp obligatoriu");
+   return res.status(400).json({
+      success: false,
+      message: missingFields.length > 0 ? `Câmpuri obligatorii lipsă: ${missingFields.join(", ")}` : "Date invalide pentru cupon",
+      missingFields,
+      errors,
+   });
+};
+
+/**
+ * RUTA GET /api/admin/coupons Toate cupoanele, cu numărul de utilizări
+ */
+app.get("/api/admin/coupons", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const coupons = await repository.coupons.find();
+      const redemptions = await repository.couponRedemptions.find();
+
+      res.json({
+         success: true,
+         coupons: coupons
+            .map((coupon) => ({ ...coupon, usage: redemptions.filter((redemption) => redemption.couponId === coupon.id && !redemption.voidedAt).length }))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+      });
+   } catch (error) {
+      console.error("Eroare la obținerea cupoanelor:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la obținerea cupoanelor",
+      });
+   }
+});
+
+/**
+ * RUTA POST /api/admin/coupons Creează un cupon
+ * Body: câmpurile din COUPON_SCHEMA (utils/coupons.js); codul trebuie să fie unic
+ */
+app.post("/api/admin/coupons", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const { errors, value } = validateCoupon(req.body);
+      if (errors) {
+         return couponValidationError(res, errors);
+      }
+
+      if (await repository.coupons.findOne({ code: value.code })) {
+         return res.status(409).json({
+            success: false,
+            message: "Există deja un cupon cu acest cod",
+            errors: { code: "Codul este deja folosit" },
+         });
+      }
+
+      const now = new Date().toISOString();
+      const coupon = await repository.coupons.insert({
+         ...value,
+         createdAt: now,
+         updatedAt: now,
+         createdBy: req.user.id,
+      });
+      await recordAudit(req, { entity: "coupon", entityId: coupon.id, action: "create", after: coupon });
+
+      console.log("Cupon creat:", coupon.code);
+      res.status(201).json({
+         success: true,
+         message: "Cupon creat cu succes",
+         coupon,
+      });
+   } catch (error) {
+      console.error("Eroare la crearea cuponului:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la crearea cuponului",
+      });
+   }
+});
+
+/**
+ * RUTA PUT /api/admin/coupons/:id Actualizează un cupon (doar câmpurile trimise)
+ */
+app.put("/api/admin/coupons/:id", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const couponId = parseInt(req.params.id);
+      const current = await repository.coupons.findById(couponId);
+      if (!current) {
+         return res.status(404).json({
+            success: false,
+            message: "Cuponul nu a fost găsit",
+         });
+      }
+
+      const { errors, value } = validateCoupon(req.body, { partial: true, current });
+      if (errors) {
+         return couponValidationError(res, errors);
+      }
+
+      if (value.code && value.code !== current.code && (await repository.coupons.findOne({ code: value.code }))) {
+         return res.status(409).json({
+            success: false,
+            message: "Există deja un cupon cu acest cod",
+            errors: { code: "Codul este deja folosit" },
+         });
+      }
+
+      const coupon = await repository.coupons.update(couponId, { ...value, updatedAt: new Date().toISOString() });
+      await recordAudit(req, { entity: "coupon", entityId: couponId, action: "update", before: current, after: coupon });
+
+      res.json({
+         success: true,
+         message: "Cupon actualizat cu succes",
+         coupon,
+      });
+   } catch (error) {
+      console.error("Eroare la actualizarea cuponului:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la actualizarea cuponului",
+      });
+   }
+});
+
+/**
+ * RUTA DELETE /api/admin/coupons/:id
+ * Şterge un cupon nefolosit; un cupon folosit este doar dezactivat (comenzile îl referă)
+ */
+app.delete("/api/admin/coupons/:id", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const couponId = parseInt(req.params.id);
+      const coupon = await repository.coupons.findById(couponId);
+      if (!coupon) {
+         return res.status(404).json({
+            success: false,
+            message: "Cuponul nu a fost găsit",
+         });
+      }
+
+      const { totalUsage } = await getCouponUsage(couponId, null);
+      if (totalUsage > 0) {
+         const deactivated = await repository.coupons.update(couponId, { isActive: false, updatedAt: new Date().toISOString() });
+         await recordAudit(req, { entity: "coupon", entityId: couponId, action: "deactivate", before: coupon, after: deactivated });
+         return res.json({
+            success: true,
+            message: "Cuponul a fost folosit, aşa că a fost dezactivat",
+            deactivated: true,
+         });
+      }
+
+      await repository.coupons.remove(couponId);
+      await recordAudit(req, { entity: "coupon", entityId: couponId, action: "delete", before: coupon });
+      res.json({
+         success: true,
+         message: "Cupon şters cu succes",
+         deactivated: false,
+      });
+   } catch (error) {
+      console.error("Eroare la ştergerea cuponului:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la ştergerea cuponului",
+      });
+   }
+});
+
+/**
+ * =====================================
+ * LIVRARE
+ * =====================================
+ */
+
+/**
+ * Ofertele metodelor de livrare active pentru coşul apelantului.
+ * Pragul de livrare gratuită se compară cu valoarea produselor după reducerea cuponului;
+ * un cupon care nu mai este valabil este ignorat aici (se reverifică la checkout).
+ * @param {Object} cart Coşul
+ * @param {Object} [user] Utilizatorul autentificat
+ * @param {string} [county] Judeţul de livrare
+ * @returns {Promise<{ items: Array, merchandiseTotal: number, quotes: Array }>}
+ */
+const quoteCartShipping = async (cart, user, county) => {
+   const { items, subtotal } = await priceCartForCheckout(cart);
+
+   let discount = null;
+   if (cart.couponCode) {
+      const result = await evaluateCartCoupon(cart.couponCode, items, user);
+      discount = result.error ? null : result;
+   }
+   const merchandiseTotal = Math.round((subtotal - (discount ? discount.discount : 0)) * 100) / 100;
+
+   const methods = await repository.shippingMethods.find({ isActive: true });
+   const quotes = methods.map((method) => quoteShippingMethod(method, { items, merchandiseTotal, county, freeShipping: Boolean(discount && discount.freeShipping) }));
+   return { items, merchandiseTotal, quotes };
+};
+
+/**
+ * RUTA GET /api/shipping/quote
+ * Costul fiecărei metode de livrare pentru coşul apelantului
+ * Parametri interogare: county (judeţul de livrare; implicit cel ales în coş)
+ */
+app.get("/api/shipping/quote", optionalAuth, async (req, res) => {
+   try {
+      const cartKey = resolveCartKey(req, res);
+      const cart = await readCart(cartKey);
+      if (cart.items.length === 0) {
+         return res.status(400).json({
+            success: false,
+            message: "Coşul este gol",
+         });
+      }
+
+      const county = req.query.county || (cart.shipping && cart.shipping.county) || null;
+      const { merchandiseTotal, quotes } = await quoteCartShipping(cart, req.user, county);
+
+      res.json({
+         success: true,
+         county,
+         merchandiseTotal,
+         selectedMethod: (cart.shipping && cart.shipping.method) || DEFAULT_SHIPPING_METHOD,
+         quotes,
+         cartToken: req.cartToken,
+      });
+   } catch (error) {
+      console.error("Eroare la calculul livrării:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la calculul livrării",
+      });
+   }
+});
+
+/**
+ * RUTA POST /api/cart/shipping
+ * Alege metoda de livrare pentru coş
+ * Body: { method, county }
+ */
+app.post("/api/cart/shipping", optionalAuth, lockCart, async (req, res) => {
+   try {
+      const { method, county = null } = req.body;
+      if (typeof method !== "string" || method.trim() === "") {
+         return res.status(400).json({
+            success: false,
+            message: "Metoda de livrare este obligatorie",
+         });
+      }
+
+      const { cartKey } = req;
+      const cart = await readCart(cartKey);
+      if (cart.items.length === 0) {
+         return res.status(400).json({
+            success: false,
+            message: "Coşul este gol",
+         });
+      }
+
+      const { quotes } = await quoteCartShipping(cart, req.user, county);
+      const quote = quotes.find((q) => q.method === method.trim().toLowerCase());
+      if (!quote) {
+         return res.status(404).json({
+            success: false,
+            message: "Metoda de livrare nu există",
+         });
+      }
+      if (!quote.available) {
+         return res.status(400).json({
+            success: false,
+            message: quote.reason,
+            quote,
+         });
+      }
+
+      cart.shipping = { method: quote.method, county };
+      await saveCart(cartKey, cart);
+
+      res.json({
+         success: true,
+         message: "Metodă de livrare aleasă",
+         cart: cart,
+         quote,
+         cartToken: req.cartToken,
+      });
+   } catch (error) {
+      console.error("Eroare la alegerea livrării:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la alegerea livrării",
+      });
+   }
+});
+
+/**
+ * Răspunsul 400 pentru datele invalide ale unei metode de livrare
+ */
+const shippingValidationError = (res, errors) => {
+   const missingFields = Object.keys(errors).filter((field) => errors[field] === "Câmp obligatoriu");
+   return res.status(400).json({
+      success: false,
+      message: missingFields.length > 0 ? `Câmpuri obligatorii lipsă: ${missingFields.join(", ")}` : "Date invalide pentru metoda de livrare",
+      missingFields,
+      errors,
+   });
+};
+
+/**
+ * RUTA GET /api/admin/shipping-methods Toate metodele de livrare, inclusiv cele inactive
+ */
+app.get("/api/admin/shipping-methods", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      res.json({
+         success: true,
+         methods: (await repository.shippingMethods.find()).sort((a, b) => a.id - b.id),
+      });
+   } catch (error) {
+      console.error("Eroare la obținerea metodelor de livrare:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la obținerea metodelor de livrare",
+      });
+   }
+});
+
+/**
+ * RUTA POST /api/admin/shipping-methods Adaugă o metodă de livrare
+ * Body: câmpurile din SHIPPING_METHOD_SCHEMA (utils/shipping.js); codul trebuie să fie unic
+ */
+app.post("/api/admin/shipping-methods", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const { errors, value } = validateShippingMethod(req.body);
+      if (errors) {
+         return shippingValidationError(res, errors);
+      }
+
+      if (await repository.shippingMethods.findOne({ code: value.code })) {
+         return res.status(409).json({
+            success: false,
+            message: "Există deja o metodă de livrare cu acest cod",
+            errors: { code: "Codul este deja folosit" },
+         });
+      }
+
+      const now = new Date().toISOString();
+      const method = await repository.shippingMethods.insert({ ...value, createdAt: now, updatedAt: now });
+      await recordAudit(req, { entity: "shippingMethod", entityId: method.id, action: "create", after: method });
+
+      res.status(201).json({
+         success: true,
+         message: "Metodă de livrare adăugată",
+         method,
+      });
+   } catch (error) {
+      console.error("Eroare la adăugarea metodei de livrare:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la adăugarea metodei de livrare",
+      });
+   }
+});
+
+/**
+ * RUTA PUT /api/admin/shipping-methods/:id Actualizează o metodă de livrare (doar câmpurile trimise)
+ */
+app.put("/api/admin/shipping-methods/:id", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const methodId = parseInt(req.params.id);
+      const current = await repository.shippingMethods.findById(methodId);
+      if (!current) {
+         return res.status(404).json({
+            success: false,
+            message: "Metoda de livrare nu a fost găsită",
+         });
+      }
+
+      const { errors, value } = validateShippingMethod(req.body, { partial: true });
+      if (errors) {
+         return shippingValidationError(res, errors);
+      }
+
+      if (value.code && value.code !== current.code && (await repository.shippingMethods.findOne({ code: value.code }))) {
+         return res.status(409).json({
+            success: false,
+            message: "Există deja o metodă de livrare cu acest cod",
+            errors: { code: "Codul este deja folosit" },
+         });
+      }
+
+      const method = await repository.shippingMethods.update(methodId, { ...value, updatedAt: new Date().toISOString() });
+      await recordAudit(req, { entity: "shippingMethod", entityId: methodId, action: "update", before: current, after: method });
+
+      res.json({
+         success: true,
+         message: "Metodă de livrare actualizată",
+         method,
+      });
+   } catch (error) {
+      console.error("Eroare la actualizarea metodei de livrare:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la actualizarea metodei de livrare",
+      });
+   }
+});
+
+/**
+ * RUTA DELETE /api/admin/shipping-methods/:id
+ * Şterge o metodă de livrare; comenzile existente păstrează numele şi costul copiate la plasare
+ */
+app.delete("/api/admin/shipping-methods/:id", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const methodId = parseInt(req.params.id);
+      const method = await repository.shippingMethods.findById(methodId);
+      if (!method) {
+         return res.status(404).json({
+            success: false,
+            message: "Metoda de livrare nu a fost găsită",
+         });
+      }
+
+      await repository.shippingMethods.remove(methodId);
+      await recordAudit(req, { entity: "shippingMethod", entityId: methodId, action: "delete", before: method });
+
+      res.json({
+         success: true,
+         message: "Metodă de livrare ştearsă",
+      });
+   } catch (error) {
+      console.error("Eroare la ştergerea metodei de livrare:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la ştergerea metodei de livrare",
+      });
+   }
+});
+
+/**
+ * =====================================
+ * FUNCTII HELPER PENTRU COMENZI
+ * =====================================
+ */
+
+/**
+ * Ciclul de viaţă al unei comenzi: pentru fiecare status, statusurile următoare permise
+ * pending -> paid -> shipped -> delivered, sau -> cancelled
+ */
+const ORDER_STATUS_TRANSITIONS = {
+   pending: ["paid", "cancelled"],
+   paid: ["shipped", "cancelled"],
+   shipped: ["delivered"],
+   delivered: [],
+   cancelled: [],
+};
+
+/**
+ * Creează o comandă "pending" cu produsele copiate din coş
+ * @param {Object} params
+ * @param {Object} params.cart Coşul din care se face comanda
+ * @param {string} params.cartKey Cheia coşului (pentru golire după plată)
+ * @param {Object} [params.user] Utilizatorul autentificat (din token)
+ * @param {Object} [params.customer] Datele clientului trimise la checkout
+ * @param {Object} [params.shippingAddress] Adresa de livrare
+ * @param {Object} [params.billing] Datele de facturare (firmă)
+ * @param {Object} params.shipping Livrarea calculată ({ method, name, cost, county })
+ * @param {Object} [params.discount] Cuponul aplicat ({ couponId, code, amount, freeShipping })
+ * @returns {Promise<Object>} Comanda salvată
+ */
+const createOrder = async ({ cart, cartKey, user, customer = {}, shippingAddress = null, billing = null, shipping, discount = null }) => {
+   const now = new Date().toISOString();
+
+   const items = cart.items.map((item) => ({
+      productId: item.productId,
+      title: item.title,
+      author: item.author,
+      price: item.price,
+      quantity: item.quantity,
+      lineTotal: Math.round(item.price * item.quantity * 100) / 100,
+      vatRate: item.vatRate,
+      // bucăţile care se livrează la apariţie / după reaprovizionare
+      delayedQuantity: item.delayedQuantity || 0,
+      expectedShipDate: item.expectedShipDate || null,
+   }));
+   const subtotal = Math.round(items.reduce((sum, item) => sum + item.lineTotal, 0) * 100) / 100;
+
+   const order = {
+      userId: user ? user.id : null,
+      cartKey,
+      customer: {
+         name: user ? user.name : customer.name || "",
+         email: user ? user.email : customer.email || "",
+         phone: customer.phone || "",
+      },
+      items,
+      subtotal,
+      discount,
+      billing,
+      shipping: {
+         method: shipping.method,
+         name: shipping.name,
+         cost: shipping.cost,
+         address: shippingAddress,
+      },
+      // expedierile: produsele din stoc imediat, cele amânate la data estimată ("split" dacă sunt mai multe)
+      fulfilment: planFulfilment(items),
+      total: Math.round((subtotal - (discount ? discount.amount : 0) + shipping.cost) * 100) / 100,
+      // TVA inclus în total, pe cote (produsele după reducere, transportul la cota standard)
+      vat: vatBreakdown([...discountedLines(items, discount), { gross: shipping.cost, rate: VAT_RATES.standard }]),
+      currency: "RON",
+      invoiceId: null,
+      status: "pending",
+      statusHistory: [{ status: "pending", at: now, by: user ? user.id : null }],
+      stripeSessionId: null,
+      createdAt: now,
+      updatedAt: now,
+   };
+
+   // ID-ul incrementat este atribuit de repository
+   return repository.orders.insert(order);
+};
+
+/**
+ * Recalculează coşul pentru checkout folosind catalogul curent:
+ * preţul efectiv (discountPrice || price), produsele active şi stocul disponibil (fără rezervări).
+ * Precomenzile şi backorder-ul sunt acceptate până la limita produsului, cu data estimată de livrare.
+ * @param {Object} cart Coşul clientului
+ * @returns {Promise<{ items: Array, errors: Array, subtotal: number }>} Liniile valide, problemele găsite şi subtotalul
+ */
+const priceCartForCheckout = async (cart) => {
+   const products = await repository.products.find();
+   const { reserved, delayed } = await getStockCommitments();
+   const items = [];
+   const errors = [];
+
+   cart.items.forEach((cartItem) => {
+      const product = products.find((p) => p.id === cartItem.productId);
+
+      if (!product || product.isActive !== true) {
+         errors.push({ productId: cartItem.productId, title: cartItem.title, message: "Produsul nu mai este disponibil" });
+         return;
+      }
+      const line = planLine(product, cartItem.quantity, { available: availableStock(product, reserved), delayed: delayed[product.id] || 0 });
+      if (!line.ok) {
+         errors.push({ productId: product.id, title: product.title, message: line.message });
+         return;
+      }
+
+      items.push({
+         productId: product.id,
+         title: product.title,
+         author: product.author,
+         category: product.category,
+         vatRate: vatRateForCategory(product.category),
+         weight: product.weight,
+         imageUrl: product.imageUrl,
+         price: product.discountPrice || product.price,
+         quantity: cartItem.quantity,
+         delayedQuantity: line.delayedQuantity,
+         expectedShipDate: line.expectedShipDate,
+      });
+   });
+
+   // calcul în bani pentru a evita erorile de rotunjire
+   const subtotal = items.reduce((sum, item) => sum + Math.round(item.price * 100) * item.quantity, 0) / 100;
+
+   return { items, errors, subtotal };
+};
+
+/**
+ * Verifică dacă o comandă poate trece dintr-un status în altul
+ * @param {string} from Statusul curent
+ * @param {string} to Statusul dorit
+ * @returns {boolean}
+ */
+const canTransitionOrder = (from, to) => (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Schimbă statusul unei comenzi (fără salvare), cu istoric
+ * @param {Object} order Comanda
+ * @param {string} status Statusul nou
+ * @param {Object} [details] { by, note }
+ * @returns {boolean} false dacă tranziţia nu este permisă
+ */
+const setOrderStatus = (order, status, { by = null, note } = {}) => {
+   if (!canTransitionOrder(order.status, status)) {
+      return false;
+   }
+   const now = new Date().toISOString();
+   order.status = status;
+   order.statusHistory.push({ status, at: now, by, ...(note ? { note } : {}) });
+   order.updatedAt = now;
+   // expedierile urmează comanda (expedierea parţială nu este încă posibilă)
+   if (order.fulfilment && ["shipped", "delivered", "cancelled"].includes(status)) {
+      order.fulfilment.shipments.forEach((shipment) => {
+         shipment.status = status;
+      });
+   }
+   return true;
+};
+
+/**
+ * Anulează o comandă aflată încă în "pending"
+ * @param {number} orderId ID-ul comenzii
+ * @param {string} note Motivul anulării
+ */
+const cancelPendingOrder = (orderId, note) =>
+   withOrderLock(orderId, async (order) => {
+      if (order && order.status === "pending" && setOrderStatus(order, "cancelled", { note })) {
+         await repository.orders.replace(order.id, order);
+         await expireCheckoutSession(order);
+      }
+   });
+
+/**
+ * Închide sesiunea Stripe a unei comenzi anulate înainte de plată, ca ea să nu mai poată fi plătită.
+ * O sesiune deja finalizată nu mai poate fi închisă: plata ei ajunge prin webhook şi este semnalată pe comandă.
+ * @param {Object} order Comanda anulată
+ */
+const expireCheckoutSession = async (order) => {
+   if (!order.stripeSessionId) {
+      return;
+   }
+   try {
+      await stripe.checkout.sessions.expire(order.stripeSessionId);
+   } catch (error) {
+      console.error(`Sesiunea Stripe ${order.stripeSessionId} nu a putut fi închisă:`, error.message);
+   }
+};
+
+/**
+ * =====================================
+ * REGISTRUL DE STOC
+ * =====================================
+ */
+
+/**
+ * Adaugă o mişcare în registrul de stoc
+ * @param {Object} product Produsul înainte de mişcare
+ * @param {Object} movement { type, quantity, stockAfter, reason, orderId, by, ... }
+ * @returns {Promise<Object>} Mişcarea salvată
+ */
+const recordStockMovement = (product, { type, quantity, stockAfter = product.stock, reason = "", orderId = null, by = null, ...details }) =>
+   repository.stockMovements.insert({
+      productId: product.id,
+      type,
+      quantity,
+      stockBefore: product.stock,
+      stockAfter,
+      reason,
+      orderId,
+      by,
+      ...details,
+      createdAt: new Date().toISOString(),
+   });
+
+/**
+ * Modifică stocul fizic al unui produs şi înregistrează mişcarea (stocul nu scade sub 0)
+ * @param {Object} product Produsul
+ * @param {number} quantity Diferenţa (pozitivă sau negativă)
+ * @param {Object} movement { type, reason, orderId, by, ... }
+ * @returns {Promise<{ product: Object, movement: Object }>} Produsul actualizat şi mişcarea salvată
+ */
+const changeStock = async (product, quantity, movement) => {
+   const stock = Math.max(0, product.stock + quantity);
+   const updated = await repository.products.update(product.id, { stock, updatedAt: new Date().toISOString() });
+   const recorded = await recordStockMovement(product, { ...movement, quantity: stock - product.stock, stockAfter: stock });
+   return { product: updated, movement: recorded };
+};
+
+/**
+ * Înregistrează stocul unui produs nou ca şi corecţie de la 0
+ * @param {Object} product Produsul creat
+ * @param {string} reason
+ * @param {number} by ID-ul administratorului
+ */
+const recordInitialStock = async (product, reason, by) => {
+   if (product.stock > 0) {
+      await recordStockMovement({ ...product, stock: 0 }, { type: "adjustment", quantity: product.stock, stockAfter: product.stock, reason, by });
+   }
+};
+
+/**
+ * Înregistrează ca şi corecţie stocul modificat prin editarea produsului (formular sau import)
+ * @param {Object} before Produsul înainte de actualizare
+ * @param {Object} after Produsul actualizat
+ * @param {string} reason
+ * @param {number} by ID-ul administratorului
+ */
+const recordStockEdit = async (before, after, reason, by) => {
+   if (after.stock !== before.stock) {
+      await recordStockMovement(before, { type: "adjustment", quantity: after.stock - before.stock, stockAfter: after.stock, reason, by });
+   }
+};
+
+/**
+ * Înregistrează rezervarea sau eliberarea stocului pentru liniile unei rezervări
+ * @param {Object} reservation Rezervarea
+ * @param {string} type "reservation" sau "reservation_release"
+ * @param {string} [reason]
+ */
+const recordReservationMovements = async (reservation, type, reason) => {
+   for (const item of reservation.items.filter((line) => line.quantity > 0)) {
+      const product = await repository.products.findById(item.productId);
+      if (product) {
+         await recordStockMovement(product, {
+            type,
+            quantity: type === "reservation" ? -item.quantity : item.quantity,
+            reason,
+            orderId: reservation.orderId,
+         });
+      }
+   }
+};
+
+/**
+ * =====================================
+ * FUNCTII HELPER PENTRU REZERVAREA STOCULUI
+ * =====================================
+ */
+
+// Durata rezervării stocului pentru o sesiune de plată (Stripe cere minim 30 de minute)
+const RESERVATION_TTL_MINUTES = 35;
+
+// Verificarea stocului disponibil împreună cu rezervarea (checkout) şi confirmarea rezervării la plată
+// rulează pe rând, ca stocul disponibil citit de un checkout să nu fie schimbat între timp
+const runStockExclusive = createKeyedMutex();
+
+/**
+ * Rulează o operaţie sub lacătul stocului (un singur lacăt pentru tot catalogul)
+ * @param {Function} task
+ * @returns {Promise<*>} Rezultatul operaţiei
+ */
+const withStockLock = (task) => runStockExclusive("stock", task);
+
+/**
+ * Verifică dacă o rezervare încă ocupă stocul: activă şi cu termenul neexpirat.
+ * Citirile folosesc această verificare; statusul rezervărilor expirate este schimbat de curăţarea periodică.
+ * @param {Object|null} reservation
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const isReservationActive = (reservation, now = new Date()) => Boolean(reservation) && reservation.status === "active" && new Date(reservation.expiresAt) > now;
+
+/**
+ * Rezervările care ocupă stocul în acest moment (doar citire)
+ * @returns {Promise<Array>}
+ */
+const findActiveReservations = async () => {
+   const now = new Date();
+   return (await repository.reservations.find({ status: "active" })).filter((reservation) => isReservationActive(reservation, now));
+};
+
+/**
+ * Marchează ca expirate rezervările active al căror termen a trecut (curăţarea periodică).
+ * Statusul se schimbă condiţionat (doar dacă rezervarea este încă activă),
+ * deci eliberarea este înregistrată o singură dată chiar dacă rulează simultan cu o plată sau o anulare.
+ */
+const releaseExpiredReservations = async () => {
+   const now = new Date();
+
+   for (const reservation of await repository.reservations.find({ status: "active" })) {
+      if (isReservationActive(reservation, now)) {
+         continue;
+      }
+      const expired = await repository.reservations.updateIf(reservation.id, { status: "active" }, { status: "expired", releasedAt: now.toISOString() });
+      if (expired) {
+         await recordReservationMovements(reservation, "reservation_release", "Rezervare expirată");
+         console.log("Rezervare expirată pentru comanda:", reservation.orderId);
+      }
+   }
+};
+
+/**
+ * Angajamentele curente pe stoc, per produs:
+ * - reserved: bucăţile din stoc rezervate pentru plăţile în curs, plus bucăţile amânate ale comenzilor plătite
+ *   (stocul care soseşte este păstrat pentru ele până la expediere)
+ * - delayed: bucăţile amânate (precomenzi şi backorder) din plăţile în curs şi din comenzile plătite neexpediate
+ * @returns {Promise<{ reserved: Object, delayed: Object }>} Map-uri productId -> cantitate
+ */
+const getStockCommitments = async () => {
+   const reserved = {};
+   const delayed = {};
+   const add = (map, productId, quantity) => {
+      if (quantity > 0) {
+         map[productId] = (map[productId] || 0) + quantity;
+      }
+   };
+
+   (await findActiveReservations()).forEach((reservation) => {
+      reservation.items.forEach((item) => {
+         add(reserved, item.productId, item.quantity);
+         add(delayed, item.productId, item.delayedQuantity || 0);
+      });
+   });
+   (await repository.orders.find({ status: "paid" })).forEach((order) => {
+      delayedItems(order.items).forEach((item) => {
+         add(reserved, item.productId, item.quantity);
+         add(delayed, item.productId, item.quantity);
+      });
+   });
+
+   return { reserved, delayed };
+};
+
+/**
+ * Cantităţile rezervate în prezent, per produs
+ * @returns {Promise<Object>} Map productId -> cantitate rezervată
+ */
+const getReservedQuantities = async () => (await getStockCommitments()).reserved;
+
+/**
+ * Stocul disponibil la vânzare: stocul fizic minus rezervările active
+ * @param {Object} product Produsul
+ * @param {Object} reserved Map productId -> cantitate rezervată
+ * @returns {number}
+ */
+const availableStock = (product, reserved) => Math.max(0, product.stock - (reserved[product.id] || 0));
+
+/**
+ * Rezervă stocul pentru produsele unei comenzi (o rezervare per comandă, cu ID-ul comenzii).
+ * Bucăţile amânate (precomenzi, backorder) nu există încă în stoc: sunt doar notate în delayedQuantity.
+ * @param {number} orderId ID-ul comenzii
+ * @param {Array} items Liniile comenzii ({ productId, quantity, delayedQuantity })
+ * @returns {Promise<Object>} Rezervarea creată
+ */
+const reserveStock = async (orderId, items) => {
+   const now = new Date();
+
+   const reservation = await repository.reservations.insert({
+      id: orderId,
+      orderId,
+      items: items.map((item) => ({
+         productId: item.productId,
+         quantity: item.quantity - (item.delayedQuantity || 0),
+         delayedQuantity: item.delayedQuantity || 0,
+      })),
+      status: "active",
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + RESERVATION_TTL_MINUTES * 60 * 1000).toISOString(),
+   });
+   await recordReservationMovements(reservation, "reservation");
+   return reservation;
+};
+
+/**
+ * Eliberează rezervarea activă a unei comenzi (sesiune expirată sau anulată)
+ * @param {number} orderId ID-ul comenzii
+ * @param {string} reason Motivul eliberării
+ */
+const releaseReservation = async (orderId, reason) => {
+   const reservation = await repository.reservations.findOne({ orderId, status: "active" });
+   if (!reservation) {
+      return;
+   }
+   const released = await repository.reservations.updateIf(reservation.id, { status: "active" }, { status: "released", releasedAt: new Date().toISOString(), reason });
+   if (released) {
+      await recordReservationMovements(reservation, "reservation_release", reason);
+   }
+};
+
+/**
+ * Confirmă rezervarea la plată: stocul fizic scade cu produsele vândute din stoc.
+ * Plata poate sosi şi după expirarea rezervării, caz în care stocul scade oricum.
+ * Bucăţile amânate scad din stoc la expedierea comenzii.
+ * Rezervarea şi stocul se schimbă sub lacătul stocului: între cele două scrieri stocul disponibil ar părea mai mare.
+ * @param {number} orderId ID-ul comenzii
+ * @param {Array} items Liniile comenzii ({ productId, quantity, delayedQuantity })
+ */
+const commitReservation = (orderId, items) =>
+   withStockLock(async () => {
+      const reservation = await repository.reservations.findOne({ orderId });
+      if (reservation && reservation.status !== "committed") {
+         const changes = { status: "committed", committedAt: new Date().toISOString() };
+         // doar o rezervare încă activă are stoc rezervat de eliberat
+         if (await repository.reservations.updateIf(reservation.id, { status: "active" }, changes)) {
+            await recordReservationMovements(reservation, "reservation_release", "Comandă plătită");
+         } else {
+            await repository.reservations.update(reservation.id, changes);
+         }
+      }
+      await adjustStockForItems(immediateItems(items), -1, { type: "sale", orderId });
+   });
+
+/**
+ * Bucăţile amânate ale unei comenzi care nu au intrat încă în stoc
+ * @param {Object} order Comanda
+ * @returns {Promise<Array>} { productId, title, required, stock }
+ */
+const missingDelayedStock = async (order) => {
+   const missing = [];
+   for (const item of delayedItems(order.items)) {
+      const product = await repository.products.findById(item.productId);
+      const stock = product ? product.stock : 0;
+      if (stock < item.quantity) {
+         missing.push({ productId: item.productId, title: product ? product.title : "", required: item.quantity, stock });
+      }
+   }
+   return missing;
+};
+
+// Scrierile pe aceeaşi comandă rulează pe rând (rute admin, webhook Stripe, checkout)
+const runOrderExclusive = createKeyedMutex();
+
+/**
+ * Rulează o modificare a unei comenzi sub lacătul ei. Comanda este recitită sub lacăt,
+ * ca o scriere să nu anuleze o schimbare de status sau un pas de finalizare făcut între timp.
+ * @param {number} orderId
+ * @param {Function} task Primeşte comanda curentă (null dacă nu există)
+ * @returns {Promise<*>} Rezultatul operaţiei
+ */
+const withOrderLock = (orderId, task) => runOrderExclusive(orderId, async () => task(await repository.orders.findById(orderId)));
+
+/**
+ * Scoate din coş produsele unei comenzi plătite, sub lacătul coşului. Ce a adăugat clientul după
+ * începerea checkout-ului rămâne în coş; cuponul, folosit deja pe comandă, se scoate.
+ * @param {string} cartKey Cheia coşului
+ * @param {Array} items Liniile comenzii ({ productId, quantity })
+ */
+const removeOrderedItems = (cartKey, items) =>
+   runCartExclusive(cartKey, async () => {
+      if (!(await repository.carts.findById(cartKey))) {
+         return;
+      }
+      const cart = await readCart(cartKey);
+      items.forEach((ordered) => {
+         const item = cart.items.find((i) => i.productId === ordered.productId);
+         if (item) {
+            item.quantity -= ordered.quantity;
+         }
+      });
+      cart.items = cart.items.filter((item) => item.quantity > 0);
+      cart.couponCode = null;
+      recalculateCart(cart);
+      await saveCart(cartKey, cart);
+   });
+
+/**
+ * Finalizează o comandă trecută în "paid": scade stocul rezervat, înregistrează cuponul folosit,
+ * emite factura şi scoate produsele comandate din coşul cumpărătorului.
+ * Aceiaşi paşi pentru plata confirmată de Stripe şi pentru cea confirmată manual de un administrator.
+ * Fiecare pas se face o singură dată (stockCommittedAt, cartClearedAt, factura şi cuponul după orderId),
+ * deci o finalizare întreruptă de o eroare poate fi reluată.
+ * Se apelează sub lacătul comenzii (withOrderLock).
+ * @param {Object} order Comanda plătită, citită sub lacăt
+ * @returns {Promise<Object>} Factura emisă
+ */
+const fulfilPaidOrder = async (order) => {
+   if (!order.stockCommittedAt) {
+      await commitReservation(order.id, order.items);
+      order.stockCommittedAt = new Date().toISOString();
+      await repository.orders.update(order.id, { stockCommittedAt: order.stockCommittedAt });
+   }
+   if (order.discount) {
+      await recordCouponRedemption(order);
+   }
+   const invoice = await issueInvoice(order);
+   if (order.cartKey && !order.cartClearedAt) {
+      await removeOrderedItems(order.cartKey, order.items);
+      order.cartClearedAt = new Date().toISOString();
+      await repository.orders.update(order.id, { cartClearedAt: order.cartClearedAt });
+   }
+   return invoice;
+};
+
+/**
+ * =====================================
+ * API ROUTES PENTRU COMENZI
+ * =====================================
+ */
+
+/**
+ * RUTA GET /api/orders Istoricul comenzilor clientului autentificat
+ */
+app.get("/api/orders", authenticateToken, async (req, res) => {
+   try {
+      const orders = (await repository.orders.find({ userId: req.user.id })).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      res.json({
+         success: true,
+         orders,
+         total: orders.length,
+      });
+   } catch (error) {
+      console.error("Eroare la obținerea comenzilor:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la obținerea comenzilor",
+      });
+   }
+});
+
+/**
+ * RUTA GET /api/orders/:id Detaliile unei comenzi proprii
+ */
+app.get("/api/orders/:id", authenticateToken, async (req, res) => {
+   try {
+      const orderId = parseInt(req.params.id);
+      const order = await repository.orders.findById(orderId);
+
+      // Comenzile altor clienţi sunt raportate ca inexistente
+      if (!order || (order.userId !== req.user.id && req.user.role !== "admin")) {
+         return res.status(404).json({
+            success: false,
+            message: "Comanda nu a fost găsită",
+         });
+      }
+
+      res.json({
+         success: true,
+         order,
+      });
+   } catch (error) {
+      console.error("Eroare la obținerea comenzii:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la obținerea comenzii",
+      });
+   }
+});
+
+/**
+ * RUTA GET /api/admin/orders Toate comenzile (cu filtre)
+ * Parametri interogare:
+ *
+ * status: pending/paid/shipped/delivered/cancelled (all pentru toate)
+ * from, to: interval de date (ISO) pentru data plasării
+ * flagged: true pentru comenzile cu o problemă de plată de rezolvat manual (ex. plătite după anulare)
+ * page, limit: paginare
+ */
+app.get("/api/admin/orders", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const { status = "all", from, to, flagged, page = 1, limit = 50 } = req.query;
+
+      if (status !== "all" && !ORDER_STATUS_TRANSITIONS[status]) {
+         return res.status(400).json({
+            success: false,
+            message: `Status invalid. Valori permise: ${Object.keys(ORDER_STATUS_TRANSITIONS).join(", ")}`,
+         });
+      }
+
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+         return res.status(400).json({
+            success: false,
+            message: "Interval de date invalid",
+         });
+      }
+
+      let orders = await repository.orders.find();
+
+      // FILTRARE DUPĂ STATUS
+      if (status !== "all") {
+         orders = orders.filter((o) => o.status === status);
+      }
+
+      // COMENZI SEMNALATE
+      if (flagged === "true") {
+         orders = orders.filter((o) => o.paymentIssue);
+      }
+
+      // FILTRARE DUPĂ DATĂ
+      if (fromDate) {
+         orders = orders.filter((o) => new Date(o.createdAt) >= fromDate);
+      }
+      if (toDate) {
+         orders = orders.filter((o) => new Date(o.createdAt) <= toDate);
+      }
+
+      orders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      // PAGINARE
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const startIndex = (pageNum - 1) * limitNum;
+      const endIndex = startIndex + limitNum;
+      const totalOrders = orders.length;
+
+      res.json({
+         success: true,
+         orders: orders.slice(startIndex, endIndex),
+         pagination: {
+            currentPage: pageNum,
+            totalPages: Math.ceil(totalOrders / limitNum),
+            totalOrders,
+            ordersPerPage: limitNum,
+            hasNextPage: endIndex < totalOrders,
+            hasPrevPage: startIndex > 0,
+         },
+         filters: {
+            status,
+            from: from || null,
+            to: to || null,
+         },
+      });
+   } catch (error) {
+      console.error("Eroare la obținerea comenzilor admin:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la obținerea comenzilor",
+      });
+   }
+});
+
+/**
+ * RUTA PUT /api/admin/orders/:id/status Schimbă statusul unei comenzi
+ * Body: { status, note }
+ */
+app.put("/api/admin/orders/:id/status", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const orderId = parseInt(req.params.id);
+      const { status, note } = req.body;
+
+      if (!ORDER_STATUS_TRANSITIONS[status]) {
+         return res.status(400).json({
+            success: false,
+            message: `Status invalid. Valori permise: ${Object.keys(ORDER_STATUS_TRANSITIONS).join(", ")}`,
+         });
+      }
+
+      // citirea, schimbarea statusului şi paşii care o urmează rulează sub lacătul comenzii
+      const result = await withOrderLock(orderId, async (order) => {
+         if (!order) {
+            return {
+               status: 404,
+               body: {
+                  success: false,
+                  message: "Comanda nu a fost găsită",
+               },
+            };
+         }
+
+         // precomenzile şi produsele în backorder se expediază după ce au intrat în stoc
+         if (status === "shipped" && canTransitionOrder(order.status, status)) {
+            const missing = await missingDelayedStock(order);
+            if (missing.length > 0) {
+               return {
+                  status: 400,
+                  body: {
+                     success: false,
+                     message: "Unele produse amânate nu sunt încă în stoc",
+                     items: missing,
+                  },
+               };
+            }
+         }
+
+         const previousStatus = order.status;
+         const before = structuredClone(order);
+         if (!setOrderStatus(order, status, { by: req.user.id, note })) {
+            return {
+               status: 400,
+               body: {
+                  success: false,
+                  message: `Tranziţie invalidă: ${previousStatus} -> ${status}`,
+                  allowed: ORDER_STATUS_TRANSITIONS[previousStatus],
+               },
+            };
+         }
+
+         await repository.orders.replace(order.id, order);
+
+         // plata confirmată manual se finalizează la fel ca plata prin Stripe
+         if (status === "paid") {
+            const invoice = await fulfilPaidOrder(order);
+            order.invoiceId = invoice.id;
+            order.invoiceNumber = invoice.number;
+         }
+
+         // anularea eliberează stocul rezervat sau readuce în stoc produsele deja vândute
+         if (status === "cancelled" && previousStatus === "pending") {
+            await releaseReservation(order.id, "Comandă anulată");
+            await expireCheckoutSession(order);
+         } else if (status === "cancelled" && previousStatus === "paid") {
+            await adjustStockForItems(immediateItems(order.items), 1, { type: "return", orderId: order.id, reason: "Comandă anulată", by: req.user.id });
+            await voidCouponRedemption(order, "Comandă anulată");
+         }
+
+         // la expediere, bucăţile amânate ies din stocul sosit între timp
+         if (status === "shipped") {
+            await adjustStockForItems(delayedItems(order.items), -1, { type: "sale", orderId: order.id, reason: "Expediere produse amânate", by: req.user.id });
+         }
+
+         await recordAudit(req, { entity: "order", entityId: order.id, action: "status_change", before, after: order, note: note || null, ignore: ["updatedAt", "statusHistory"] });
+
+         console.log(`Comanda ${order.id}: ${previousStatus} -> ${status}`);
+         return {
+            status: 200,
+            body: {
+               success: true,
+               message: "Status comandă actualizat",
+               order,
+            },
+         };
+      });
+
+      res.status(result.status).json(result.body);
+   } catch (error) {
+      console.error("Eroare la actualizarea statusului comenzii:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la actualizarea comenzii",
+      });
+   }
+});
+
+/**
+ * =====================================
+ * FACTURI
+ * =====================================
+ */
+
+/**
+ * Emite factura unei comenzi plătite, o singură dată per comandă.
+ * Numărul de ordine este ID-ul facturii, atribuit de repository (secvenţial).
+ * @param {Object} order Comanda plătită
+ * @returns {Promise<Object>} Factura salvată
+ */
+const issueInvoice = async (order) => {
+   const existing = await repository.invoices.findOne({ orderId: order.id });
+   if (existing) {
+      return existing;
+   }
+
+   const saved = await repository.invoices.insert({ ...buildInvoice(order), number: null, issuedAt: new Date().toISOString() });
+   const invoice = await repository.invoices.update(saved.id, { number: formatInvoiceNumber(saved.id) });
+   await repository.orders.update(order.id, { invoiceId: invoice.id, invoiceNumber: invoice.number });
+
+   console.log(`Factura ${invoice.number} emisă pentru comanda ${order.id}`);
+   return invoice;
+};
+
+/**
+ * RUTA GET /api/orders/:id/invoice Factura unei comenzi proprii, ca PDF
+ * Administratorii pot descărca factura oricărei comenzi.
+ */
+app.get("/api/orders/:id/invoice", authenticateToken, async (req, res) => {
+   try {
+      const orderId = parseInt(req.params.id);
+      const order = await repository.orders.findById(orderId);
+
+      // Comenzile altor clienţi sunt raportate ca inexistente
+      if (!order || (order.userId !== req.user.id && req.user.role !== "admin")) {
+         return res.status(404).json({
+            success: false,
+            message: "Comanda nu a fost găsită",
+         });
+      }
+
+      const invoice = await repository.invoices.findOne({ orderId });
+      if (!invoice) {
+         return res.status(404).json({
+            success: false,
+            message: "Factura nu a fost emisă: comanda nu este plătită",
+         });
+      }
+
+      res.attachment(`factura-${invoice.number}.pdf`);
+      res.type("application/pdf");
+      res.send(renderInvoicePdf(invoice));
+   } catch (error) {
+      console.error("Eroare la generarea facturii:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la generarea facturii",
+      });
+   }
+});
+
+/**
+ * =====================================
+ * API ROUTES PENTRU STOC
+ * =====================================
+ */
+
+/**
+ * Stocul unui produs, aşa cum apare în rutele de stoc
+ * @param {Object} product
+ * @param {Object} reserved Map productId -> cantitate rezervată
+ * @returns {Object}
+ */
+const stockSummary = (product, reserved) => ({
+   id: product.id,
+   title: product.title,
+   stock: product.stock,
+   reservedStock: reserved[product.id] || 0,
+   availableStock: availableStock(product, reserved),
+   reorderThreshold: reorderThreshold(product),
+});
+
+/**
+ * Aplică o recepţie sau o corecţie validată şi anunţă clienţii dacă produsul revine în stoc
+ * @param {Object} product Produsul
+ * @param {Object} movement Mişcarea validată ({ quantity, ... }) cu type şi by
+ * @returns {Promise<{ product: Object, movement: Object }>}
+ */
+const applyStockMovement = async (product, { quantity, ...movement }) => {
+   const result = await changeStock(product, quantity, movement);
+   searchIndex.upsert(result.product);
+   if ((await notifyWishlistSubscribers(product, result.product)) > 0) {
+      scheduleNotificationDelivery();
+   }
+   return result;
+};
+
+/**
+ * RUTA GET /api/admin/products/:id/stock/movements Istoricul mişcărilor de stoc ale unui produs
+ * Parametri interogare: type (vezi MOVEMENT_TYPES), page, limit. Cele mai recente primele.
+ * Funcţionează şi pentru produsele şterse definitiv (registrul se păstrează).
+ */
+app.get("/api/admin/products/:id/stock/movements", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const productId = parseInt(req.params.id);
+      const { type, page = 1, limit = 50 } = req.query;
+
+      if (type && !MOVEMENT_TYPES.includes(type)) {
+         return res.status(400).json({
+            success: false,
+            message: `Tip de mişcare invalid. Valori permise: ${MOVEMENT_TYPES.join(", ")}`,
+         });
+      }
+
+      const product = await repository.products.findById(productId);
+      const movements = (await repository.stockMovements.find(type ? { productId, type } : { productId })).sort((a, b) => b.id - a.id);
+
+      if (!product && movements.length === 0) {
+         return res.status(404).json({
+            success: false,
+            message: "Produsul nu a fost găsit",
+         });
+      }
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const startIndex = (pageNum - 1) * limitNum;
+      const endIndex = startIndex + limitNum;
+
+      res.json({
+         success: true,
+         product: product ? stockSummary(product, await getReservedQuantities()) : null,
+         movements: movements.slice(startIndex, endIndex),
+         pagination: {
+            currentPage: pageNum,
+            totalPages: Math.ceil(movements.length / limitNum),
+            totalMovements: movements.length,
+            movementsPerPage: limitNum,
+            hasNextPage: endIndex < movements.length,
+            hasPrevPage: startIndex > 0,
+         },
+      });
+   } catch (error) {
+      console.error("Eroare la obținerea mişcărilor de stoc:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la obținerea mişcărilor de stoc",
+      });
+   }
+});
+
+/**
+ * RUTA POST /api/admin/products/:id/stock/receipts Recepţie de la furnizor
+ * Body: { quantity, supplier?, reference?, unitCost?, note? }
+ */
+app.post("/api/admin/products/:id/stock/receipts", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const product = await repository.products.findById(parseInt(req.params.id));
+
+      if (!product) {
+         return res.status(404).json({
+            success: false,
+            message: "Produsul nu a fost găsit",
+         });
+      }
+
+      const { errors, value } = validateReceipt(req.body);
+      if (errors) {
+         return res.status(400).json({
+            success: false,
+            message: "Date invalide pentru recepţie",
+            errors,
+         });
+      }
+
+      const { note, ...receipt } = value;
+      const result = await applyStockMovement(product, { ...receipt, type: "receipt", reason: note, by: req.user.id });
+      await auditProductChange(req, "stock_receipt", product, result.product, note || null);
+
+      console.log(`Recepţie produs ${product.id}: +${value.quantity}`);
+      res.status(201).json({
+         success: true,
+         message: "Recepţie înregistrată",
+         ...result,
+      });
+   } catch (error) {
+      console.error("Eroare la înregistrarea recepţiei:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la înregistrarea recepţiei",
+      });
+   }
+});
+
+/**
+ * RUTA POST /api/admin/products/:id/stock/adjustments Corecţie manuală a stocului
+ * Body: { quantity: diferenţa faţă de stocul curent (ex. -2), reason }
+ */
+app.post("/api/admin/products/:id/stock/adjustments", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const product = await repository.products.findById(parseInt(req.params.id));
+
+      if (!product) {
+         return res.status(404).json({
+            success: false,
+            message: "Produsul nu a fost găsit",
+         });
+      }
+
+      const { errors, value } = validateAdjustment(req.body, product.stock);
+      if (errors) {
+         return res.status(400).json({
+            success: false,
+            message: "Date invalide pentru corecţia stocului",
+            errors,
+         });
+      }
+
+      const result = await applyStockMovement(product, { ...value, type: "adjustment", by: req.user.id });
+      await auditProductChange(req, "stock_adjustment", product, result.product, value.reason);
+
+      console.log(`Corecţie stoc produs ${product.id}: ${value.quantity} (${value.reason})`);
+      res.status(201).json({
+         success: true,
+         message: "Corecţie înregistrată",
+         ...result,
+      });
+   } catch (error) {
+      console.error("Eroare la corecţia stocului:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la corecţia stocului",
+      });
+   }
+});
+
+/**
+ * RUTA GET /api/admin/inventory/low-stock Produsele active de reaprovizionat
+ * Un produs apare când stocul disponibil (fără rezervări) scade sub pragul său de reaprovizionare.
+ * Parametri interogare: category
+ */
+app.get("/api/admin/inventory/low-stock", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const { category } = req.query;
+      const reserved = await getReservedQuantities();
+      const products = (await repository.products.find())
+         .filter((product) => !category || product.category === category)
+         .map((product) => ({ ...product, reservedStock: reserved[product.id] || 0, availableStock: availableStock(product, reserved) }));
+      const report = lowStockReport(products);
+
+      res.json({
+         success: true,
+         products: report,
+         summary: {
+            total: report.length,
+            outOfStock: report.filter((row) => row.status === "out_of_stock").length,
+            lowStock: report.filter((row) => row.status === "low_stock").length,
+         },
+      });
+   } catch (error) {
+      console.error("Eroare la raportul de stoc scăzut:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la raportul de stoc scăzut",
+      });
+   }
+});
+
+/**
+ * =====================================
+ * STATISTICI VÂNZĂRI
+ * =====================================
+ */
+
+// Fereastra pentru ritmul vânzărilor recente şi pragul de risc de epuizare (zile)
+const SELL_THROUGH_WINDOW_DAYS = 30;
+const STOCK_OUT_HORIZON_DAYS = 14;
+
+// Rapoartele disponibile ca CSV: antet şi valorile unui rând
+const ANALYTICS_CSV_REPORTS = {
+   sales: {
+      columns: ["period", "orders", "revenue", "averageOrderValue"],
+      rows: (report) => report.series,
+   },
+   categories: {
+      columns: ["category", "units", "revenue"],
+      rows: (report) => report.revenueByCategory,
+   },
+   products: {
+      columns: ["productId", "title", "category", "units", "revenue"],
+      rows: (report) => report.productRanking,
+   },
+   stock: {
+      columns: ["productId", "title", "availableStock", "unitsSold", "dailySales", "daysOfStockLeft"],
+      rows: (report) => report.stockOutRisk,
+   },
+};
+
+/**
+ * RUTA GET /api/admin/analytics Statistici de vânzări şi stoc
+ * Parametri interogare:
+ * - from, to: intervalul (YYYY-MM-DD, implicit ultimele 30 de zile; "to" include toată ziua)
+ * - groupBy: day / week / month
+ * - limit: numărul de produse în topuri (implicit 10)
+ * - format: json (implicit) sau csv, cu report: sales / categories / products / stock
+ */
+app.get("/api/admin/analytics", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const { groupBy = "day", format = "json", report = "sales", limit = 10 } = req.query;
+
+      if (!analytics.GROUP_BY.includes(groupBy)) {
+         return res.status(400).json({
+            success: false,
+            message: `Grupare invalidă. Valori permise: ${analytics.GROUP_BY.join(", ")}`,
+         });
+      }
+      if (format !== "json" && format !== "csv") {
+         return res.status(400).json({
+            success: false,
+            message: "Format invalid (json sau csv)",
+         });
+      }
+      if (format === "csv" && !ANALYTICS_CSV_REPORTS[report]) {
+         return res.status(400).json({
+            success: false,
+            message: `Raport invalid. Valori permise: ${Object.keys(ANALYTICS_CSV_REPORTS).join(", ")}`,
+         });
+      }
+
+      const now = new Date();
+      const to = req.query.to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(req.query.to) ? `${req.query.to}T23:59:59.999Z` : req.query.to) : now;
+      const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - (SELL_THROUGH_WINDOW_DAYS - 1) * analytics.DAY_MS);
+      if (isNaN(from) || isNaN(to) || from > to) {
+         return res.status(400).json({
+            success: false,
+            message: "Interval de date invalid",
+         });
+      }
+
+      const orders = await repository.orders.find();
+      const reserved = await getReservedQuantities();
+      const products = (await repository.products.find()).map((product) => ({ ...product, availableStock: availableStock(product, reserved) }));
+      const sold = analytics.soldOrders(orders, from, to);
+      const limitNum = Math.max(1, parseInt(limit) || 10);
+
+      const { summary, series } = analytics.salesOverTime(sold, { from, to, groupBy });
+      const { ranking, bestSellers, worstSellers } = analytics.productRanking(sold, products, limitNum);
+      const recent = analytics.soldOrders(orders, new Date(now.getTime() - SELL_THROUGH_WINDOW_DAYS * analytics.DAY_MS), now);
+
+      const result = {
+         range: { from: from.toISOString(), to: to.toISOString(), groupBy },
+         summary,
+         series,
+         revenueByCategory: analytics.revenueByCategory(sold, products),
+         bestSellers,
+         worstSellers,
+         productRanking: ranking,
+         stockOutRisk: analytics.stockOutRisk(recent, products, { days: SELL_THROUGH_WINDOW_DAYS, horizonDays: STOCK_OUT_HORIZON_DAYS }),
+         conversion: analytics.cartConversion(await repository.carts.find(), orders, from, to),
+      };
+
+      if (format === "csv") {
+         const { columns, rows } = ANALYTICS_CSV_REPORTS[report];
+         res.attachment(`statistici-${report}-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.csv`);
+         res.type("text/csv; charset=utf-8");
+         // BOM pentru ca Excel să recunoască diacriticele
+         res.write("\uFEFF" + formatCsvRow(columns));
+         rows(result).forEach((row) => res.write(formatCsvRow(columns.map((column) => row[column]))));
+         return res.end();
+      }
+
+      const { productRanking, ...response } = result;
+      res.json({
+         success: true,
+         ...response,
+      });
+   } catch (error) {
+      console.error("Eroare la calculul statisticilor:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la calculul statisticilor",
+      });
+   }
+});
+
+/**
+ * =====================================
+ * API ROUTES PENTRU RECENZII
+ * =====================================
+ */
+
+// Statusurile unei recenzii: doar cele "approved" sunt publice şi intră în rating
+const REVIEW_STATUSES = ["pending", "approved", "hidden"];
+
+// Cu REVIEWS_REQUIRE_APPROVAL=true recenziile noi aşteaptă aprobarea unui administrator
+const initialReviewStatus = () => (process.env.REVIEWS_REQUIRE_APPROVAL === "true" ? "pending" : "approved");
+
+// Comenzile în aceste statusuri confirmă achiziţia ("verified purchase")
+const PURCHASED_ORDER_STATUSES = ["paid", "shipped", "delivered"];
+
+const REVIEW_SORTS = {
+   newest: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+   oldest: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+   rating_desc: (a, b) => b.rating - a.rating || new Date(b.createdAt) - new Date(a.createdAt),
+   rating_asc: (a, b) => a.rating - b.rating || new Date(b.createdAt) - new Date(a.createdAt),
+};
+
+/**
+ * Recalculează rating-ul şi numărul de recenzii ale unui produs din recenziile aprobate
+ * @param {number} productId
+ * @returns {Promise<Object|null>} Produsul actualizat
+ */
+const recalculateProductRating = async (productId) => {
+   const approved = await repository.reviews.find({ productId, status: "approved" });
+   return repository.products.update(productId, productRating(approved));
+};
+
+/**
+ * Verifică dacă utilizatorul a cumpărat produsul (comandă plătită care îl conţine)
+ * @param {number} userId
+ * @param {number} productId
+ * @returns {Promise<boolean>}
+ */
+const hasPurchasedProduct = async (userId, productId) =>
+   (await repository.orders.find({ userId })).some((order) => PURCHASED_ORDER_STATUSES.includes(order.status) && order.items.some((item) => item.productId === productId));
+
+/**
+ * Câmpurile publice ale unei recenzii
+ * @param {Object} review
+ * @returns {Object}
+ */
+const publicReview = (review) => ({
+   id: review.id,
+   rating: review.rating,
+   title: review.title,
+   comment: review.comment,
+   author: review.userName,
+   verifiedPurchase: review.verifiedPurchase,
+   createdAt: review.createdAt,
+});
+
+/**
+ * RUTA POST /api/products/:id/reviews Adaugă recenzia clientului autentificat
+ * Body: { rating (1-5), title?, comment? }
+ * O singură recenzie per client per carte; recenzia e marcată "verifiedPurchase" dacă există o comandă plătită.
+ */
+app.post("/api/products/:id/reviews", authenticateToken, async (req, res) => {
+   try {
+      const productId = Number(req.params.id);
+      const { rating, title = "", comment = "" } = req.body;
+
+      const errors = {};
+      if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+         errors.rating = "Rating-ul trebuie să fie un număr întreg între 1 şi 5";
+      }
+      if (typeof title !== "string" || title.trim().length > 150) {
+         errors.title = "Titlul trebuie să fie text de maxim 150 de caractere";
+      }
+      if (typeof comment !== "string" || comment.trim().length > 2000) {
+         errors.comment = "Comentariul trebuie să fie text de maxim 2000 de caractere";
+      }
+      if (Object.keys(errors).length > 0) {
+         return res.status(400).json({
+            success: false,
+            message: "Date invalide pentru recenzie",
+            errors,
+         });
+      }
+
+      const product = Number.isInteger(productId) && (await repository.products.findOne({ id: productId, isActive: true }));
+      if (!product) {
+         return res.status(404).json({
+            success: false,
+            message: "Produsul nu a fost găsit",
+         });
+      }
+
+      if (await repository.reviews.findOne({ productId, userId: req.user.id })) {
+         return res.status(409).json({
+            success: false,
+            message: "Ai scris deja o recenzie pentru această carte",
+         });
+      }
+
+      const user = await repository.users.findById(req.user.id);
+      const now = new Date().toISOString();
+      const review = await repository.reviews.insert({
+         productId,
+         userId: req.user.id,
+         userName: user ? user.name : req.user.email,
+         rating,
+         title: title.trim(),
+         comment: comment.trim(),
+         verifiedPurchase: await hasPurchasedProduct(req.user.id, productId),
+         status: initialReviewStatus(),
+         createdAt: now,
+         updatedAt: now,
+      });
+
+      if (review.status === "approved") {
+         await recalculateProductRating(productId);
+      }
+
+      res.status(201).json({
+         success: true,
+         message: review.status === "approved" ? "Recenzie publicată" : "Recenzia va fi publicată după aprobare",
+         review: { ...publicReview(review), status: review.status },
+      });
+   } catch (error) {
+      console.error("Eroare la adăugarea recenziei:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la adăugarea recenziei",
+      });
+   }
+});
+
+/**
+ * RUTA GET /api/products/:id/reviews Recenziile aprobate ale unui produs
+ * Parametri interogare:
+ * - sort: newest (implicit), oldest, rating_desc, rating_asc
+ * - rating: doar recenziile cu acest număr de stele
+ * - page, limit: paginare (implicit 10, maxim 50)
+ */
+app.get("/api/products/:id/reviews", async (req, res) => {
+   try {
+      const productId = Number(req.params.id);
+      const { sort = "newest", page = 1, limit = 10 } = req.query;
+
+      if (!REVIEW_SORTS[sort]) {
+         return res.status(400).json({
+            success: false,
+            message: `Sortare invalidă. Valori permise: ${Object.keys(REVIEW_SORTS).join(", ")}`,
+         });
+      }
+
+      const product = Number.isInteger(productId) && (await repository.products.findOne({ id: productId, isActive: true }));
+      if (!product) {
+         return res.status(404).json({
+            success: false,
+            message: "Produsul nu a fost găsit",
+         });
+      }
+
+      const approved = await repository.reviews.find({ productId, status: "approved" });
+
+      // distribuţia pe stele se calculează pe toate recenziile aprobate, înainte de filtrare
+      const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+      approved.forEach((review) => {
+         distribution[review.rating]++;
+      });
+
+      const ratingFilter = parseInt(req.query.rating);
+      const reviews = (ratingFilter ? approved.filter((r) => r.rating === ratingFilter) : approved).sort(REVIEW_SORTS[sort]);
+
+      const pageNum = Math.max(parseInt(page) || 1, 1);
+      const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+      const startIndex = (pageNum - 1) * limitNum;
+      const endIndex = startIndex + limitNum;
+
+      res.json({
+         success: true,
+         reviews: reviews.slice(startIndex, endIndex).map(publicReview),
+         summary: {
+            rating: product.rating,
+            reviewCount: product.reviewCount,
+            distribution,
+         },
+         pagination: {
+            currentPage: pageNum,
+            totalPages: Math.ceil(reviews.length / limitNum),
+            totalReviews: reviews.length,
+            reviewsPerPage: limitNum,
+            hasNextPage: endIndex < reviews.length,
+            hasPrevPage: startIndex > 0,
+         },
+      });
+   } catch (error) {
+      console.error("Eroare la obținerea recenziilor:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la obținerea recenziilor",
+      });
+   }
+});
+
+/**
+ * RUTA GET /api/admin/reviews Recenziile pentru moderare
+ * Parametri interogare: status (pending/approved/hidden, all pentru toate), productId, page, limit
+ */
+app.get("/api/admin/reviews", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const { status = "all", productId, page = 1, limit = 50 } = req.query;
+
+      if (status !== "all" && !REVIEW_STATUSES.includes(status)) {
+         return res.status(400).json({
+            success: false,
+            message: `Status invalid. Valori permise: ${REVIEW_STATUSES.join(", ")}`,
+         });
+      }
+
+      const query = {};
+      if (status !== "all") {
+         query.status = status;
+      }
+      if (productId) {
+         query.productId = Number(productId);
+      }
+      const reviews = (await repository.reviews.find(query)).sort(REVIEW_SORTS.newest);
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const startIndex = (pageNum - 1) * limitNum;
+      const endIndex = startIndex + limitNum;
+
+      res.json({
+         success: true,
+         reviews: reviews.slice(startIndex, endIndex),
+         pagination: {
+            currentPage: pageNum,
+            totalPages: Math.ceil(reviews.length / limitNum),
+            totalReviews: reviews.length,
+            reviewsPerPage: limitNum,
+            hasNextPage: endIndex < reviews.length,
+            hasPrevPage: startIndex > 0,
+         },
+      });
+   } catch (error) {
+      console.error("Eroare la obținerea recenziilor admin:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la obținerea recenziilor",
+      });
+   }
+});
+
+/**
+ * RUTA PUT /api/admin/reviews/:id/status Aprobă sau ascunde o recenzie
+ * Body: { status: "approved" | "hidden", note? }
+ * Rating-ul produsului se recalculează din recenziile aprobate.
+ */
+app.put("/api/admin/reviews/:id/status", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const reviewId = parseInt(req.params.id);
+      const { status, note } = req.body;
+
+      if (status !== "approved" && status !== "hidden") {
+         return res.status(400).json({
+            success: false,
+            message: "Status invalid. Valori permise: approved, hidden",
+         });
+      }
+
+      const review = await repository.reviews.findById(reviewId);
+      if (!review) {
+         return res.status(404).json({
+            success: false,
+            message: "Recenzia nu a fost găsită",
+         });
+      }
+
+      const now = new Date().toISOString();
+      const updatedReview = await repository.reviews.update(reviewId, {
+         status,
+         moderatedBy: req.user.id,
+         moderatedAt: now,
+         moderationNote: note || null,
+         updatedAt: now,
+      });
+      await recordAudit(req, { entity: "review", entityId: reviewId, action: "status_change", before: review, after: updatedReview, note: note || null });
+      const product = await recalculateProductRating(review.productId);
+      console.log(`Recenzia ${reviewId}: ${review.status} -> ${status}`);
+
+      res.json({
+         success: true,
+         message: status === "approved" ? "Recenzie aprobată" : "Recenzie ascunsă",
+         review: updatedReview,
+         product: product && { id: product.id, rating: product.rating, reviewCount: product.reviewCount },
+      });
+   } catch (error) {
+      console.error("Eroare la moderarea recenziei:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la moderarea recenziei",
+      });
+   }
+});
+
+/**
+ * =====================================
+ * WISHLIST ŞI NOTIFICĂRI
+ * =====================================
+ */
+
+// După atâtea încercări eşuate o notificare rămâne "failed"
+const MAX_NOTIFICATION_ATTEMPTS = 5;
+
+/**
+ * Pune în coadă notificări pentru clienţii care au cartea în wishlist, dacă actualizarea
+ * o readuce în stoc (de la 0) sau îi scade preţul efectiv
+ * @param {Object} before Produsul înainte de actualizare
+ * @param {Object} after Produsul actualizat
+ * @returns {Promise<number>} Numărul de notificări puse în coadă
+ */
+const notifyWishlistSubscribers = async (before, after) => {
+   if (!after.isActive) {
+      return 0;
+   }
+
+   const events = [];
+   if (before.stock === 0 && after.stock > 0) {
+      events.push({ type: "back_in_stock", message: `„${after.title}” este din nou în stoc` });
+   }
+   const oldPrice = before.discountPrice || before.price;
+   const newPrice = after.discountPrice || after.price;
+   if (newPrice < oldPrice) {
+      events.push({
+         type: "price_drop",
+         message: `Preţul pentru „${after.title}” a scăzut de la ${oldPrice.toFixed(2)} la ${newPrice.toFixed(2)} RON`,
+         oldPrice,
+         newPrice,
+      });
+   }
+   if (events.length === 0) {
+      return 0;
+   }
+
+   const entries = await repository.wishlists.find({ productId: after.id });
+   const now = new Date().toISOString();
+   let queued = 0;
+
+   for (const entry of entries) {
+      const user = await repository.users.findById(entry.userId);
+      for (const event of events) {
+         await repository.notifications.insert({
+            userId: entry.userId,
+            email: user ? user.email : null,
+            productId: after.id,
+            ...event,
+            status: "queued",
+            attempts: 0,
+            createdAt: now,
+         });
+         queued++;
+      }
+   }
+
+   if (queued > 0) {
+      console.log(`${queued} notificări wishlist puse în coadă pentru produsul ${after.id}`);
+   }
+   return queued;
+};
+
+let deliveringNotifications = null;
+
+/**
+ * Trimite notificările din coadă prin notifier-ul configurat.
+ * Un singur ciclu rulează la un moment dat, ca o notificare să nu fie trimisă de două ori.
+ * @returns {Promise<void>}
+ */
+const deliverQueuedNotifications = () => {
+   if (!deliveringNotifications) {
+      deliveringNotifications = (async () => {
+         for (const notification of await repository.notifications.find({ status: "queued" })) {
+            const attempts = (notification.attempts || 0) + 1;
+            try {
+               await notifier.send(notification);
+               await repository.notifications.update(notification.id, { status: "sent", attempts, sentAt: new Date().toISOString() });
+            } catch (error) {
+               console.error(`Eroare la trimiterea notificării ${notification.id}:`, error.message);
+               await repository.notifications.update(notification.id, {
+                  status: attempts >= MAX_NOTIFICATION_ATTEMPTS ? "failed" : "queued",
+                  attempts,
+                  lastError: error.message,
+               });
+            }
+         }
+      })().finally(() => {
+         deliveringNotifications = null;
+      });
+   }
+   return deliveringNotifications;
+};
+
+/**
+ * Porneşte trimiterea notificărilor fără a întârzia răspunsul
+ */
+const scheduleNotificationDelivery = () => {
+   deliverQueuedNotifications().catch((error) => {
+      console.error("Eroare la trimiterea notificărilor:", error);
+   });
+};
 
-      // Recalculează totalul
-      cart.total = cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
-      cart.totalItems = cart.items.reduce((sum, item) => sum + item.quantity, 0);
+/**
+ * RUTA GET /api/wishlist Cărţile salvate de clientul autentificat
+ */
+app.get("/api/wishlist", authenticateToken, async (req, res) => {
+   try {
+      const entries = (await repository.wishlists.find({ userId: req.user.id })).sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt));
+      const products = await repository.products.find();
+      const reserved = await getReservedQuantities();
 
-      // Salvează coşul actualizat
-      saveCart(cart);
+      const items = entries.map((entry) => {
+         const product = products.find((p) => p.id === entry.productId && p.isActive === true);
+         return {
+            productId: entry.productId,
+            addedAt: entry.addedAt,
+            priceWhenAdded: entry.priceWhenAdded,
+            // null dacă produsul a fost scos din catalog între timp
+            product: product ? toPublicProduct(product, reserved) : null,
+         };
+      });
 
       res.json({
          success: true,
-         message: "Produs adăugat în coş",
-         cart: cart,
+         items,
+         total: items.length,
       });
    } catch (error) {
-      console.error("Eroare la adăugarea în coș:", error);
+      console.error("Eroare la obținerea wishlist-ului:", error);
       res.status(500).json({
          success: false,
-         message: "Eroare server la adăugarea în coş",
+         message: "Eroare server la obținerea wishlist-ului",
       });
    }
 });
 
-// inainte de app.get('/', (req, res)
 /**
- * RUTA POST /api/create-checkout-session
- * creează sesiune Stripe Checkout
+ * RUTA POST /api/wishlist Salvează o carte în wishlist
+ * Body: { productId }
  */
-app.post("/api/create-checkout-session", async (req, res) => {
+app.post("/api/wishlist", authenticateToken, async (req, res) => {
    try {
-      const { amount, cartItems } = req.body;
-      console.log("creează sesiune checkout pentru suma de:", amount);
-      // validări
-      if (!amount || amount < 1) {
+      const { productId } = req.body;
+
+      if (!Number.isInteger(productId)) {
          return res.status(400).json({
             success: false,
-            error: "Suma invalidă",
+            message: "ID produs este obligatoriu",
          });
       }
-      // creează randuri pentru produse
-      const lineItems = [
-         ...cartItems.map((item) => ({
-            price_data: {
-               currency: "ron",
-               product_data: {
-                  name: item.title,
-                  description: `de ${item.author}`,
-                  images: [item.imageUrl],
-               },
-               unit_amount: Math.round(item.price * 100), // preț per unitate
-               // deoarece Stripe lucrează în subunități: RON BANI (1 RON = 100 bani)
-            },
-            quantity: item.quantity,
-         })),
-         // adaugăm transportul
-         {
-            price_data: {
-               currency: "ron",
-               product_data: {
-                  name: "Transport",
-                  description: "Cost livrare",
-               },
-               unit_amount: 1999, // 19.99 RON
-            },
-            quantity: 1,
-         },
-         //
-      ]; // am corectat sintaxa din document
 
-      // creează sesiunea Stripe Checkout
-      const session = await stripe.checkout.sessions.create({
-         payment_method_types: ["card"],
-         line_items: lineItems,
-         mode: "payment",
-         success_url: `${req.headers.origin}/payment-success?session_id={CHECKOUT_SESSION_ID}&clear_cart=true`,
-         cancel_url: `${req.headers.origin}/`,
-         metadata: {
-            order_type: "book_store",
-         },
+      const product = await repository.products.findOne({ id: productId, isActive: true });
+      if (!product) {
+         return res.status(404).json({
+            success: false,
+            message: "Produsul nu a fost găsit",
+         });
+      }
+
+      if (await repository.wishlists.findOne({ userId: req.user.id, productId })) {
+         return res.json({
+            success: true,
+            message: "Produsul este deja în wishlist",
+         });
+      }
+
+      await repository.wishlists.insert({
+         userId: req.user.id,
+         productId,
+         priceWhenAdded: product.discountPrice || product.price,
+         addedAt: new Date().toISOString(),
       });
 
-      console.log("Sesiune checkout creată:", session.id);
-      res.json({
+      res.status(201).json({
          success: true,
-         sessionId: session.id,
-         sessionUrl: session.url,
+         message: "Produs adăugat în wishlist",
       });
    } catch (error) {
-      console.error("Eroare Stripe:", error);
+      console.error("Eroare la adăugarea în wishlist:", error);
       res.status(500).json({
          success: false,
-         error: "Eroare la crearea sesiunii de plată",
+         message: "Eroare server la adăugarea în wishlist",
       });
    }
 });
 
 /**
- * RUTA GET /api/cart Obține conținutul coşului
+ * RUTA DELETE /api/wishlist/:productId Scoate o carte din wishlist
  */
-app.get("/api/cart", (req, res) => {
+app.delete("/api/wishlist/:productId", authenticateToken, async (req, res) => {
    try {
-      const cart = readCart();
+      const entry = await repository.wishlists.findOne({ userId: req.user.id, productId: Number(req.params.productId) });
+
+      if (!entry) {
+         return res.status(404).json({
+            success: false,
+            message: "Produsul nu este în wishlist",
+         });
+      }
+
+      await repository.wishlists.remove(entry.id);
+
       res.json({
          success: true,
-         cart: cart,
+         message: "Produs șters din wishlist",
       });
    } catch (error) {
-      console.error("Eroare la obținerea coşului:", error);
+      console.error("Eroare la ştergerea din wishlist:", error);
       res.status(500).json({
          success: false,
-         message: "Eroare server la obținerea coșului",
+         message: "Eroare server la ştergerea din wishlist",
       });
    }
 });
 
 /**
- * RUTA DELETE /api/cart/:productId
- * Sterge un produs din coș
+ * =====================================
+ * WEBHOOK STRIPE
+ * =====================================
  */
-app.delete("/api/cart/:productId", (req, res) => {
-   try {
-      const { productId } = req.params;
-      const cart = readCart();
 
-      // Convertim productId la number
-      const productIdNum = Number(productId);
+/**
+ * Modifică stocul produselor dintr-o comandă şi înregistrează mişcările
+ * @param {Array} items Liniile comenzii ({ productId, quantity })
+ * @param {number} direction -1 pentru vânzare, 1 pentru retur
+ * @param {Object} movement { type: "sale" | "return", orderId, reason, by }
+ */
+const adjustStockForItems = async (items, direction, movement) => {
+   for (const item of items) {
+      const product = await repository.products.findById(item.productId);
+      if (product) {
+         await changeStock(product, direction * item.quantity, movement);
+      }
+   }
+};
 
-      // Filtrează cartile din cos, eliminând pe cel cu productId-ul dorit
-      cart.items = cart.items.filter((item) => item.productId !== productIdNum);
+/**
+ * Găseşte comanda corespunzătoare unei sesiuni Stripe Checkout
+ * @param {Object} session Sesiunea Stripe
+ * @returns {Promise<Object|null>}
+ */
+const findOrderForSession = async (session) => {
+   const orderId = session.metadata && parseInt(session.metadata.order_id);
+   return (orderId && (await repository.orders.findById(orderId))) || repository.orders.findOne({ stripeSessionId: session.id });
+};
 
-      // Recalculează totalul
-      cart.total = cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
-      cart.totalItems = cart.items.reduce((sum, item) => sum + item.quantity, 0);
+/**
+ * Procesează un eveniment Stripe verificat
+ * @param {Object} event Evenimentul Stripe
+ */
+const handleStripeEvent = async (event) => {
+   switch (event.type) {
+      case "checkout.session.completed": {
+         const session = event.data.object;
+         const found = await findOrderForSession(session);
+         if (!found || session.payment_status !== "paid") {
+            return;
+         }
+         await withOrderLock(found.id, async (order) => {
+            if (setOrderStatus(order, "paid", { note: `Stripe ${event.id}` })) {
+               order.paymentIntentId = session.payment_intent || null;
+               if (!order.customer.email && session.customer_details) {
+                  order.customer.email = session.customer_details.email || "";
+                  order.customer.name = order.customer.name || session.customer_details.name || "";
+               }
+               await repository.orders.replace(order.id, order);
+            } else if (order.status === "cancelled") {
+               // plata a sosit după anularea comenzii: nu se finalizează, ci se semnalează
+               // administratorilor, care rambursează sau reactivează comanda
+               if (!order.paymentIssue) {
+                  const now = new Date().toISOString();
+                  order.paymentIntentId = session.payment_intent || null;
+                  order.paymentIssue = {
+                     type: "paid_after_cancellation",
+                     stripeEventId: event.id,
+                     amount: typeof session.amount_total === "number" ? session.amount_total / 100 : null,
+                     at: now,
+                  };
+                  order.updatedAt = now;
+                  await repository.orders.replace(order.id, order);
+               }
+               console.error("Plată primită pentru comanda anulată:", order.id);
+               return;
+            } else if (order.status !== "paid") {
+               return;
+            }
+            // la retrimiterea după o eroare comanda este deja plătită: se finalizează paşii rămaşi
+            await fulfilPaidOrder(order);
+            console.log("Comanda plătită:", order.id);
+         });
+         return;
+      }
 
-      saveCart(cart);
+      case "checkout.session.expired": {
+         const found = await findOrderForSession(event.data.object);
+         if (!found) {
+            return;
+         }
+         await withOrderLock(found.id, async (order) => {
+            if (setOrderStatus(order, "cancelled", { note: "Sesiune Stripe expirată" })) {
+               await repository.orders.replace(order.id, order);
+               await releaseReservation(order.id, "Sesiune Stripe expirată");
+               console.log("Comanda anulată (sesiune expirată):", order.id);
+            }
+         });
+         return;
+      }
 
-      res.json({
-         success: true,
-         message: "Produs șters din coş",
-         cart: cart,
-      });
+      case "charge.refunded": {
+         const charge = event.data.object;
+         const found = charge.payment_intent && (await repository.orders.findOne({ paymentIntentId: charge.payment_intent }));
+         if (!found) {
+            return;
+         }
+         await withOrderLock(found.id, async (order) => {
+            order.refund = {
+               amount: charge.amount_refunded / 100,
+               full: charge.refunded === true,
+               at: new Date().toISOString(),
+            };
+            order.updatedAt = order.refund.at;
+
+            // rambursarea integrală a unei comenzi neexpediate o anulează şi readuce stocul
+            const restock = charge.refunded === true && setOrderStatus(order, "cancelled", { note: "Rambursare Stripe" });
+            await repository.orders.replace(order.id, order);
+            if (restock) {
+               await adjustStockForItems(immediateItems(order.items), 1, { type: "return", orderId: order.id, reason: "Rambursare Stripe" });
+               await voidCouponRedemption(order, "Rambursare Stripe");
+            }
+            console.log("Rambursare înregistrată pentru comanda:", order.id);
+         });
+         return;
+      }
+
+      default:
+         console.log("Eveniment Stripe ignorat:", event.type);
+   }
+};
+
+// Livrările simultane ale aceluiaşi eveniment Stripe sunt procesate pe rând
+const runStripeEventExclusive = createKeyedMutex();
+
+/**
+ * RUTA POST /api/webhooks/stripe
+ * Primeşte evenimentele Stripe; semnătura se verifică pe corpul brut al cererii.
+ * Fiecare eveniment este procesat o singură dată (după event.id); un eveniment a cărui procesare
+ * a eşuat nu este înregistrat, iar retrimiterea lui de către Stripe reia procesarea.
+ */
+app.post("/api/webhooks/stripe", express.raw({ type: "application/json" }), async (req, res) => {
+   const secret = process.env.STRIPE_WEBHOOK_SECRET;
+   if (!secret) {
+      console.error("STRIPE_WEBHOOK_SECRET nu este configurat");
+      return res.status(500).json({ success: false, message: "Webhook neconfigurat" });
+   }
+
+   let event;
+   try {
+      event = stripe.webhooks.constructEvent(Buffer.isBuffer(req.body) ? req.body : "", req.headers["stripe-signature"], secret);
    } catch (error) {
-      console.error("Eroare la ştergerea din coș:", error);
-      res.status(500).json({
-         success: false,
-         message: "Eroare server la ştergerea din coş",
+      console.error("Semnătură webhook invalidă:", error.message);
+      return res.status(400).json({ success: false, message: "Semnătură invalidă" });
+   }
+
+   try {
+      const duplicate = await runStripeEventExclusive(event.id, async () => {
+         if (await repository.stripeEvents.findById(event.id)) {
+            return true;
+         }
+         await handleStripeEvent(event);
+         await repository.stripeEvents.insert({ id: event.id, type: event.type, processedAt: new Date().toISOString() });
+         return false;
       });
+
+      res.json(duplicate ? { received: true, duplicate: true } : { received: true });
+   } catch (error) {
+      // 500 => Stripe va retrimite evenimentul
+      console.error("Eroare la procesarea webhook-ului Stripe:", error);
+      res.status(500).json({ success: false, message: "Eroare la procesarea evenimentului" });
    }
 });
 
 /**
  * RUTA PUT/api/admin/products/:id Actualizează produs
+ * Actualizare parţială: doar câmpurile trimise (inclusiv specifications.<câmp>) se modifică.
+ * Erorile de validare sunt returnate per câmp în "errors".
+ * O modificare a stocului este înregistrată ca şi corecţie în registrul de stoc, cu motivul din "stockReason".
  */
-app.put("/api/admin/products/:id", authenticateToken, requireAdmin, (req, res) => {
+app.put("/api/admin/products/:id", authenticateToken, requireAdmin, async (req, res) => {
    try {
       const productId = parseInt(req.params.id);
-      const updates = req.body;
-      let products = readProducts();
-      const productIndex = products.findIndex((p) => p.id === productId);
+      const product = await repository.products.findById(productId);
 
-      if (productIndex === -1) {
+      if (!product) {
          return res.status(404).json({
             success: false,
             message: "Produsul nu a fost găsit",
          });
       }
 
+      // Doar câmpurile trimise sunt validate şi modificate; id, createdAt, createdBy nu pot fi suprascrise
+      const { stockReason, ...changes } = req.body;
+      const { errors, value } = validateProduct(changes, { partial: true, current: product });
+
+      if (errors) {
+         return res.status(400).json({
+            success: false,
+            message: "Date invalide pentru produs",
+            errors,
+         });
+      }
+
+      const duplicate = value.isbn && findProductByIsbn(await repository.products.find(), value.isbn, productId);
+      if (duplicate) {
+         return res.status(409).json({
+            success: false,
+            message: "Există deja un produs cu acest ISBN",
+            errors: { isbn: `ISBN-ul aparţine produsului #${duplicate.id}` },
+         });
+      }
+
       // Actualizează produsul
-      products[productIndex] = {
-         ...products[productIndex],
-         ...updates,
+      const updatedProduct = await repository.products.replace(productId, {
+         ...applyProductUpdate(product, value),
          updatedAt: new Date().toISOString(),
-      };
+      });
+      searchIndex.upsert(updatedProduct);
+      await recordStockEdit(product, updatedProduct, typeof stockReason === "string" && stockReason.trim() ? stockReason.trim() : "Modificat la editarea produsului", req.user.id);
+      await auditProductChange(req, "update", product, updatedProduct);
 
-      fs.writeFileSync(PRODUCTS_FILE, JSON.stringify({ products }, null, 2));
+      // revenire în stoc sau preţ mai mic: clienţii cu cartea în wishlist sunt anunţaţi
+      if ((await notifyWishlistSubscribers(product, updatedProduct)) > 0) {
+         scheduleNotificationDelivery();
+      }
 
       res.json({
          success: true,
          message: "Produs actualizat cu succes",
-         product: products[productIndex],
+         product: updatedProduct,
       });
    } catch (error) {
       console.error("Eroare la actualizarea produsului:", error);
@@ -847,14 +4374,13 @@ app.put("/api/admin/products/:id", authenticateToken, requireAdmin, (req, res) =
 /**
  * RUTA DELETE /api/admin/products/:id Şterge sau dezactivează produs
  */
-app.delete("/api/admin/products/:id", authenticateToken, requireAdmin, (req, res) => {
+app.delete("/api/admin/products/:id", authenticateToken, requireAdmin, async (req, res) => {
    try {
       const productId = parseInt(req.params.id);
       const { permanent = false } = req.query; // soft delete vs hard delete
-      let products = readProducts();
-      const productIndex = products.findIndex((p) => p.id === productId);
+      const product = await repository.products.findById(productId);
 
-      if (productIndex === -1) {
+      if (!product) {
          return res.status(404).json({
             success: false,
             message: "Produsul nu a fost găsit",
@@ -864,18 +4390,22 @@ app.delete("/api/admin/products/:id", authenticateToken, requireAdmin, (req, res
       let message;
 
       if (permanent) {
-         // Stergere permanentă
-         products.splice(productIndex, 1);
+         // Stergere permanentă; ultima versiune rămâne în revizii şi poate fi restaurată
+         await repository.products.remove(productId);
+         searchIndex.remove(productId);
+         if (product.stock > 0) {
+            await recordStockMovement(product, { type: "adjustment", quantity: -product.stock, stockAfter: 0, reason: "Produs şters definitiv", by: req.user.id });
+         }
+         await auditProductChange(req, "delete", product, null);
          message = "Produs şters definitiv";
       } else {
          // Soft delete (dezactivează)
-         products[productIndex].isActive = false;
-         products[productIndex].updatedAt = new Date().toISOString();
+         const deactivated = await repository.products.update(productId, { isActive: false, updatedAt: new Date().toISOString() });
+         searchIndex.upsert(deactivated);
+         await auditProductChange(req, "deactivate", product, deactivated);
          message = "Produs dezactivat cu succes";
       }
 
-      fs.writeFileSync(PRODUCTS_FILE, JSON.stringify({ products }, null, 2));
-
       res.json({
          success: true,
          message,
@@ -892,11 +4422,10 @@ app.delete("/api/admin/products/:id", authenticateToken, requireAdmin, (req, res
 /**
  * RUTA GET /api/admin/products/:id Obține un singur produs
  */
-app.get("/api/admin/products/:id", authenticateToken, requireAdmin, (req, res) => {
+app.get("/api/admin/products/:id", authenticateToken, requireAdmin, async (req, res) => {
    try {
       const productId = parseInt(req.params.id);
-      const products = readProducts();
-      const product = products.find((p) => p.id === productId);
+      const product = await repository.products.findById(productId);
 
       if (!product) {
          return res.status(404).json({
@@ -918,11 +4447,258 @@ app.get("/api/admin/products/:id", authenticateToken, requireAdmin, (req, res) =
    }
 });
 
+/**
+ * =====================================
+ * JURNAL DE AUDIT ŞI REVIZII PRODUSE
+ * =====================================
+ */
+
+/**
+ * Înregistrează o scriere făcută de un administrator
+ * @param {Object} req Cererea (autorul din token şi IP-ul)
+ * @param {Object} entry { entity, entityId, action, before, after, note, ignore }
+ * @returns {Promise<Object>} Intrarea salvată
+ */
+const recordAudit = (req, { entity, entityId, action, before = null, after = null, note = null, ignore }) =>
+   repository.auditLog.insert({
+      entity,
+      entityId,
+      action,
+      actor: { id: req.user.id, email: req.user.email, name: req.user.name || "" },
+      ip: req.ip || (req.socket && req.socket.remoteAddress) || null,
+      changes: diffChanges(before, after, ignore ? { ignore } : undefined),
+      note,
+      at: new Date().toISOString(),
+   });
+
+/**
+ * Salvează o versiune a unui produs. La prima modificare a unui produs fără revizii
+ * se salvează întâi şi starea dinainte, ca revizia iniţială să poată fi restaurată.
+ * @param {Object} req Cererea
+ * @param {string} action Acţiunea din jurnal
+ * @param {Object|null} before Produsul înainte
+ * @param {Object|null} after Produsul după (null la ştergerea definitivă)
+ * @param {number} auditId Intrarea din jurnal
+ */
+const recordProductRevision = async (req, action, before, after, auditId) => {
+   const productId = (after || before).id;
+   const revisions = await repository.productRevisions.find({ productId });
+   let revision = revisions.reduce((max, r) => Math.max(max, r.revision), 0);
+   const save = (fields) => repository.productRevisions.insert({ productId, revision: ++revision, at: new Date().toISOString(), ...fields });
+
+   if (revisions.length === 0 && before) {
+      await save({ action: "baseline", snapshot: before, by: before.createdBy || null, auditId: null });
+   }
+   // la ştergere, revizia păstrează ultima stare a produsului
+   await save({ action, snapshot: after || before, deleted: !after, by: req.user.id, auditId });
+};
+
+/**
+ * ID-ul unui produs nou. ID-urile produselor şterse definitiv rămân ocupate,
+ * ca reviziile lor să nu se amestece cu ale unui produs nou.
+ * @returns {Promise<number>}
+ */
+const nextProductId = async () => {
+   const revised = (await repository.productRevisions.find()).reduce((max, revision) => Math.max(max, revision.productId), 0);
+   return Math.max(await repository.products.nextId(), revised + 1);
+};
+
+// Alocarea ID-ului şi inserarea unui produs nou rulează pe rând (creare şi import simultane)
+const runProductIdExclusive = createKeyedMutex();
+
+/**
+ * Inserează un produs nou cu următorul ID liber
+ * @param {Object} fields Câmpurile produsului, fără id
+ * @returns {Promise<Object>} Produsul salvat
+ */
+const insertProduct = (fields) => runProductIdExclusive("products", async () => repository.products.insert({ id: await nextProductId(), ...fields }));
+
+/**
+ * Jurnal şi revizie pentru o scriere pe un produs
+ * @param {Object} req Cererea
+ * @param {string} action Acţiunea (create, update, delete, ...)
+ * @param {Object|null} before Produsul înainte (null la creare)
+ * @param {Object|null} after Produsul după (null la ştergerea definitivă)
+ * @param {string} [note]
+ */
+const auditProductChange = async (req, action, before, after, note = null) => {
+   const entry = await recordAudit(req, { entity: "product", entityId: (after || before).id, action, before, after, note });
+   await recordProductRevision(req, action, before, after, entry.id);
+};
+
+/**
+ * RUTA GET /api/admin/audit Jurnalul scrierilor administratorilor, cele mai recente primele
+ * Parametri interogare: entity, entityId, action, actorId, from, to (YYYY-MM-DD sau ISO), page, limit
+ */
+app.get("/api/admin/audit", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const { entity, entityId, action, actorId, page = 1, limit = 50 } = req.query;
+
+      if (entity && !AUDIT_ENTITIES.includes(entity)) {
+         return res.status(400).json({
+            success: false,
+            message: `Entitate invalidă. Valori permise: ${AUDIT_ENTITIES.join(", ")}`,
+         });
+      }
+      if (action && !AUDIT_ACTIONS.includes(action)) {
+         return res.status(400).json({
+            success: false,
+            message: `Acţiune invalidă. Valori permise: ${AUDIT_ACTIONS.join(", ")}`,
+         });
+      }
+
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(req.query.to) ? `${req.query.to}T23:59:59.999Z` : req.query.to) : null;
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+         return res.status(400).json({
+            success: false,
+            message: "Interval de date invalid",
+         });
+      }
+
+      const query = {};
+      if (entity) {
+         query.entity = entity;
+      }
+      if (action) {
+         query.action = action;
+      }
+      const entries = (await repository.auditLog.find(query))
+         .filter((entry) => !entityId || String(entry.entityId) === String(entityId))
+         .filter((entry) => !actorId || entry.actor.id === Number(actorId))
+         .filter((entry) => (!from || new Date(entry.at) >= from) && (!to || new Date(entry.at) <= to))
+         .sort((a, b) => b.id - a.id);
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const startIndex = (pageNum - 1) * limitNum;
+      const endIndex = startIndex + limitNum;
+
+      res.json({
+         success: true,
+         entries: entries.slice(startIndex, endIndex),
+         pagination: {
+            currentPage: pageNum,
+            totalPages: Math.ceil(entries.length / limitNum),
+            totalEntries: entries.length,
+            entriesPerPage: limitNum,
+            hasNextPage: endIndex < entries.length,
+            hasPrevPage: startIndex > 0,
+         },
+      });
+   } catch (error) {
+      console.error("Eroare la obținerea jurnalului de audit:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la obținerea jurnalului de audit",
+      });
+   }
+});
+
+/**
+ * RUTA GET /api/admin/products/:id/revisions Versiunile anterioare ale unui produs, cele mai recente primele
+ * Funcţionează şi pentru produsele şterse definitiv.
+ */
+app.get("/api/admin/products/:id/revisions", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const productId = parseInt(req.params.id);
+      const revisions = (await repository.productRevisions.find({ productId })).sort((a, b) => b.revision - a.revision);
+      const product = await repository.products.findById(productId);
+
+      if (!product && revisions.length === 0) {
+         return res.status(404).json({
+            success: false,
+            message: "Produsul nu a fost găsit",
+         });
+      }
+
+      res.json({
+         success: true,
+         productId,
+         deleted: !product,
+         revisions,
+      });
+   } catch (error) {
+      console.error("Eroare la obținerea reviziilor:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la obținerea reviziilor",
+      });
+   }
+});
+
+/**
+ * RUTA POST /api/admin/products/:id/revisions/:revision/restore Restaurează o versiune a unui produs
+ * Produsul şters definitiv este recreat cu acelaşi ID. Stocul unui produs existent nu se modifică
+ * (este gestionat prin registrul de stoc), iar rating-ul se recalculează din recenzii.
+ */
+app.post("/api/admin/products/:id/revisions/:revision/restore", authenticateToken, requireAdmin, async (req, res) => {
+   try {
+      const productId = parseInt(req.params.id);
+      const revisionNumber = parseInt(req.params.revision);
+      const revision = await repository.productRevisions.findOne({ productId, revision: revisionNumber });
+
+      if (!revision) {
+         return res.status(404).json({
+            success: false,
+            message: "Revizia nu a fost găsită",
+         });
+      }
+
+      const current = await repository.products.findById(productId);
+      const duplicate = findProductByIsbn(await repository.products.find(), revision.snapshot.isbn, productId);
+      if (duplicate) {
+         return res.status(409).json({
+            success: false,
+            message: "Există deja un produs cu acest ISBN",
+            errors: { isbn: `ISBN-ul aparţine produsului #${duplicate.id}` },
+         });
+      }
+
+      const now = new Date().toISOString();
+      const restored = { ...revision.snapshot, id: productId, updatedAt: now };
+      if (current) {
+         restored.stock = current.stock;
+         restored.createdAt = current.createdAt;
+         restored.createdBy = current.createdBy;
+         await repository.products.replace(productId, restored);
+      } else {
+         await repository.products.insert(restored);
+         await recordInitialStock(restored, `Produs restaurat (revizia ${revisionNumber})`, req.user.id);
+      }
+      const product = await recalculateProductRating(productId);
+      searchIndex.upsert(product);
+      await auditProductChange(req, "restore", current, product, `Revizia ${revisionNumber}`);
+
+      console.log(`Produsul ${productId} restaurat din revizia ${revisionNumber}`);
+      res.json({
+         success: true,
+         message: current ? "Produs restaurat" : "Produs şters restaurat",
+         product,
+      });
+   } catch (error) {
+      console.error("Eroare la restaurarea produsului:", error);
+      res.status(500).json({
+         success: false,
+         message: "Eroare server la restaurarea produsului",
+      });
+   }
+});
+
 const allowedOrigins = ["http://localhost:5173", "https://mern-bookstore-frontend-pi.vercel.app"];
 
+// O origine nepermisă primeşte răspunsul fără antetele CORS (browserul îl blochează), nu o eroare 500
 app.use(
    cors({
-      origin: (origin, callback) => (allowedOrigins.includes(origin) ? callback(null, true) : callback(new Error("CORS"))),
+      origin: (origin, callback) => callback(null, allowedOrigins.includes(origin)),
       credentials: true,
    })
 );
+
+// Rutele inexistente
+app.use((req, res) => {
+   res.status(404).json({
+      success: false,
+      message: "Ruta nu a fost găsită",
+   });
+});
@@ -0,0 +1,80 @@
+/**
+ * STRATUL DE STOCARE (REPOSITORY)
+ * Rutele lucrează doar cu colecţiile expuse aici; adaptorul concret se alege din configurare:
+ * - STORAGE_DRIVER=json (implicit): fişierele din data/ (sau DATA_DIR)
+ * - STORAGE_DRIVER=mongo: MongoDB, la MONGODB_URI / MONGODB_DB
+ * Produsele sunt aduse în forma canonică la citire, până la rularea migrărilor (npm run migrate).
+ * collection(name) returnează colecţia brută, fără normalizare (folosită de migrări).
+ */
+
+const path = require("path");
+const { createJsonAdapter } = require("./jsonAdapter");
+const { createMongoAdapter } = require("./mongoAdapter");
+const { normalizeProduct } = require("../utils/productSchema");
+
+/**
+ * Aplică o transformare pe documentele citite dintr-o colecţie
+ * @param {Object} collection Colecţia adaptorului
+ * @param {Function} normalize Funcţia aplicată fiecărui document
+ * @returns {Object} Colecţie cu acelaşi API
+ */
+const withNormalizedReads = (collection, normalize) => {
+   const one = (doc) => (doc ? normalize(doc) : doc);
+   return {
+      ...collection,
+      find: async (query) => (await collection.find(query)).map(normalize),
+      findOne: async (query) => one(await collection.findOne(query)),
+      findById: async (id) => one(await collection.findById(id)),
+      update: async (id, changes) => one(await collection.update(id, changes)),
+      updateIf: async (id, expected, changes) => one(await collection.updateIf(id, expected, changes)),
+   };
+};
+
+/**
+ * Creează repository-ul aplicaţiei
+ * @param {Object} [config] Suprascrie variabilele de mediu
+ * @param {string} [config.driver] "json" sau "mongo"
+ * @param {string} [config.dataDir] Directorul fişierelor JSON
+ * @param {string} [config.mongoUri] URI MongoDB
+ * @param {string} [config.mongoDb] Numele bazei de date MongoDB
+ * @returns {Object} Colecţiile aplicaţiei, collection(name) pentru colecţii noi şi close()
+ */
+const createRepository = (config = {}) => {
+   const driver = config.driver || process.env.STORAGE_DRIVER || "json";
+
+   let adapter;
+   if (driver === "json") {
+      adapter = createJsonAdapter({ dataDir: config.dataDir || process.env.DATA_DIR || path.join(__dirname, "..", "data") });
+   } else if (driver === "mongo") {
+      adapter = createMongoAdapter({
+         uri: config.mongoUri || process.env.MONGODB_URI || "mongodb://127.0.0.1:27017",
+         dbName: config.mongoDb || process.env.MONGODB_DB || "bookstore",
+      });
+   } else {
+      throw new Error(`STORAGE_DRIVER necunoscut: ${driver}`);
+   }
+
+   return {
+      driver,
+      products: withNormalizedReads(adapter.collection("products"), normalizeProduct),
+      users: adapter.collection("users"),
+      carts: adapter.collection("carts"),
+      orders: adapter.collection("orders"),
+      reservations: adapter.collection("reservations"),
+      stripeEvents: adapter.collection("stripeEvents"),
+      reviews: adapter.collection("reviews"),
+      wishlists: adapter.collection("wishlists"),
+      notifications: adapter.collection("notifications"),
+      coupons: adapter.collection("coupons"),
+      couponRedemptions: adapter.collection("couponRedemptions"),
+      shippingMethods: adapter.collection("shippingMethods"),
+      invoices: adapter.collection("invoices"),
+      stockMovements: adapter.collection("stockMovements"),
+      auditLog: adapter.collection("auditLog"),
+      productRevisions: adapter.collection("productRevisions"),
+      collection: adapter.collection,
+      close: adapter.close,
+   };
+};
+
+module.exports = { createRepository };
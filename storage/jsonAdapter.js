@@ -0,0 +1,259 @@
+/**
+ * ADAPTOR DE STOCARE ÎN FIŞIERE JSON
+ * Fiecare colecţie este un fişier din data/ cu forma { "<cheie>": [documente] }.
+ * Documentele sunt identificate prin câmpul "id".
+ * - scrierile într-un fişier sunt serializate (citeşte-modifică-scrie fără pierderi de actualizări)
+ * - fiecare scriere merge într-un fişier temporar redenumit apoi peste original (atomic)
+ * - un fişier corupt produce eroare, nu o colecţie goală
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createKeyedMutex } = require("./mutex");
+
+// Fişierele existente care nu urmează convenţia <colecţie>.json
+const DEFAULT_FILES = {
+   products: { file: "books.json", key: "products" },
+   carts: { file: "cart.json", key: "carts" },
+   stripeEvents: { file: "stripe-events.json", key: "events" },
+};
+
+/**
+ * Valoarea unui câmp, cu notaţia cu punct pentru câmpurile imbricate (ex. "discount.couponId"), ca în MongoDB
+ * @param {Object} doc
+ * @param {string} field
+ * @returns {*}
+ */
+const valueAt = (doc, field) => field.split(".").reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+
+/**
+ * Verifică dacă un document corespunde unui filtru de egalitate pe câmpuri
+ * @param {Object} doc
+ * @param {Object} query
+ * @returns {boolean}
+ */
+const matches = (doc, query) => Object.keys(query).every((field) => valueAt(doc, field) === query[field]);
+
+/**
+ * Eroare pentru un fişier de date care nu poate fi interpretat
+ */
+class CorruptDataFileError extends Error {
+   constructor(file, reason) {
+      super(`Fişierul de date ${file} este corupt: ${reason}`);
+      this.name = "CorruptDataFileError";
+      this.file = file;
+   }
+}
+
+/**
+ * Eroare pentru inserarea unui document cu un ID care există deja în colecţie
+ */
+class DuplicateIdError extends Error {
+   constructor(collection, id) {
+      super(`Colecţia ${collection} are deja un document cu ID-ul ${id}`);
+      this.name = "DuplicateIdError";
+      this.id = id;
+   }
+}
+
+/**
+ * Creează adaptorul JSON
+ * @param {Object} options
+ * @param {string} options.dataDir Directorul cu fişierele de date
+ * @param {Object} [options.files] Map colecţie -> { file, key } pentru fişiere cu nume diferit
+ * @returns {Object} { collection, close }
+ */
+const createJsonAdapter = ({ dataDir, files = {} }) => {
+   const fileMap = { ...DEFAULT_FILES, ...files };
+   const collections = new Map();
+   const runExclusive = createKeyedMutex();
+   let tempCounter = 0;
+
+   const createCollection = (name) => {
+      const { file, key } = fileMap[name] || { file: `${name}.json`, key: name };
+      const filePath = path.join(dataDir, file);
+
+      const readAll = () => {
+         let data;
+         try {
+            data = fs.readFileSync(filePath, "utf8");
+         } catch (error) {
+            // Returnează colecţie goală dacă fişierul nu există încă
+            if (error.code === "ENOENT") {
+               return [];
+            }
+            throw error;
+         }
+
+         let parsed;
+         try {
+            parsed = JSON.parse(data);
+         } catch (error) {
+            const corrupt = new CorruptDataFileError(file, error.message);
+            console.error(corrupt.message);
+            throw corrupt;
+         }
+
+         const docs = parsed && parsed[key] !== undefined ? parsed[key] : [];
+         if (!Array.isArray(docs)) {
+            const corrupt = new CorruptDataFileError(file, `"${key}" trebuie să fie o listă`);
+            console.error(corrupt.message);
+            throw corrupt;
+         }
+         return docs;
+      };
+
+      const writeAll = async (docs) => {
+         const tempPath = `${filePath}.${process.pid}.${++tempCounter}.tmp`;
+         try {
+            const handle = await fs.promises.open(tempPath, "w");
+            try {
+               await handle.writeFile(JSON.stringify({ [key]: docs }, null, 2));
+               await handle.sync();
+            } finally {
+               await handle.close();
+            }
+            await fs.promises.rename(tempPath, filePath);
+         } catch (error) {
+            console.error(`Eroare la salvarea ${file}:`, error);
+            await fs.promises.rm(tempPath, { force: true });
+            throw error;
+         }
+      };
+
+      // Citeşte-modifică-scrie sub lacătul fişierului
+      const mutate = (task) => runExclusive(filePath, async () => task(readAll()));
+
+      const nextIdFrom = (docs) => docs.reduce((max, doc) => (typeof doc.id === "number" ? Math.max(max, doc.id) : max), 0) + 1;
+
+      return {
+         /**
+          * Documentele care corespund filtrului (toate dacă filtrul lipseşte)
+          * @param {Object} [query] Filtru de egalitate pe câmpuri
+          * @returns {Promise<Array>}
+          */
+         find: async (query = {}) => readAll().filter((doc) => matches(doc, query)),
+
+         /**
+          * Primul document care corespunde filtrului
+          * @param {Object} query
+          * @returns {Promise<Object|null>}
+          */
+         findOne: async (query) => readAll().find((doc) => matches(doc, query)) || null,
+
+         /**
+          * @param {number|string} id
+          * @returns {Promise<Object|null>}
+          */
+         findById: async (id) => readAll().find((doc) => doc.id === id) || null,
+
+         /**
+          * Următorul ID numeric liber
+          * @returns {Promise<number>}
+          */
+         nextId: async () => nextIdFrom(readAll()),
+
+         /**
+          * Adaugă un document; primeşte ID incrementat dacă nu are unul
+          * @param {Object} doc
+          * @returns {Promise<Object>} Documentul salvat
+          * @throws {DuplicateIdError} Dacă ID-ul explicit există deja
+          */
+         insert: (doc) =>
+            mutate(async (docs) => {
+               if (doc.id !== undefined && docs.some((existing) => existing.id === doc.id)) {
+                  throw new DuplicateIdError(name, doc.id);
+               }
+               const saved = doc.id === undefined ? { id: nextIdFrom(docs), ...doc } : doc;
+               docs.push(saved);
+               await writeAll(docs);
+               return saved;
+            }),
+
+         /**
+          * Actualizează câmpurile date ale unui document
+          * @param {number|string} id
+          * @param {Object} changes
+          * @returns {Promise<Object|null>} Documentul actualizat sau null dacă nu există
+          */
+         update: (id, changes) =>
+            mutate(async (docs) => {
+               const index = docs.findIndex((doc) => doc.id === id);
+               if (index === -1) {
+                  return null;
+               }
+               docs[index] = { ...docs[index], ...changes, id };
+               await writeAll(docs);
+               return docs[index];
+            }),
+
+         /**
+          * Actualizează documentul doar dacă are încă valorile aşteptate (compare-and-set)
+          * @param {number|string} id
+          * @param {Object} expected Filtru de egalitate pe câmpuri, ex. { status: "active" }
+          * @param {Object} changes
+          * @returns {Promise<Object|null>} Documentul actualizat sau null dacă nu există ori nu mai corespunde
+          */
+         updateIf: (id, expected, changes) =>
+            mutate(async (docs) => {
+               const index = docs.findIndex((doc) => doc.id === id && matches(doc, expected));
+               if (index === -1) {
+                  return null;
+               }
+               docs[index] = { ...docs[index], ...changes, id };
+               await writeAll(docs);
+               return docs[index];
+            }),
+
+         /**
+          * Înlocuieşte documentul cu ID-ul dat (îl creează dacă nu există)
+          * @param {number|string} id
+          * @param {Object} doc
+          * @returns {Promise<Object>}
+          */
+         replace: (id, doc) =>
+            mutate(async (docs) => {
+               const saved = { ...doc, id };
+               const index = docs.findIndex((d) => d.id === id);
+               if (index === -1) {
+                  docs.push(saved);
+               } else {
+                  docs[index] = saved;
+               }
+               await writeAll(docs);
+               return saved;
+            }),
+
+         /**
+          * Şterge documentul cu ID-ul dat
+          * @param {number|string} id
+          * @returns {Promise<boolean>} true dacă documentul exista
+          */
+         remove: (id) =>
+            mutate(async (docs) => {
+               const remaining = docs.filter((doc) => doc.id !== id);
+               if (remaining.length === docs.length) {
+                  return false;
+               }
+               await writeAll(remaining);
+               return true;
+            }),
+      };
+   };
+
+   return {
+      /**
+       * Colecţia cu numele dat (creată la prima utilizare)
+       * @param {string} name
+       */
+      collection: (name) => {
+         if (!collections.has(name)) {
+            collections.set(name, createCollection(name));
+         }
+         return collections.get(name);
+      },
+      close: async () => {},
+   };
+};
+
+module.exports = { createJsonAdapter, CorruptDataFileError, DuplicateIdError };
@@ -0,0 +1,140 @@
+/**
+ * ADAPTOR DE STOCARE MONGODB
+ * Fiecare colecţie a aplicaţiei este o colecţie MongoDB cu acelaşi nume.
+ * Documentele păstrează câmpul "id" al aplicaţiei (index unic); "_id" intern nu este expus.
+ * ID-urile numerice se alocă atomic din colecţia "counters" (un document per colecţie: { _id: nume, seq }).
+ */
+
+const { MongoClient } = require("mongodb");
+
+// "_id" generat de MongoDB nu ajunge în răspunsurile API
+const PROJECTION = { projection: { _id: 0 } };
+
+const COUNTERS_COLLECTION = "counters";
+
+// Codul erorii MongoDB pentru o valoare duplicată într-un index unic
+const DUPLICATE_KEY_ERROR = 11000;
+
+// De câte ori se realocă un ID care s-a ciocnit cu un document inserat cu ID explicit
+const MAX_INSERT_ATTEMPTS = 5;
+
+/**
+ * Creează adaptorul MongoDB. Conexiunea se deschide la prima operaţie.
+ * @param {Object} options
+ * @param {string} options.uri URI de conectare (ex. mongodb://127.0.0.1:27017)
+ * @param {string} options.dbName Numele bazei de date
+ * @returns {Object} { collection, close }
+ */
+const createMongoAdapter = ({ uri, dbName }) => {
+   const client = new MongoClient(uri);
+   let connecting = null;
+   const collections = new Map();
+
+   const db = () => {
+      if (!connecting) {
+         connecting = client.connect().then(() => {
+            console.log("Conectat la MongoDB:", dbName);
+            return client.db(dbName);
+         });
+      }
+      return connecting;
+   };
+
+   const createCollection = (name) => {
+      let indexed = null;
+      const col = async () => {
+         const collection = (await db()).collection(name);
+         if (!indexed) {
+            indexed = collection.createIndex({ id: 1 }, { unique: true });
+         }
+         await indexed;
+         return collection;
+      };
+
+      const maxId = async () => {
+         const [last] = await (await col()).find({ id: { $type: "number" } }, PROJECTION).sort({ id: -1 }).limit(1).toArray();
+         return last ? last.id : 0;
+      };
+
+      /**
+       * Alocă atomic următorul ID. Contorul este adus întâi cel puţin la cel mai mare ID existent
+       * (documentele inserate înaintea contorului sau cu ID explicit).
+       * @returns {Promise<number>}
+       */
+      const allocateId = async () => {
+         const counters = (await db()).collection(COUNTERS_COLLECTION);
+         await counters.updateOne({ _id: name }, { $max: { seq: await maxId() } }, { upsert: true });
+         const counter = await counters.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { returnDocument: "after", upsert: true });
+         return counter.seq;
+      };
+
+      const nextId = async () => {
+         const counter = await (await db()).collection(COUNTERS_COLLECTION).findOne({ _id: name });
+         return Math.max(await maxId(), counter ? counter.seq : 0) + 1;
+      };
+
+      return {
+         find: async (query = {}) => (await col()).find(query, PROJECTION).toArray(),
+
+         findOne: async (query) => (await col()).findOne(query, PROJECTION),
+
+         findById: async (id) => (await col()).findOne({ id }, PROJECTION),
+
+         nextId,
+
+         insert: async (doc) => {
+            for (let attempt = 1; ; attempt++) {
+               const saved = doc.id === undefined ? { id: await allocateId(), ...doc } : { ...doc };
+               try {
+                  // insertOne adaugă _id pe obiectul primit, deci se inserează o copie
+                  await (await col()).insertOne({ ...saved });
+                  return saved;
+               } catch (error) {
+                  // un ID explicit duplicat este o eroare; un ID alocat se realocă
+                  if (error.code !== DUPLICATE_KEY_ERROR || doc.id !== undefined || attempt >= MAX_INSERT_ATTEMPTS) {
+                     throw error;
+                  }
+               }
+            }
+         },
+
+         update: async (id, changes) => {
+            const { id: ignored, ...fields } = changes;
+            return (await col()).findOneAndUpdate({ id }, { $set: fields }, { returnDocument: "after", ...PROJECTION });
+         },
+
+         updateIf: async (id, expected, changes) => {
+            const { id: ignored, ...fields } = changes;
+            return (await col()).findOneAndUpdate({ ...expected, id }, { $set: fields }, { returnDocument: "after", ...PROJECTION });
+         },
+
+         replace: async (id, doc) => {
+            const saved = { ...doc, id };
+            await (await col()).replaceOne({ id }, { ...saved }, { upsert: true });
+            return saved;
+         },
+
+         remove: async (id) => {
+            const result = await (await col()).deleteOne({ id });
+            return result.deletedCount > 0;
+         },
+      };
+   };
+
+   return {
+      collection: (name) => {
+         if (!collections.has(name)) {
+            collections.set(name, createCollection(name));
+         }
+         return collections.get(name);
+      },
+      close: async () => {
+         if (connecting) {
+            await client.close();
+            connecting = null;
+         }
+      },
+   };
+};
+
+module.exports = { createMongoAdapter };
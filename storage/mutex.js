@@ -0,0 +1,37 @@
+/**
+ * EXCLUDERE MUTUALĂ PE CHEI
+ * Operaţiile cu aceeaşi cheie rulează strict una după alta, în ordinea sosirii;
+ * operaţiile cu chei diferite nu se aşteaptă între ele.
+ * Protecţia este doar în procesul curent (o singură instanţă a serverului).
+ */
+
+/**
+ * Creează un mutex pe chei
+ * @returns {Function} runExclusive(key, task) - rulează task() după terminarea operaţiilor anterioare pe aceeaşi cheie
+ */
+const createKeyedMutex = () => {
+   // cheie -> promisiunea care se rezolvă când ultima operaţie din coadă s-a terminat
+   const tails = new Map();
+
+   return async (key, task) => {
+      const previous = tails.get(key) || Promise.resolve();
+      let release;
+      const done = new Promise((resolve) => {
+         release = resolve;
+      });
+      const tail = previous.then(() => done);
+      tails.set(key, tail);
+
+      await previous;
+      try {
+         return await task();
+      } finally {
+         release();
+         if (tails.get(key) === tail) {
+            tails.delete(key);
+         }
+      }
+   };
+};
+
+module.exports = { createKeyedMutex };
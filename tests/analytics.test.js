@@ -0,0 +1,88 @@
+import { describe, it, expect } from "vitest";
+import { periodKey, soldOrders, salesOverTime, productRanking, stockOutRisk, cartConversion } from "../utils/analytics.js";
+
+const order = (id, paidOn, items, fields = {}) => ({
+   id,
+   cartKey: `guest:${id}`,
+   status: "paid",
+   items: items.map(([productId, quantity, price]) => ({ productId, quantity, price, lineTotal: quantity * price })),
+   total: items.reduce((sum, [, quantity, price]) => sum + quantity * price, 0),
+   createdAt: paidOn,
+   statusHistory: [
+      { status: "pending", at: paidOn },
+      { status: "paid", at: paidOn },
+   ],
+   ...fields,
+});
+
+const products = [
+   { id: 1, title: "A", category: "React", isActive: true, availableStock: 3 },
+   { id: 2, title: "B", category: "Node.js", isActive: true, availableStock: 100 },
+   { id: 3, title: "C", category: "Node.js", isActive: true, availableStock: 5 },
+];
+
+describe("Statistici", () => {
+   it("ar trebui sa grupeze pe zile, saptamani ISO si luni", () => {
+      expect(periodKey(new Date("2026-10-19T10:00:00Z"), "day")).toBe("2026-10-19");
+      expect(periodKey(new Date("2026-10-19T10:00:00Z"), "month")).toBe("2026-10");
+      expect(periodKey(new Date("2026-01-01T00:00:00Z"), "week")).toBe("2026-W01");
+      expect(periodKey(new Date("2024-12-30T00:00:00Z"), "week")).toBe("2025-W01");
+      expect(periodKey(new Date("2027-01-01T00:00:00Z"), "week")).toBe("2026-W53");
+   });
+
+   it("ar trebui sa calculeze venitul pe perioade, inclusiv perioadele fara vanzari", () => {
+      const orders = [
+         order(1, "2026-01-05T10:00:00Z", [[1, 2, 50]]),
+         order(2, "2026-01-06T10:00:00Z", [[2, 1, 30]], { refund: { amount: 10 } }),
+         order(3, "2026-01-20T10:00:00Z", [[1, 1, 50]]),
+         order(4, "2026-01-07T10:00:00Z", [[2, 5, 30]], { status: "cancelled" }),
+      ];
+      const from = new Date("2026-01-05T00:00:00Z");
+      const to = new Date("2026-01-25T23:59:59Z");
+      const sold = soldOrders(orders, from, to);
+      const { summary, series } = salesOverTime(sold, { from, to, groupBy: "week" });
+
+      expect(summary).toEqual({ revenue: 170, orders: 3, averageOrderValue: 56.67 });
+      expect(series.map((row) => [row.period, row.orders, row.revenue])).toEqual([
+         ["2026-W02", 2, 120],
+         ["2026-W03", 0, 0],
+         ["2026-W04", 1, 50],
+      ]);
+
+      const { bestSellers, worstSellers } = productRanking(sold, products, 2);
+      expect(bestSellers.map((row) => [row.productId, row.units])).toEqual([
+         [1, 3],
+         [2, 1],
+      ]);
+      expect(worstSellers[0]).toMatchObject({ productId: 3, units: 0 });
+   });
+
+   it("ar trebui sa semnaleze produsele care se epuizeaza in curand", () => {
+      const recent = [order(1, "2026-10-10T10:00:00Z", [[1, 6, 50], [2, 6, 30], [3, 1, 10]])];
+      const risk = stockOutRisk(recent, products, { days: 30, horizonDays: 14 });
+      // A: 0,2 bucăţi/zi şi 3 în stoc -> 15 zile; C: 1/30 pe zi şi 5 în stoc -> 150 zile
+      expect(risk).toEqual([]);
+      expect(stockOutRisk([order(1, "2026-10-10T10:00:00Z", [[1, 9, 50]])], products, { days: 30, horizonDays: 14 })).toEqual([
+         { productId: 1, title: "A", availableStock: 3, unitsSold: 9, dailySales: 0.3, daysOfStockLeft: 10 },
+      ]);
+   });
+
+   it("ar trebui sa calculeze conversia din cosuri in comenzi platite", () => {
+      const from = new Date("2026-01-01T00:00:00Z");
+      const to = new Date("2026-01-31T23:59:59Z");
+      const carts = [
+         { id: "guest:a", items: [{ productId: 1 }], lastUpdated: "2026-01-10T00:00:00Z" },
+         { id: "guest:b", items: [], lastUpdated: "2026-01-10T00:00:00Z" },
+         { id: "guest:c", items: [{ productId: 1 }], lastUpdated: "2025-12-10T00:00:00Z" },
+      ];
+      const orders = [order(1, "2026-01-05T10:00:00Z", [[1, 1, 50]]), { ...order(2, "2026-01-06T10:00:00Z", [[1, 1, 50]]), status: "pending", statusHistory: [] }];
+      expect(cartConversion(carts, orders, from, to)).toEqual({
+         carts: 3,
+         checkouts: 2,
+         paidOrders: 1,
+         checkoutRate: 66.67,
+         paymentRate: 50,
+         conversionRate: 33.33,
+      });
+   });
+});
@@ -1,11 +1,36 @@
-import { describe, it, expect, beforeAll } from "vitest";
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
 import request from "supertest";
-import app from "../server.js";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+import Stripe from "stripe";
+
+// Testele lucrează pe o copie a datelor din data/, într-un director temporar,
+// ca rularea lor să nu modifice fişierele din repository
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bookstore-api-"));
+fs.cpSync(path.join(__dirname, "..", "data"), DATA_DIR, { recursive: true });
+process.env.DATA_DIR = DATA_DIR;
+const { default: app } = await import("../server.js");
+
+const ORDERS_FILE = path.join(DATA_DIR, "orders.json");
+const PRODUCTS_FILE = path.join(DATA_DIR, "books.json");
+const STRIPE_EVENTS_FILE = path.join(DATA_DIR, "stripe-events.json");
+const RESERVATIONS_FILE = path.join(DATA_DIR, "reservations.json");
+const CART_FILE = path.join(DATA_DIR, "cart.json");
+const INVOICES_FILE = path.join(DATA_DIR, "invoices.json");
+const STOCK_MOVEMENTS_FILE = path.join(DATA_DIR, "stockMovements.json");
+const AUDIT_FILE = path.join(DATA_DIR, "auditLog.json");
+const REVISIONS_FILE = path.join(DATA_DIR, "productRevisions.json");
 
 // Token de autentificare pentru teste
 let authToken;
 
 describe("BookStore API Endpoints", () => {
+   afterAll(() => {
+      fs.rmSync(DATA_DIR, { recursive: true, force: true });
+   });
+
    beforeAll(async () => {
       const loginResponse = await request(app).post("/api/admin/login").send({
          email: "admin@bookstore.com",
@@ -45,6 +70,54 @@ describe("BookStore API Endpoints", () => {
          const response = await request(app).get("/api/products").query({ sort: "price_asc" });
          expect(response.status).toBe(200);
       });
+
+      it("GET /api/products ar trebui sa pagineze rezultatele", async () => {
+         const response = await request(app).get("/api/products").query({ page: 1, limit: 2 });
+         expect(response.status).toBe(200);
+         expect(response.body.products.length).toBeLessThanOrEqual(2);
+         expect(response.body.pagination.productsPerPage).toBe(2);
+         expect(response.body.pagination.totalProducts).toBe(response.body.total);
+      });
+
+      it("GET /api/products ar trebui sa filtreze dupa pret efectiv si sa returneze fatete", async () => {
+         const response = await request(app).get("/api/products").query({ minPrice: 60, maxPrice: 70 });
+         expect(response.status).toBe(200);
+         expect(response.body.products.every((p) => p.effectivePrice >= 60 && p.effectivePrice <= 70)).toBe(true);
+         const bucketTotal = response.body.facets.priceBuckets.reduce((sum, bucket) => sum + bucket.count, 0);
+         expect(bucketTotal).toBe(response.body.total);
+         expect(response.body.facets).toHaveProperty("categories");
+         expect(response.body.facets).toHaveProperty("publishers");
+      });
+
+      it("GET /api/products ar trebui sa filtreze dupa etichete si an", async () => {
+         const response = await request(app).get("/api/products").query({ tags: "express", yearFrom: 2016, yearTo: 2016 });
+         expect(response.status).toBe(200);
+         expect(response.body.products.map((p) => p.id)).toContain(2);
+      });
+
+      it("GET /api/products cu cautare fara diacritice si cu greseli de tastare", async () => {
+         const response = await request(app).get("/api/products").query({ search: "invata" });
+         expect(response.body.products.map((p) => p.id)).toContain(4);
+         expect(response.body.products[0]).toHaveProperty("highlights");
+
+         const typo = await request(app).get("/api/products").query({ search: "mongdb" });
+         expect(typo.body.products.map((p) => p.id)).toContain(12);
+      });
+
+      it("GET /api/products/:id ar trebui sa returneze detaliile si carti similare", async () => {
+         const response = await request(app).get("/api/products/2");
+         expect(response.status).toBe(200);
+         expect(response.body.product.effectivePrice).toBe(65.99);
+         expect(response.body.product.discountPercent).toBe(13);
+         expect(response.body.product).toHaveProperty("inStock");
+         expect(Array.isArray(response.body.related)).toBe(true);
+         expect(response.body.related.every((p) => p.id !== 2 && p.isActive)).toBe(true);
+      });
+
+      it("GET /api/products/:id ar trebui sa returneze 404 pentru produs inexistent", async () => {
+         const response = await request(app).get("/api/products/99999");
+         expect(response.status).toBe(404);
+      });
    });
 
    // Modificat in productId;2 pentru ca productId:1 nu exista
@@ -152,6 +225,1630 @@ describe("BookStore API Endpoints", () => {
       });
    });
 
+   describe("Rute conturi clienti", () => {
+      const email = `client${Date.now()}@test.com`;
+      const password = "ParolaTest1";
+      let clientToken;
+
+      it("POST /api/auth/register ar trebui sa creeze un cont de client", async () => {
+         const response = await request(app).post("/api/auth/register").send({ name: "Client Test", email, password });
+         expect(response.status).toBe(201);
+         expect(response.body.user.role).toBe("customer");
+         expect(response.body.user).not.toHaveProperty("password");
+         clientToken = response.body.token;
+      });
+
+      it("POST /api/auth/register ar trebui sa respinga email duplicat", async () => {
+         const response = await request(app).post("/api/auth/register").send({ name: "Client Test", email, password });
+         expect(response.status).toBe(409);
+      });
+
+      it("POST /api/auth/register ar trebui sa valideze email si parola", async () => {
+         const invalidEmail = await request(app).post("/api/auth/register").send({ name: "X", email: "nu-e-email", password });
+         expect(invalidEmail.status).toBe(400);
+         const weakPassword = await request(app).post("/api/auth/register").send({ name: "X", email: `x${email}`, password: "abc" });
+         expect(weakPassword.status).toBe(400);
+      });
+
+      it("POST /api/auth/login ar trebui sa autentifice clientul", async () => {
+         const response = await request(app).post("/api/auth/login").send({ email, password });
+         expect(response.status).toBe(200);
+         expect(response.body).toHaveProperty("token");
+      });
+
+      it("POST /api/auth/login ar trebui sa respinga parola gresita", async () => {
+         const response = await request(app).post("/api/auth/login").send({ email, password: "Gresita123" });
+         expect(response.status).toBe(401);
+      });
+
+      it("GET /api/auth/me ar trebui sa returneze utilizatorul curent", async () => {
+         const response = await request(app).get("/api/auth/me").set("Authorization", `Bearer ${clientToken}`);
+         expect(response.status).toBe(200);
+         expect(response.body.user.email).toBe(email);
+      });
+
+      it("GET /api/admin/products ar trebui sa refuze tokenul de client", async () => {
+         const response = await request(app).get("/api/admin/products").set("Authorization", `Bearer ${clientToken}`);
+         expect(response.status).toBe(403);
+      });
+   });
+
+   describe("Validarea produselor", () => {
+      let productId;
+
+      beforeAll(async () => {
+         const created = await request(app)
+            .post("/api/admin/products")
+            .set("Authorization", `Bearer ${authToken}`)
+            .send({ title: "Schema Test", author: "Autor", price: 50, discountPrice: 40, stock: 3, publisher: "Editura" });
+         productId = created.body.product.id;
+      });
+
+      afterAll(async () => {
+         await request(app).delete(`/api/admin/products/${productId}?permanent=true`).set("Authorization", `Bearer ${authToken}`);
+      });
+
+      it("POST ar trebui sa aplice valorile implicite si sa mute specificatiile", async () => {
+         const product = await request(app).get(`/api/admin/products/${productId}`).set("Authorization", `Bearer ${authToken}`);
+         expect(product.body.product).toMatchObject({ category: "General", isActive: true, tags: [] });
+         expect(product.body.product.specifications).toMatchObject({ publisher: "Editura", language: "Romanian" });
+         expect(product.body.product).not.toHaveProperty("publisher");
+      });
+
+      it("PUT ar trebui sa returneze erori per camp", async () => {
+         const response = await request(app)
+            .put(`/api/admin/products/${productId}`)
+            .set("Authorization", `Bearer ${authToken}`)
+            .send({ price: "10", junk: true, specifications: { year: 1200 } });
+         expect(response.status).toBe(400);
+         expect(Object.keys(response.body.errors).sort()).toEqual(["junk", "price", "specifications.year"]);
+      });
+
+      it("PUT ar trebui sa verifice pretul redus fata de pretul existent", async () => {
+         const response = await request(app).put(`/api/admin/products/${productId}`).set("Authorization", `Bearer ${authToken}`).send({ price: 30 });
+         expect(response.status).toBe(400);
+         expect(response.body.errors).toHaveProperty("price");
+      });
+
+      it("PUT ar trebui sa actualizeze partial, fara a suprascrie campurile gestionate de server", async () => {
+         const response = await request(app)
+            .put(`/api/admin/products/${productId}`)
+            .set("Authorization", `Bearer ${authToken}`)
+            .send({ id: 1, createdBy: 999, stock: 7, specifications: { year: 2020 } });
+         expect(response.status).toBe(200);
+         expect(response.body.product).toMatchObject({ id: productId, title: "Schema Test", stock: 7 });
+         expect(response.body.product.createdBy).not.toBe(999);
+         expect(response.body.product.specifications).toMatchObject({ year: 2020, publisher: "Editura" });
+      });
+   });
+
+   describe("ISBN", () => {
+      it("GET /api/products/isbn/:isbn ar trebui sa accepte ISBN-10 si ISBN-13", async () => {
+         const isbn13 = await request(app).get("/api/products/isbn/9781617292422");
+         expect(isbn13.status).toBe(200);
+         expect(isbn13.body.product).toMatchObject({ id: 2, isbn: "978-1617292422" });
+         expect(isbn13.body.product).toHaveProperty("availableStock");
+
+         const isbn10 = await request(app).get("/api/products/isbn/1-61729-242-7");
+         expect(isbn10.body.product.id).toBe(2);
+      });
+
+      it("GET /api/products/isbn/:isbn ar trebui sa respinga ISBN-uri invalide", async () => {
+         expect((await request(app).get("/api/products/isbn/9781617292423")).status).toBe(400);
+         expect((await request(app).get("/api/products/isbn/9780000000002")).status).toBe(404);
+      });
+
+      it("PUT ar trebui sa valideze cifra de control si unicitatea ISBN-ului", async () => {
+         const invalid = await request(app).put("/api/admin/products/3").set("Authorization", `Bearer ${authToken}`).send({ isbn: "978-1491931821" });
+         expect(invalid.status).toBe(400);
+         expect(invalid.body.errors).toHaveProperty("isbn");
+
+         const duplicate = await request(app).put("/api/admin/products/3").set("Authorization", `Bearer ${authToken}`).send({ isbn: "1617292427" });
+         expect(duplicate.status).toBe(409);
+         expect(duplicate.body.errors.isbn).toContain("#2");
+      });
+   });
+
+   describe("Import si export catalog", () => {
+      let originalProducts;
+
+      beforeAll(() => {
+         originalProducts = fs.readFileSync(PRODUCTS_FILE, "utf8");
+      });
+
+      afterAll(() => {
+         fs.writeFileSync(PRODUCTS_FILE, originalProducts);
+      });
+
+      const csv = ["isbn;title;author;price;stock;tags", '978-0000000002;"Carte; importată";Autor;12,5;3;a|b', "978-1617292422;;;70;5;", ";Fara pret;Autor;;2;"].join("\n");
+
+      it("dry-run ar trebui sa raporteze fiecare rand fara a salva", async () => {
+         const response = await request(app)
+            .post("/api/admin/products/import?dryRun=true")
+            .set("Authorization", `Bearer ${authToken}`)
+            .set("Content-Type", "text/csv")
+            .send(csv);
+
+         expect(response.status).toBe(200);
+         expect(response.body.summary).toEqual({ total: 3, created: 1, updated: 0, rejected: 2 });
+         expect(response.body.rows[2].errors).toHaveProperty("price", "Câmp obligatoriu");
+         expect(fs.readFileSync(PRODUCTS_FILE, "utf8")).toBe(originalProducts);
+      });
+
+      it("ar trebui sa actualizeze dupa ISBN si sa creeze produsele noi", async () => {
+         const response = await request(app)
+            .post("/api/admin/products/import")
+            .set("Authorization", `Bearer ${authToken}`)
+            .send({
+               products: [
+                  { isbn: "9781617292422", title: "Express.js in Action", author: "Evan M. Hahn", price: 70, stock: 5 },
+                  { isbn: "978-0000000019", title: "Carte JSON", author: "Autor", price: "10", stock: 1 },
+                  { isbn: "9780000000026", title: "Carte JSON", author: "Autor", price: 10, stock: 1 },
+                  { isbn: "978-0000000026", title: "Duplicat", author: "Autor", price: 10, stock: 1 },
+               ],
+            });
+
+         expect(response.body.rows.map((r) => r.status)).toEqual(["updated", "rejected", "created", "rejected"]);
+         expect(response.body.rows[0].id).toBe(2);
+         expect(response.body.rows[1].errors).toHaveProperty("price");
+
+         const updated = await request(app).get("/api/admin/products/2").set("Authorization", `Bearer ${authToken}`);
+         expect(updated.body.product).toMatchObject({ price: 70, stock: 5, discountPrice: 65.99 });
+      });
+
+      it("GET /api/admin/products/export ar trebui sa exporte CSV filtrat", async () => {
+         const response = await request(app).get("/api/admin/products/export?status=active&category=React").set("Authorization", `Bearer ${authToken}`);
+
+         expect(response.status).toBe(200);
+         expect(response.headers["content-type"]).toContain("text/csv");
+         expect(response.headers["content-disposition"]).toContain("attachment");
+         const lines = response.text.trim().split("\r\n");
+         expect(lines[0].replace(/^\uFEFF/, "")).toMatch(/^id,isbn,title,author/);
+         expect(lines.length).toBeGreaterThan(1);
+         lines.slice(1).forEach((line) => expect(line).toContain("React"));
+      });
+
+      it("exportul JSON ar trebui sa poata fi reimportat", async () => {
+         const exported = await request(app).get("/api/admin/products/export?format=json").set("Authorization", `Bearer ${authToken}`);
+         const { products } = JSON.parse(exported.text);
+         expect(products.length).toBeGreaterThan(0);
+
+         const response = await request(app).post("/api/admin/products/import?dryRun=true").set("Authorization", `Bearer ${authToken}`).send({ products });
+         expect(response.body.summary.rejected).toBe(0);
+      });
+
+      it("limita mare a corpului ar trebui sa fie doar pe ruta de import", async () => {
+         const products = Array.from({ length: 1000 }, (_, i) => ({ title: `Carte mare ${i}`, author: "Autor", price: 10, stock: 1, description: "x".repeat(200) }));
+         const body = { products };
+         expect(JSON.stringify(body).length).toBeGreaterThan(100 * 1024);
+
+         const imported = await request(app).post("/api/admin/products/import?dryRun=true").set("Authorization", `Bearer ${authToken}`).send(body);
+         expect(imported.status).toBe(200);
+         expect(imported.body.summary.created).toBe(1000);
+
+         expect((await request(app).post("/api/cart").send({ productId: 2, quantity: 1, padding: "x".repeat(200 * 1024) })).status).toBe(413);
+      });
+
+      it("crearea si importul simultane ar trebui sa primeasca ID-uri distincte", async () => {
+         const auth = { Authorization: `Bearer ${authToken}` };
+         const create = (title) => request(app).post("/api/admin/products").set(auth).send({ title, author: "Autor", price: 10, stock: 1 });
+         const rows = ["title;author;price;stock", "Import simultan 1;Autor;10;1", "Import simultan 2;Autor;10;1"].join("\n");
+         const [first, imported, second] = await Promise.all([
+            create("Creare simultana 1"),
+            request(app).post("/api/admin/products/import").set(auth).set("Content-Type", "text/csv").send(rows),
+            create("Creare simultana 2"),
+         ]);
+
+         expect([first.status, imported.status, second.status]).toEqual([201, 200, 201]);
+         const ids = JSON.parse(fs.readFileSync(PRODUCTS_FILE, "utf8")).products.map((p) => p.id);
+         expect(new Set(ids).size).toBe(ids.length);
+         expect(imported.body.rows.map((row) => row.id)).not.toContain(first.body.product.id);
+      });
+   });
+
+   describe("Cosuri per utilizator si vizitator", () => {
+      it("cosurile vizitatorilor ar trebui sa fie separate", async () => {
+         const first = await request(app).post("/api/cart").send({ productId: 2, quantity: 1 });
+         expect(first.status).toBe(200);
+         expect(first.body).toHaveProperty("cartToken");
+
+         const other = await request(app).get("/api/cart");
+         expect(other.body.cart.items).toHaveLength(0);
+
+         const same = await request(app).get("/api/cart").set("X-Cart-Token", first.body.cartToken);
+         expect(same.body.cart.items).toHaveLength(1);
+      });
+
+      it("la login cosul de vizitator ar trebui imbinat in cosul contului", async () => {
+         const email = `merge${Date.now()}@test.com`;
+         const password = "ParolaTest1";
+         const register = await request(app).post("/api/auth/register").send({ name: "Merge Test", email, password });
+         const userToken = register.body.token;
+
+         await request(app).post("/api/cart").set("Authorization", `Bearer ${userToken}`).send({ productId: 2, quantity: 1 });
+         const guest = await request(app).post("/api/cart").send({ productId: 2, quantity: 2 });
+
+         const login = await request(app).post("/api/auth/login").set("X-Cart-Token", guest.body.cartToken).send({ email, password });
+         expect(login.body.cartMerged).toBe(true);
+
+         const cart = await request(app).get("/api/cart").set("Authorization", `Bearer ${userToken}`);
+         expect(cart.body.cart.items[0].quantity).toBe(3);
+
+         const guestCart = await request(app).get("/api/cart").set("X-Cart-Token", guest.body.cartToken);
+         expect(guestCart.body.cart.items).toHaveLength(0);
+      });
+
+      it("o adaugare in cosul de vizitator in timpul imbinarii nu ar trebui pierduta", async () => {
+         const email = `merge-race${Date.now()}@test.com`;
+         const password = "ParolaTest1";
+         const register = await request(app).post("/api/auth/register").send({ name: "Merge Race", email, password });
+         const guest = await request(app).post("/api/cart").send({ productId: 2, quantity: 1 });
+         const token = guest.body.cartToken;
+
+         await Promise.all([
+            request(app).post("/api/auth/login").set("X-Cart-Token", token).send({ email, password }),
+            request(app).post("/api/cart").set("X-Cart-Token", token).send({ productId: 3, quantity: 1 }),
+         ]);
+
+         // produsul adăugat a fost îmbinat în coşul contului sau a rămas în coşul de vizitator
+         const userCart = await request(app).get("/api/cart").set("Authorization", `Bearer ${register.body.token}`);
+         const guestCart = await request(app).get("/api/cart").set("X-Cart-Token", token);
+         const items = [...userCart.body.cart.items, ...guestCart.body.cart.items];
+         expect(items.filter((item) => item.productId === 3)).toHaveLength(1);
+      });
+
+      it("adaugarile simultane in acelasi cos nu ar trebui sa se piarda", async () => {
+         const first = await request(app).post("/api/cart").send({ productId: 2, quantity: 1 });
+         const token = first.body.cartToken;
+
+         await Promise.all([
+            request(app).post("/api/cart").set("X-Cart-Token", token).send({ productId: 2, quantity: 1 }),
+            request(app).post("/api/cart").set("X-Cart-Token", token).send({ productId: 2, quantity: 1 }),
+            request(app).post("/api/cart").set("X-Cart-Token", token).send({ productId: 2, quantity: 1 }),
+         ]);
+
+         const cart = await request(app).get("/api/cart").set("X-Cart-Token", token);
+         expect(cart.body.cart.items[0].quantity).toBe(4);
+      });
+   });
+
+   describe("Actualizare cantitati si repretuire cos", () => {
+      let cartToken;
+
+      beforeAll(async () => {
+         const response = await request(app).post("/api/cart").send({ productId: 2, quantity: 1 });
+         cartToken = response.body.cartToken;
+      });
+
+      it("PUT /api/cart/:productId ar trebui sa seteze cantitatea exacta", async () => {
+         const response = await request(app).put("/api/cart/2").set("X-Cart-Token", cartToken).send({ quantity: 3 });
+         expect(response.status).toBe(200);
+         expect(response.body.cart.items[0].quantity).toBe(3);
+      });
+
+      it("PUT /api/cart/:productId ar trebui sa verifice stocul", async () => {
+         const response = await request(app).put("/api/cart/2").set("X-Cart-Token", cartToken).send({ quantity: 100000 });
+         expect(response.status).toBe(400);
+      });
+
+      it("GET /api/cart ar trebui sa actualizeze preturile vechi si sa avertizeze", async () => {
+         const data = JSON.parse(fs.readFileSync(CART_FILE, "utf8"));
+         data.carts.find((c) => c.id === `guest:${cartToken}`).items[0].price = 1;
+         fs.writeFileSync(CART_FILE, JSON.stringify(data, null, 2));
+
+         const response = await request(app).get("/api/cart").set("X-Cart-Token", cartToken);
+         expect(response.body.cart.items[0].price).toBe(65.99);
+         expect(response.body.warnings).toContainEqual(expect.objectContaining({ productId: 2, type: "price_changed", oldPrice: 1 }));
+      });
+
+      it("PUT /api/cart/:productId cu cantitate 0 ar trebui sa stearga linia", async () => {
+         const response = await request(app).put("/api/cart/2").set("X-Cart-Token", cartToken).send({ quantity: 0 });
+         expect(response.status).toBe(200);
+         expect(response.body.cart.items).toHaveLength(0);
+      });
+   });
+
+   describe("TVA", () => {
+      it("GET /api/cart ar trebui sa arate totalurile net, TVA si brut", async () => {
+         const cart = await request(app).post("/api/cart").send({ productId: 2, quantity: 2 });
+         expect(cart.body.cart.vat).toEqual({ net: 118.9, vat: 13.08, gross: 131.98, rates: [{ rate: 11, net: 118.9, vat: 13.08, gross: 131.98 }] });
+      });
+
+      it("TVA-ul ar trebui calculat doar din liniile disponibile, ca totalul de plata", async () => {
+         const auth = { Authorization: `Bearer ${authToken}` };
+         const created = await request(app).post("/api/admin/products").set(auth).send({ title: "Retrasa din vanzare", author: "Autor", price: 20, stock: 50 });
+         const cart = await request(app).post("/api/cart").send({ productId: 2, quantity: 1 });
+         const token = cart.body.cartToken;
+         await request(app).post("/api/cart").set("X-Cart-Token", token).send({ productId: created.body.product.id, quantity: 1 });
+         await request(app).put(`/api/admin/products/${created.body.product.id}`).set(auth).send({ isActive: false });
+
+         const response = await request(app).get("/api/cart").set("X-Cart-Token", token);
+         expect(response.body.cart.items.find((item) => item.productId === created.body.product.id).available).toBe(false);
+         expect(response.body.cart.totalAfterDiscount).toBe(65.99);
+         expect(response.body.cart.vat.gross).toBe(response.body.cart.totalAfterDiscount);
+      });
+
+      it("POST /api/create-checkout-session ar trebui sa valideze CUI-ul pentru facturare", async () => {
+         const cart = await request(app).post("/api/cart").send({ productId: 2, quantity: 1 });
+         const response = await request(app)
+            .post("/api/create-checkout-session")
+            .set("X-Cart-Token", cart.body.cartToken)
+            .send({ billing: { companyName: "Firma SRL", cui: "RO14399841" } });
+         expect(response.status).toBe(400);
+         expect(response.body.errors).toHaveProperty("cui");
+      });
+   });
+
+   describe("Checkout cu preturi calculate pe server", () => {
+      it("POST /api/create-checkout-session ar trebui sa respinga un cos gol", async () => {
+         const response = await request(app).post("/api/create-checkout-session").send({ amount: 100 });
+         expect(response.status).toBe(400);
+      });
+
+      it("POST /api/create-checkout-session ar trebui sa respinga o suma care nu corespunde cosului", async () => {
+         const cart = await request(app).post("/api/cart").send({ productId: 2, quantity: 1 });
+         const response = await request(app)
+            .post("/api/create-checkout-session")
+            .set("X-Cart-Token", cart.body.cartToken)
+            .send({ amount: 1, cartItems: [{ productId: 2, title: "Express.js in Action", price: 0.01, quantity: 1 }] });
+         expect(response.status).toBe(400);
+         expect(response.body.expectedAmount).toBe(85.98);
+      });
+   });
+
+   describe("Livrare", () => {
+      const SHIPPING_FILE = path.join(DATA_DIR, "shippingMethods.json");
+      let originalShipping;
+      let cartToken;
+
+      beforeAll(async () => {
+         originalShipping = fs.readFileSync(SHIPPING_FILE, "utf8");
+         const cart = await request(app).post("/api/cart").send({ productId: 2, quantity: 1 });
+         cartToken = cart.body.cartToken;
+      });
+
+      afterAll(() => {
+         fs.writeFileSync(SHIPPING_FILE, originalShipping);
+      });
+
+      it("GET /api/shipping/quote ar trebui sa calculeze costul fiecarei metode dupa judet", async () => {
+         const response = await request(app).get("/api/shipping/quote?county=bucuresti").set("X-Cart-Token", cartToken);
+         expect(response.status).toBe(200);
+         const quotes = Object.fromEntries(response.body.quotes.map((q) => [q.method, q]));
+         expect(quotes.courier).toMatchObject({ available: true, cost: 19.99, amountUntilFree: 184.01 });
+         expect(quotes.easybox).toMatchObject({ available: true, cost: 12.99 });
+         expect(quotes.pickup).toMatchObject({ available: true, cost: 0, freeShipping: true });
+
+         const other = await request(app).get("/api/shipping/quote?county=Suceava").set("X-Cart-Token", cartToken);
+         expect(other.body.quotes.find((q) => q.method === "easybox").available).toBe(false);
+      });
+
+      it("POST /api/cart/shipping ar trebui sa salveze metoda aleasa si checkout-ul sa o foloseasca", async () => {
+         const unavailable = await request(app).post("/api/cart/shipping").set("X-Cart-Token", cartToken).send({ method: "easybox", county: "Suceava" });
+         expect(unavailable.status).toBe(400);
+
+         const chosen = await request(app).post("/api/cart/shipping").set("X-Cart-Token", cartToken).send({ method: "easybox", county: "Cluj" });
+         expect(chosen.status).toBe(200);
+         expect(chosen.body.cart.shipping).toEqual({ method: "easybox", county: "Cluj" });
+
+         const checkout = await request(app).post("/api/create-checkout-session").set("X-Cart-Token", cartToken).send({ amount: 1 });
+         expect(checkout.body.expectedAmount).toBe(78.98);
+      });
+
+      it("livrarea ar trebui sa fie gratuita peste pragul metodei", async () => {
+         await request(app).put("/api/cart/2").set("X-Cart-Token", cartToken).send({ quantity: 4 });
+         const checkout = await request(app).post("/api/create-checkout-session").set("X-Cart-Token", cartToken).send({ amount: 1 });
+         expect(checkout.body.expectedAmount).toBe(263.96);
+      });
+
+      it("rutele admin ar trebui sa gestioneze metodele de livrare", async () => {
+         const admin = (req) => req.set("Authorization", `Bearer ${authToken}`);
+         expect((await admin(request(app).post("/api/admin/shipping-methods")).send({ code: "courier", name: "Alt curier", baseCost: 10 })).status).toBe(409);
+         expect((await admin(request(app).post("/api/admin/shipping-methods")).send({ code: "posta", baseCost: -1 })).body.errors).toHaveProperty("baseCost");
+
+         const created = await admin(request(app).post("/api/admin/shipping-methods")).send({ code: "Posta", name: "Poşta Română", baseCost: 9.99 });
+         expect(created.status).toBe(201);
+         expect(created.body.method).toMatchObject({ code: "posta", regions: [], freeShippingThreshold: null });
+
+         const updated = await admin(request(app).put(`/api/admin/shipping-methods/${created.body.method.id}`)).send({ isActive: false });
+         expect(updated.body.method.isActive).toBe(false);
+         expect((await admin(request(app).delete(`/api/admin/shipping-methods/${created.body.method.id}`))).status).toBe(200);
+      });
+   });
+
+   describe("Rute comenzi", () => {
+      const email = `orders${Date.now()}@test.com`;
+      let clientToken;
+      let clientId;
+      let seededOrderId;
+      let originalInvoices;
+
+      beforeAll(async () => {
+         originalInvoices = fs.readFileSync(INVOICES_FILE, "utf8");
+         const register = await request(app).post("/api/auth/register").send({ name: "Orders Test", email, password: "ParolaTest1" });
+         clientToken = register.body.token;
+         clientId = register.body.user.id;
+
+         // comandă de test scrisă direct în fişier (checkout-ul necesită Stripe)
+         const ordersData = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8"));
+         seededOrderId = ordersData.orders.reduce((max, o) => Math.max(max, o.id), 0) + 1;
+         const now = new Date().toISOString();
+         ordersData.orders.push({
+            id: seededOrderId,
+            userId: clientId,
+            items: [{ productId: 2, title: "Express.js in Action", price: 65.99, quantity: 1, lineTotal: 65.99 }],
+            subtotal: 65.99,
+            total: 85.98,
+            status: "pending",
+            statusHistory: [{ status: "pending", at: now, by: clientId }],
+            createdAt: now,
+            updatedAt: now,
+         });
+         fs.writeFileSync(ORDERS_FILE, JSON.stringify(ordersData, null, 2));
+      });
+
+      afterAll(() => {
+         const ordersData = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8"));
+         ordersData.orders = ordersData.orders.filter((o) => o.id !== seededOrderId);
+         fs.writeFileSync(ORDERS_FILE, JSON.stringify(ordersData, null, 2));
+         fs.writeFileSync(INVOICES_FILE, originalInvoices);
+      });
+
+      it("GET /api/orders ar trebui sa necesite autentificare", async () => {
+         const response = await request(app).get("/api/orders");
+         expect(response.status).toBe(401);
+      });
+
+      it("GET /api/orders ar trebui sa returneze doar comenzile clientului", async () => {
+         const response = await request(app).get("/api/orders").set("Authorization", `Bearer ${clientToken}`);
+         expect(response.status).toBe(200);
+         expect(response.body.orders.every((o) => o.userId === clientId)).toBe(true);
+         expect(response.body.orders.map((o) => o.id)).toContain(seededOrderId);
+      });
+
+      it("GET /api/orders/:id ar trebui sa returneze 404 pentru comanda altui client", async () => {
+         const other = await request(app).post("/api/auth/register").send({ name: "Other", email: `other${email}`, password: "ParolaTest1" });
+         const response = await request(app).get(`/api/orders/${seededOrderId}`).set("Authorization", `Bearer ${other.body.token}`);
+         expect(response.status).toBe(404);
+      });
+
+      it("GET /api/admin/orders ar trebui sa filtreze dupa status", async () => {
+         const response = await request(app).get("/api/admin/orders").query({ status: "pending" }).set("Authorization", `Bearer ${authToken}`);
+         expect(response.status).toBe(200);
+         expect(response.body.orders.every((o) => o.status === "pending")).toBe(true);
+
+         const invalid = await request(app).get("/api/admin/orders").query({ status: "lost" }).set("Authorization", `Bearer ${authToken}`);
+         expect(invalid.status).toBe(400);
+      });
+
+      it("PUT /api/admin/orders/:id/status ar trebui sa respinga tranzitii invalide", async () => {
+         const response = await request(app).put(`/api/admin/orders/${seededOrderId}/status`).set("Authorization", `Bearer ${authToken}`).send({ status: "shipped" });
+         expect(response.status).toBe(400);
+      });
+
+      it("PUT /api/admin/orders/:id/status ar trebui sa avanseze statusul", async () => {
+         const unpaidInvoice = await request(app).get(`/api/orders/${seededOrderId}/invoice`).set("Authorization", `Bearer ${clientToken}`);
+         expect(unpaidInvoice.status).toBe(404);
+
+         const paid = await request(app).put(`/api/admin/orders/${seededOrderId}/status`).set("Authorization", `Bearer ${authToken}`).send({ status: "paid" });
+         expect(paid.status).toBe(200);
+         expect(paid.body.order.status).toBe("paid");
+         expect(paid.body.order.statusHistory).toHaveLength(2);
+         expect(paid.body.order.invoiceNumber).toMatch(/^BKS-\d{6}$/);
+      });
+
+      it("GET /api/orders/:id/invoice ar trebui sa descarce factura PDF", async () => {
+         const response = await request(app).get(`/api/orders/${seededOrderId}/invoice`).set("Authorization", `Bearer ${clientToken}`).responseType("blob");
+         expect(response.status).toBe(200);
+         expect(response.headers["content-type"]).toContain("application/pdf");
+         expect(response.headers["content-disposition"]).toContain("factura-BKS-");
+
+         const pdf = response.body.toString("latin1");
+         expect(pdf.startsWith("%PDF-1.4")).toBe(true);
+         expect(pdf).toContain("Express.js in Action");
+
+         const invoice = JSON.parse(fs.readFileSync(INVOICES_FILE, "utf8")).invoices.find((i) => i.orderId === seededOrderId);
+         expect(invoice.vat).toMatchObject({ gross: 65.99, rates: [{ rate: 11, net: 59.45, vat: 6.54, gross: 65.99 }] });
+      });
+
+      // comandă în aşteptarea plăţii, cu rezervare activă pentru 2 bucăţi din produsul 2
+      const seedPendingOrder = () => {
+         const ordersData = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8"));
+         const orderId = ordersData.orders.reduce((max, o) => Math.max(max, o.id), 0) + 1;
+         const now = new Date().toISOString();
+         ordersData.orders.push({
+            id: orderId,
+            userId: clientId,
+            customer: { name: "Orders Test", email },
+            items: [{ productId: 2, title: "Express.js in Action", price: 65.99, quantity: 2, lineTotal: 131.98 }],
+            subtotal: 131.98,
+            discount: { couponId: 999999, code: "MANUAL", amount: 10, freeShipping: false, productIds: null },
+            total: 121.98,
+            status: "pending",
+            statusHistory: [{ status: "pending", at: now, by: clientId }],
+            createdAt: now,
+            updatedAt: now,
+         });
+         fs.writeFileSync(ORDERS_FILE, JSON.stringify(ordersData, null, 2));
+         const reservationsData = JSON.parse(fs.readFileSync(RESERVATIONS_FILE, "utf8"));
+         reservationsData.reservations.push({
+            id: orderId,
+            orderId,
+            items: [{ productId: 2, quantity: 2, delayedQuantity: 0 }],
+            status: "active",
+            createdAt: now,
+            expiresAt: new Date(Date.now() + 60 * 1000).toISOString(),
+         });
+         fs.writeFileSync(RESERVATIONS_FILE, JSON.stringify(reservationsData, null, 2));
+         return orderId;
+      };
+      const readStock = () => JSON.parse(fs.readFileSync(PRODUCTS_FILE, "utf8")).products.find((p) => p.id === 2).stock;
+
+      it("plata confirmata manual ar trebui sa scada stocul si sa inregistreze cuponul", async () => {
+         const stockBefore = readStock();
+         const orderId = seedPendingOrder();
+
+         const admin = (req) => req.set("Authorization", `Bearer ${authToken}`);
+         const paid = await admin(request(app).put(`/api/admin/orders/${orderId}/status`)).send({ status: "paid" });
+         expect(paid.status).toBe(200);
+         expect(readStock()).toBe(stockBefore - 2);
+         expect(JSON.parse(fs.readFileSync(RESERVATIONS_FILE, "utf8")).reservations.find((r) => r.orderId === orderId).status).toBe("committed");
+         const redemptions = JSON.parse(fs.readFileSync(path.join(DATA_DIR, "couponRedemptions.json"), "utf8")).couponRedemptions;
+         expect(redemptions.filter((r) => r.orderId === orderId)).toHaveLength(1);
+
+         // anularea readuce în stoc doar ce a fost scăzut
+         const cancelled = await admin(request(app).put(`/api/admin/orders/${orderId}/status`)).send({ status: "cancelled" });
+         expect(cancelled.status).toBe(200);
+         expect(readStock()).toBe(stockBefore);
+         // şi nu mai ocupă limitele cuponului
+         const voided = JSON.parse(fs.readFileSync(path.join(DATA_DIR, "couponRedemptions.json"), "utf8")).couponRedemptions.find((r) => r.orderId === orderId);
+         expect(voided).toMatchObject({ voidReason: "Comandă anulată" });
+      });
+
+      it("confirmarea si anularea simultane ar trebui sa lase comanda si stocul coerente", async () => {
+         const stockBefore = readStock();
+         const orderId = seedPendingOrder();
+
+         const setStatus = (status) => request(app).put(`/api/admin/orders/${orderId}/status`).set("Authorization", `Bearer ${authToken}`).send({ status });
+         await Promise.all([setStatus("paid"), setStatus("cancelled")]);
+
+         // oricare a câştigat, comanda este anulată şi stocul nu a fost pierdut
+         const order = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8")).orders.find((o) => o.id === orderId);
+         expect(order.status).toBe("cancelled");
+         expect(order.statusHistory.filter((entry) => entry.status === "cancelled")).toHaveLength(1);
+         expect(readStock()).toBe(stockBefore);
+      });
+   });
+
+   describe("Recenzii", () => {
+      const REVIEWS_FILE = path.join(DATA_DIR, "reviews.json");
+      let originalFiles;
+      let buyerToken;
+      let otherToken;
+      let reviewId;
+
+      const register = async (name) => {
+         const response = await request(app)
+            .post("/api/auth/register")
+            .send({ name, email: `${name.toLowerCase()}${Date.now()}@test.com`, password: "ParolaTest1" });
+         return response.body;
+      };
+
+      beforeAll(async () => {
+         originalFiles = [ORDERS_FILE, PRODUCTS_FILE, REVIEWS_FILE].map((file) => [file, fs.readFileSync(file, "utf8")]);
+
+         const buyer = await register("Cumparator");
+         buyerToken = buyer.token;
+         otherToken = (await register("Vizitator")).token;
+
+         // comandă plătită care conţine produsul 3, pentru "verified purchase"
+         const ordersData = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8"));
+         const now = new Date().toISOString();
+         ordersData.orders.push({
+            id: 900001,
+            userId: buyer.user.id,
+            items: [{ productId: 3, title: "Learning React", price: 50, quantity: 1, lineTotal: 50 }],
+            status: "paid",
+            createdAt: now,
+            updatedAt: now,
+         });
+         fs.writeFileSync(ORDERS_FILE, JSON.stringify(ordersData, null, 2));
+      });
+
+      afterAll(() => {
+         originalFiles.forEach(([file, content]) => fs.writeFileSync(file, content));
+      });
+
+      it("POST /api/products/:id/reviews ar trebui sa necesite autentificare si rating valid", async () => {
+         expect((await request(app).post("/api/products/3/reviews").send({ rating: 5 })).status).toBe(401);
+
+         const invalid = await request(app).post("/api/products/3/reviews").set("Authorization", `Bearer ${buyerToken}`).send({ rating: 6 });
+         expect(invalid.status).toBe(400);
+         expect(invalid.body.errors).toHaveProperty("rating");
+      });
+
+      it("ar trebui sa publice recenzia, sa o marcheze verificata si sa recalculeze rating-ul", async () => {
+         const first = await request(app).post("/api/products/3/reviews").set("Authorization", `Bearer ${buyerToken}`).send({ rating: 5, comment: "Excelentă" });
+         expect(first.status).toBe(201);
+         expect(first.body.review).toMatchObject({ rating: 5, verifiedPurchase: true, author: "Cumparator" });
+         reviewId = first.body.review.id;
+
+         const second = await request(app).post("/api/products/3/reviews").set("Authorization", `Bearer ${otherToken}`).send({ rating: 2 });
+         expect(second.body.review.verifiedPurchase).toBe(false);
+
+         const product = await request(app).get("/api/products/3");
+         expect(product.body.product).toMatchObject({ rating: 3.5, reviewCount: 2 });
+      });
+
+      it("ar trebui sa permita o singura recenzie per client per carte", async () => {
+         const response = await request(app).post("/api/products/3/reviews").set("Authorization", `Bearer ${buyerToken}`).send({ rating: 4 });
+         expect(response.status).toBe(409);
+      });
+
+      it("GET /api/products/:id/reviews ar trebui sa pagineze si sa sorteze", async () => {
+         const response = await request(app).get("/api/products/3/reviews").query({ sort: "rating_asc", limit: 1 });
+         expect(response.status).toBe(200);
+         expect(response.body.reviews).toHaveLength(1);
+         expect(response.body.reviews[0].rating).toBe(2);
+         expect(response.body.reviews[0]).not.toHaveProperty("userId");
+         expect(response.body.pagination).toMatchObject({ totalReviews: 2, hasNextPage: true });
+         expect(response.body.summary.distribution).toMatchObject({ 2: 1, 5: 1 });
+      });
+
+      it("moderarea ar trebui sa ascunda recenzia si sa recalculeze rating-ul", async () => {
+         const hidden = await request(app).put(`/api/admin/reviews/${reviewId}/status`).set("Authorization", `Bearer ${authToken}`).send({ status: "hidden" });
+         expect(hidden.status).toBe(200);
+         expect(hidden.body.product).toMatchObject({ rating: 2, reviewCount: 1 });
+
+         const pending = await request(app).get("/api/admin/reviews").query({ status: "hidden" }).set("Authorization", `Bearer ${authToken}`);
+         expect(pending.body.reviews.map((r) => r.id)).toContain(reviewId);
+
+         const approved = await request(app).put(`/api/admin/reviews/${reviewId}/status`).set("Authorization", `Bearer ${authToken}`).send({ status: "approved" });
+         expect(approved.body.product).toMatchObject({ rating: 3.5, reviewCount: 2 });
+      });
+
+      it("rating-ul nu ar trebui sa poata fi modificat manual", async () => {
+         const response = await request(app).put("/api/admin/products/3").set("Authorization", `Bearer ${authToken}`).send({ rating: 1, reviewCount: 1000 });
+         expect(response.status).toBe(200);
+         expect(response.body.product).toMatchObject({ rating: 3.5, reviewCount: 2 });
+      });
+   });
+
+   describe("Wishlist si notificari", () => {
+      const WISHLISTS_FILE = path.join(DATA_DIR, "wishlists.json");
+      const NOTIFICATIONS_FILE = path.join(DATA_DIR, "notifications.json");
+      let originalFiles;
+      let customerToken;
+      let customerId;
+
+      const readNotifications = () => JSON.parse(fs.readFileSync(NOTIFICATIONS_FILE, "utf8")).notifications.filter((n) => n.userId === customerId);
+      const updateProduct = (changes) => request(app).put("/api/admin/products/4").set("Authorization", `Bearer ${authToken}`).send(changes);
+
+      beforeAll(async () => {
+         originalFiles = [PRODUCTS_FILE, WISHLISTS_FILE, NOTIFICATIONS_FILE].map((file) => [file, fs.readFileSync(file, "utf8")]);
+         const register = await request(app)
+            .post("/api/auth/register")
+            .send({ name: "Wishlist Test", email: `wishlist${Date.now()}@test.com`, password: "ParolaTest1" });
+         customerToken = register.body.token;
+         customerId = register.body.user.id;
+      });
+
+      afterAll(() => {
+         originalFiles.forEach(([file, content]) => fs.writeFileSync(file, content));
+      });
+
+      it("POST /api/wishlist ar trebui sa salveze cartea o singura data", async () => {
+         expect((await request(app).post("/api/wishlist").send({ productId: 4 })).status).toBe(401);
+
+         const first = await request(app).post("/api/wishlist").set("Authorization", `Bearer ${customerToken}`).send({ productId: 4 });
+         expect(first.status).toBe(201);
+         const again = await request(app).post("/api/wishlist").set("Authorization", `Bearer ${customerToken}`).send({ productId: 4 });
+         expect(again.status).toBe(200);
+
+         const missing = await request(app).post("/api/wishlist").set("Authorization", `Bearer ${customerToken}`).send({ productId: 99999 });
+         expect(missing.status).toBe(404);
+      });
+
+      it("GET /api/wishlist ar trebui sa returneze cartile cu disponibilitatea curenta", async () => {
+         const response = await request(app).get("/api/wishlist").set("Authorization", `Bearer ${customerToken}`);
+         expect(response.body.items).toHaveLength(1);
+         expect(response.body.items[0]).toMatchObject({ productId: 4, priceWhenAdded: 79.99 });
+         expect(response.body.items[0].product).toHaveProperty("inStock", true);
+      });
+
+      it("revenirea in stoc si scaderea pretului ar trebui sa puna notificari in coada", async () => {
+         await updateProduct({ stock: 0 });
+         expect(readNotifications()).toHaveLength(0);
+
+         await updateProduct({ stock: 5 });
+         expect(readNotifications().map((n) => n.type)).toEqual(["back_in_stock"]);
+
+         await updateProduct({ discountPrice: 69.99 });
+         const notifications = readNotifications();
+         expect(notifications.map((n) => n.type)).toEqual(["back_in_stock", "price_drop"]);
+         expect(notifications[1]).toMatchObject({ productId: 4, oldPrice: 79.99, newPrice: 69.99 });
+         expect(notifications[1].email).toContain("wishlist");
+
+         // preţ mai mare: fără notificare
+         await updateProduct({ discountPrice: 75 });
+         expect(readNotifications()).toHaveLength(2);
+      });
+
+      it("DELETE /api/wishlist/:productId ar trebui sa scoata cartea", async () => {
+         const response = await request(app).delete("/api/wishlist/4").set("Authorization", `Bearer ${customerToken}`);
+         expect(response.status).toBe(200);
+         expect((await request(app).delete("/api/wishlist/4").set("Authorization", `Bearer ${customerToken}`)).status).toBe(404);
+      });
+   });
+
+   describe("Cupoane", () => {
+      const COUPONS_FILE = path.join(DATA_DIR, "coupons.json");
+      const REDEMPTIONS_FILE = path.join(DATA_DIR, "couponRedemptions.json");
+      const webhookSecret = "whsec_test_secret";
+      let originalFiles;
+      let cartToken;
+
+      const createCoupon = (coupon) => request(app).post("/api/admin/coupons").set("Authorization", `Bearer ${authToken}`).send(coupon);
+      const applyCoupon = (code) => request(app).post("/api/cart/coupon").set("X-Cart-Token", cartToken).send({ code });
+
+      beforeAll(async () => {
+         originalFiles = [COUPONS_FILE, REDEMPTIONS_FILE, ORDERS_FILE, PRODUCTS_FILE, STRIPE_EVENTS_FILE, INVOICES_FILE, RESERVATIONS_FILE].map((file) => [file, fs.readFileSync(file, "utf8")]);
+         const cart = await request(app).post("/api/cart").send({ productId: 2, quantity: 1 });
+         cartToken = cart.body.cartToken;
+      });
+
+      afterAll(() => {
+         originalFiles.forEach(([file, content]) => fs.writeFileSync(file, content));
+         delete process.env.STRIPE_WEBHOOK_SECRET;
+      });
+
+      it("POST /api/admin/coupons ar trebui sa valideze si sa refuze coduri duplicate", async () => {
+         const invalid = await createCoupon({ code: "BAD", type: "percentage", value: 150 });
+         expect(invalid.status).toBe(400);
+         expect(invalid.body.errors).toHaveProperty("value");
+
+         const created = await createCoupon({ code: "test10", type: "percentage", value: 10 });
+         expect(created.status).toBe(201);
+         expect(created.body.coupon).toMatchObject({ code: "TEST10", isActive: true, usageLimit: null });
+
+         expect((await createCoupon({ code: "TEST10", type: "fixed", value: 5 })).status).toBe(409);
+      });
+
+      it("POST /api/cart/coupon ar trebui sa aplice reducerea in totalurile cosului", async () => {
+         expect((await applyCoupon("NUEXISTA")).status).toBe(404);
+
+         const response = await applyCoupon("test10");
+         expect(response.status).toBe(200);
+         expect(response.body.cart.couponCode).toBe("TEST10");
+         expect(response.body.cart.discount).toMatchObject({ code: "TEST10", amount: 6.6, freeShipping: false });
+         expect(response.body.cart.totalAfterDiscount).toBe(59.39);
+      });
+
+      it("ar trebui sa respinga cupoanele sub valoarea minima sau limitate la alte categorii", async () => {
+         await createCoupon({ code: "MIN500", type: "fixed", value: 10, minOrderValue: 500 });
+         await createCoupon({ code: "ALTA", type: "free_shipping", categories: ["Categorie inexistenta"] });
+
+         const minimum = await applyCoupon("MIN500");
+         expect(minimum.status).toBe(400);
+         expect(minimum.body.message).toContain("500.00");
+         expect((await applyCoupon("ALTA")).status).toBe(400);
+      });
+
+      it("POST /api/create-checkout-session ar trebui sa includa reducerea in total", async () => {
+         const response = await request(app).post("/api/create-checkout-session").set("X-Cart-Token", cartToken).send({ amount: 1 });
+         expect(response.status).toBe(400);
+         expect(response.body.expectedAmount).toBe(79.38);
+      });
+
+      it("plata finalizata ar trebui sa inregistreze utilizarea si sa aplice limita", async () => {
+         process.env.STRIPE_WEBHOOK_SECRET = webhookSecret;
+         const once = await createCoupon({ code: "ONCE", type: "fixed", value: 5, usageLimit: 1 });
+
+         const ordersData = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8"));
+         const orderId = ordersData.orders.reduce((max, o) => Math.max(max, o.id), 0) + 1;
+         const now = new Date().toISOString();
+         ordersData.orders.push({
+            id: orderId,
+            userId: null,
+            cartKey: null,
+            customer: { name: "", email: "cupon@test.com", phone: "" },
+            items: [],
+            subtotal: 65.99,
+            discount: { couponId: once.body.coupon.id, code: "ONCE", amount: 5, freeShipping: false },
+            total: 80.98,
+            status: "pending",
+            statusHistory: [{ status: "pending", at: now, by: null }],
+            stripeSessionId: "cs_test_coupon",
+            createdAt: now,
+            updatedAt: now,
+         });
+         fs.writeFileSync(ORDERS_FILE, JSON.stringify(ordersData, null, 2));
+
+         const payload = JSON.stringify({
+            id: `evt_coupon_${Date.now()}`,
+            type: "checkout.session.completed",
+            data: { object: { id: "cs_test_coupon", payment_status: "paid", metadata: { order_id: String(orderId) } } },
+         });
+         const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: webhookSecret });
+         await request(app).post("/api/webhooks/stripe").set("Content-Type", "application/json").set("Stripe-Signature", signature).send(payload);
+
+         const redemptions = JSON.parse(fs.readFileSync(REDEMPTIONS_FILE, "utf8")).couponRedemptions;
+         expect(redemptions).toContainEqual(expect.objectContaining({ code: "ONCE", orderId, amount: 5 }));
+
+         const limited = await applyCoupon("ONCE");
+         expect(limited.status).toBe(400);
+
+         // cuponul folosit nu se şterge, doar se dezactivează
+         const removed = await request(app).delete(`/api/admin/coupons/${once.body.coupon.id}`).set("Authorization", `Bearer ${authToken}`);
+         expect(removed.body.deactivated).toBe(true);
+      });
+
+      it("comenzile in curs de plata ar trebui sa ocupe limita cuponului pana la expirarea sesiunii", async () => {
+         process.env.STRIPE_WEBHOOK_SECRET = webhookSecret;
+         const single = await createCoupon({ code: "SINGLE", type: "fixed", value: 5, usageLimit: 1 });
+
+         const ordersData = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8"));
+         const orderId = ordersData.orders.reduce((max, o) => Math.max(max, o.id), 0) + 1;
+         const now = new Date().toISOString();
+         ordersData.orders.push({
+            id: orderId,
+            userId: null,
+            cartKey: null,
+            customer: { name: "", email: "cupon@test.com", phone: "" },
+            items: [{ productId: 2, quantity: 1, delayedQuantity: 0 }],
+            subtotal: 65.99,
+            discount: { couponId: single.body.coupon.id, code: "SINGLE", amount: 5, freeShipping: false },
+            total: 80.98,
+            status: "pending",
+            statusHistory: [{ status: "pending", at: now, by: null }],
+            stripeSessionId: "cs_test_single",
+            createdAt: now,
+            updatedAt: now,
+         });
+         fs.writeFileSync(ORDERS_FILE, JSON.stringify(ordersData, null, 2));
+         const reservationsData = JSON.parse(fs.readFileSync(RESERVATIONS_FILE, "utf8"));
+         reservationsData.reservations.push({
+            id: orderId,
+            orderId,
+            items: [{ productId: 2, quantity: 1, delayedQuantity: 0 }],
+            status: "active",
+            createdAt: now,
+            expiresAt: new Date(Date.now() + 60 * 1000).toISOString(),
+         });
+         fs.writeFileSync(RESERVATIONS_FILE, JSON.stringify(reservationsData, null, 2));
+
+         // plata în curs ocupă singura utilizare
+         expect((await applyCoupon("SINGLE")).status).toBe(400);
+
+         const payload = JSON.stringify({
+            id: `evt_single_${Date.now()}`,
+            type: "checkout.session.expired",
+            data: { object: { id: "cs_test_single", metadata: { order_id: String(orderId) } } },
+         });
+         const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: webhookSecret });
+         await request(app).post("/api/webhooks/stripe").set("Content-Type", "application/json").set("Stripe-Signature", signature).send(payload);
+
+         // sesiunea expirată eliberează utilizarea
+         expect((await applyCoupon("SINGLE")).status).toBe(200);
+      });
+
+      it("rambursarea integrala ar trebui sa elibereze utilizarea cuponului", async () => {
+         process.env.STRIPE_WEBHOOK_SECRET = webhookSecret;
+         const refundable = await createCoupon({ code: "REFUND1", type: "fixed", value: 5, usageLimit: 1 });
+
+         const ordersData = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8"));
+         const orderId = ordersData.orders.reduce((max, o) => Math.max(max, o.id), 0) + 1;
+         const now = new Date().toISOString();
+         ordersData.orders.push({
+            id: orderId,
+            userId: null,
+            cartKey: null,
+            customer: { name: "", email: "rambursare@test.com", phone: "" },
+            items: [],
+            subtotal: 65.99,
+            discount: { couponId: refundable.body.coupon.id, code: "REFUND1", amount: 5, freeShipping: false },
+            total: 80.98,
+            status: "pending",
+            statusHistory: [{ status: "pending", at: now, by: null }],
+            stripeSessionId: "cs_test_refund_coupon",
+            createdAt: now,
+            updatedAt: now,
+         });
+         fs.writeFileSync(ORDERS_FILE, JSON.stringify(ordersData, null, 2));
+
+         const send = (event) => {
+            const payload = JSON.stringify(event);
+            const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: webhookSecret });
+            return request(app).post("/api/webhooks/stripe").set("Content-Type", "application/json").set("Stripe-Signature", signature).send(payload);
+         };
+         await send({
+            id: `evt_refund_coupon_paid_${Date.now()}`,
+            type: "checkout.session.completed",
+            data: { object: { id: "cs_test_refund_coupon", payment_status: "paid", payment_intent: "pi_test_refund_coupon", metadata: { order_id: String(orderId) } } },
+         });
+         expect((await applyCoupon("REFUND1")).status).toBe(400);
+
+         await send({
+            id: `evt_refund_coupon_${Date.now()}`,
+            type: "charge.refunded",
+            data: { object: { payment_intent: "pi_test_refund_coupon", amount_refunded: 8098, refunded: true } },
+         });
+
+         const redemption = JSON.parse(fs.readFileSync(REDEMPTIONS_FILE, "utf8")).couponRedemptions.find((r) => r.orderId === orderId);
+         expect(redemption.voidedAt).toBeTruthy();
+         expect((await applyCoupon("REFUND1")).status).toBe(200);
+      });
+
+      it("o rezervare expirata nu ar trebui sa mai ocupe cuponul, fara ca verificarea sa scrie", async () => {
+         const sweep = await createCoupon({ code: "SWEEP", type: "fixed", value: 5, usageLimit: 1 });
+
+         const ordersData = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8"));
+         const orderId = ordersData.orders.reduce((max, o) => Math.max(max, o.id), 0) + 1;
+         const past = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+         ordersData.orders.push({
+            id: orderId,
+            userId: null,
+            customer: { name: "", email: "sweep@test.com", phone: "" },
+            items: [],
+            subtotal: 65.99,
+            discount: { couponId: sweep.body.coupon.id, code: "SWEEP", amount: 5, freeShipping: false },
+            total: 80.98,
+            status: "pending",
+            statusHistory: [{ status: "pending", at: past, by: null }],
+            createdAt: past,
+            updatedAt: past,
+         });
+         fs.writeFileSync(ORDERS_FILE, JSON.stringify(ordersData, null, 2));
+         const reservationsData = JSON.parse(fs.readFileSync(RESERVATIONS_FILE, "utf8"));
+         reservationsData.reservations.push({ id: orderId, orderId, items: [], status: "active", createdAt: past, expiresAt: past });
+         fs.writeFileSync(RESERVATIONS_FILE, JSON.stringify(reservationsData, null, 2));
+         const reservationsBefore = fs.readFileSync(RESERVATIONS_FILE, "utf8");
+
+         expect((await applyCoupon("SWEEP")).status).toBe(200);
+         // rezervarea expirată rămâne pentru curăţarea periodică
+         expect(fs.readFileSync(RESERVATIONS_FILE, "utf8")).toBe(reservationsBefore);
+      });
+   });
+
+   describe("Audit si revizii", () => {
+      let originalFiles;
+      let productId;
+      const auth = () => ({ Authorization: `Bearer ${authToken}` });
+
+      const SHIPPING_FILE = path.join(DATA_DIR, "shippingMethods.json");
+
+      beforeAll(async () => {
+         originalFiles = [PRODUCTS_FILE, SHIPPING_FILE, STOCK_MOVEMENTS_FILE, AUDIT_FILE, REVISIONS_FILE].map((file) => [file, fs.readFileSync(file, "utf8")]);
+         const created = await request(app).post("/api/admin/products").set(auth()).send({ title: "Audit Test", author: "Autor", price: 50, stock: 4 });
+         productId = created.body.product.id;
+      });
+
+      afterAll(() => {
+         originalFiles.forEach(([file, content]) => fs.writeFileSync(file, content));
+      });
+
+      it("ar trebui sa inregistreze autorul, IP-ul si diferentele pe campuri", async () => {
+         await request(app)
+            .put(`/api/admin/products/${productId}`)
+            .set(auth())
+            .send({ price: 45, specifications: { year: 2021 } });
+
+         const response = await request(app).get(`/api/admin/audit?entity=product&entityId=${productId}`).set(auth());
+         expect(response.status).toBe(200);
+         expect(response.body.entries.map((e) => e.action)).toEqual(["update", "create"]);
+
+         const [update] = response.body.entries;
+         expect(update.actor).toMatchObject({ email: "admin@bookstore.com" });
+         expect(update.ip).toBeTruthy();
+         expect(update.changes).toEqual({
+            price: { from: 50, to: 45 },
+            "specifications.year": { from: null, to: 2021 },
+         });
+      });
+
+      it("ar trebui sa filtreze jurnalul si sa valideze filtrele", async () => {
+         const updates = await request(app).get("/api/admin/audit?action=update&from=2000-01-01").set(auth());
+         expect(updates.body.entries.every((e) => e.action === "update")).toBe(true);
+
+         const future = await request(app).get("/api/admin/audit?from=2999-01-01").set(auth());
+         expect(future.body.entries).toHaveLength(0);
+
+         expect((await request(app).get("/api/admin/audit?entity=client").set(auth())).status).toBe(400);
+         expect((await request(app).get("/api/admin/audit")).status).toBe(401);
+      });
+
+      it("ar trebui sa restaureze un produs sters definitiv din revizii", async () => {
+         await request(app).delete(`/api/admin/products/${productId}`).set(auth());
+         await request(app).delete(`/api/admin/products/${productId}?permanent=true`).set(auth());
+         expect((await request(app).get(`/api/admin/products/${productId}`).set(auth())).status).toBe(404);
+
+         const revisions = await request(app).get(`/api/admin/products/${productId}/revisions`).set(auth());
+         expect(revisions.status).toBe(200);
+         expect(revisions.body.deleted).toBe(true);
+         expect(revisions.body.revisions.map((r) => [r.revision, r.action])).toEqual([
+            [4, "delete"],
+            [3, "deactivate"],
+            [2, "update"],
+            [1, "create"],
+         ]);
+
+         const restored = await request(app).post(`/api/admin/products/${productId}/revisions/2/restore`).set(auth());
+         expect(restored.status).toBe(200);
+         expect(restored.body.product).toMatchObject({ id: productId, title: "Audit Test", price: 45, isActive: true, stock: 4 });
+
+         const product = await request(app).get(`/api/admin/products/${productId}`).set(auth());
+         expect(product.body.product.price).toBe(45);
+
+         const audit = await request(app).get(`/api/admin/audit?entity=product&entityId=${productId}&action=restore`).set(auth());
+         expect(audit.body.entries[0]).toMatchObject({ note: "Revizia 2" });
+
+         expect((await request(app).post(`/api/admin/products/${productId}/revisions/99/restore`).set(auth())).status).toBe(404);
+      });
+
+      it("ar trebui sa inregistreze si scrierile pe alte entitati", async () => {
+         const method = await request(app)
+            .post("/api/admin/shipping-methods")
+            .set(auth())
+            .send({ code: "audit-test", name: "Audit", baseCost: 5 });
+         await request(app).delete(`/api/admin/shipping-methods/${method.body.method.id}`).set(auth());
+
+         const response = await request(app).get(`/api/admin/audit?entity=shippingMethod&entityId=${method.body.method.id}`).set(auth());
+         expect(response.body.entries.slice(0, 2).map((e) => e.action)).toEqual(["delete", "create"]);
+         expect(response.body.entries[0].changes.code).toEqual({ from: "audit-test", to: null });
+      });
+   });
+
+   describe("Registru stoc", () => {
+      let originalFiles;
+      const auth = () => ({ Authorization: `Bearer ${authToken}` });
+      const readProduct = (productId) => JSON.parse(fs.readFileSync(PRODUCTS_FILE, "utf8")).products.find((p) => p.id === productId);
+
+      beforeAll(() => {
+         originalFiles = [PRODUCTS_FILE, STOCK_MOVEMENTS_FILE].map((file) => [file, fs.readFileSync(file, "utf8")]);
+      });
+
+      afterAll(() => {
+         originalFiles.forEach(([file, content]) => fs.writeFileSync(file, content));
+      });
+
+      it("receptia ar trebui sa mareasca stocul si sa fie inregistrata", async () => {
+         const stockBefore = readProduct(2).stock;
+         const response = await request(app)
+            .post("/api/admin/products/2/stock/receipts")
+            .set(auth())
+            .send({ quantity: 5, supplier: "Distribuitor SRL", reference: "FV-123", unitCost: 40 });
+
+         expect(response.status).toBe(201);
+         expect(response.body.product.stock).toBe(stockBefore + 5);
+         expect(response.body.movement).toMatchObject({
+            productId: 2,
+            type: "receipt",
+            quantity: 5,
+            stockBefore,
+            stockAfter: stockBefore + 5,
+            supplier: "Distribuitor SRL",
+            reference: "FV-123",
+         });
+
+         const invalid = await request(app).post("/api/admin/products/2/stock/receipts").set(auth()).send({ quantity: 0 });
+         expect(invalid.status).toBe(400);
+         expect(invalid.body.errors).toHaveProperty("quantity");
+      });
+
+      it("corectia manuala ar trebui sa ceara motiv si sa nu lase stocul negativ", async () => {
+         const stockBefore = readProduct(2).stock;
+
+         const withoutReason = await request(app).post("/api/admin/products/2/stock/adjustments").set(auth()).send({ quantity: -1 });
+         expect(withoutReason.status).toBe(400);
+         expect(withoutReason.body.errors).toHaveProperty("reason");
+
+         const negative = await request(app)
+            .post("/api/admin/products/2/stock/adjustments")
+            .set(auth())
+            .send({ quantity: -(stockBefore + 1), reason: "Inventar" });
+         expect(negative.status).toBe(400);
+         expect(negative.body.errors).toHaveProperty("quantity");
+
+         const response = await request(app).post("/api/admin/products/2/stock/adjustments").set(auth()).send({ quantity: -2, reason: "Exemplare deteriorate" });
+         expect(response.status).toBe(201);
+         expect(readProduct(2).stock).toBe(stockBefore - 2);
+      });
+
+      it("editarea stocului din produs ar trebui inregistrata ca si corectie", async () => {
+         const stockBefore = readProduct(2).stock;
+         const response = await request(app)
+            .put("/api/admin/products/2")
+            .set(auth())
+            .send({ stock: stockBefore + 1, stockReason: "Inventar anual" });
+         expect(response.status).toBe(200);
+
+         const history = await request(app).get("/api/admin/products/2/stock/movements?type=adjustment").set(auth());
+         expect(history.status).toBe(200);
+         expect(history.body.movements[0]).toMatchObject({ type: "adjustment", quantity: 1, reason: "Inventar anual" });
+         expect(history.body.movements.map((m) => m.reason)).toContain("Exemplare deteriorate");
+         expect(history.body.product).toMatchObject({ id: 2, stock: stockBefore + 1 });
+      });
+
+      it("istoricul ar trebui sa valideze tipul si produsul", async () => {
+         expect((await request(app).get("/api/admin/products/2/stock/movements?type=furt").set(auth())).status).toBe(400);
+         expect((await request(app).get("/api/admin/products/99999/stock/movements").set(auth())).status).toBe(404);
+      });
+
+      it("pragul de reaprovizionare ar trebui sa determine raportul de stoc scazut", async () => {
+         const { stock } = readProduct(2);
+         const before = await request(app).get("/api/admin/inventory/low-stock").set(auth());
+         expect(before.body.products.map((p) => p.productId)).not.toContain(2);
+
+         await request(app)
+            .put("/api/admin/products/2")
+            .set(auth())
+            .send({ reorderThreshold: stock + 1 });
+
+         const after = await request(app).get("/api/admin/inventory/low-stock").set(auth());
+         expect(after.status).toBe(200);
+         expect(after.body.products.find((p) => p.productId === 2)).toMatchObject({ reorderThreshold: stock + 1, status: "low_stock" });
+
+         const list = await request(app).get("/api/admin/products").set(auth());
+         // statisticile listei folosesc aceeaşi definiţie ca raportul (stocul disponibil faţă de prag)
+         expect(list.body.statistics.lowStock).toBe(after.body.summary.lowStock);
+         expect(list.body.statistics.lowStock).toBeGreaterThan(before.body.summary.lowStock);
+      });
+   });
+
+   describe("Statistici", () => {
+      let originalOrders;
+
+      beforeAll(() => {
+         originalOrders = fs.readFileSync(ORDERS_FILE, "utf8");
+         const ordersData = JSON.parse(originalOrders);
+         const nextId = ordersData.orders.reduce((max, o) => Math.max(max, o.id), 0) + 1;
+         const paidOrder = (id, at, quantity) => ({
+            id,
+            userId: null,
+            cartKey: `guest:stats-${id}`,
+            items: [{ productId: 2, title: "Express.js in Action", price: 65.99, quantity, lineTotal: Math.round(65.99 * quantity * 100) / 100 }],
+            total: Math.round(65.99 * quantity * 100) / 100,
+            status: "paid",
+            statusHistory: [
+               { status: "pending", at, by: null },
+               { status: "paid", at, by: null },
+            ],
+            createdAt: at,
+            updatedAt: at,
+         });
+         // interval din trecut, fără alte comenzi
+         ordersData.orders.push(paidOrder(nextId, "2020-03-02T10:00:00.000Z", 1), paidOrder(nextId + 1, "2020-03-20T10:00:00.000Z", 2));
+         fs.writeFileSync(ORDERS_FILE, JSON.stringify(ordersData, null, 2));
+      });
+
+      afterAll(() => {
+         fs.writeFileSync(ORDERS_FILE, originalOrders);
+      });
+
+      it("ar trebui sa necesite autentificare de admin", async () => {
+         const response = await request(app).get("/api/admin/analytics");
+         expect(response.status).toBe(401);
+      });
+
+      it("ar trebui sa returneze venitul pe perioade, categorii si topuri", async () => {
+         const response = await request(app)
+            .get("/api/admin/analytics?from=2020-03-01&to=2020-03-31&groupBy=month&limit=3")
+            .set("Authorization", `Bearer ${authToken}`);
+
+         expect(response.status).toBe(200);
+         expect(response.body.summary).toEqual({ revenue: 197.97, orders: 2, averageOrderValue: 98.99 });
+         expect(response.body.series).toEqual([{ period: "2020-03", revenue: 197.97, orders: 2, averageOrderValue: 98.99 }]);
+         expect(response.body.bestSellers[0]).toMatchObject({ productId: 2, units: 3 });
+         expect(response.body.worstSellers).toHaveLength(3);
+         expect(response.body.revenueByCategory).toHaveLength(1);
+         expect(response.body.conversion).toMatchObject({ checkouts: 2, paidOrders: 2 });
+         expect(Array.isArray(response.body.stockOutRisk)).toBe(true);
+      });
+
+      it("ar trebui sa exporte raportul in CSV", async () => {
+         const response = await request(app)
+            .get("/api/admin/analytics?from=2020-03-01&to=2020-03-31&groupBy=week&format=csv&report=sales")
+            .set("Authorization", `Bearer ${authToken}`);
+
+         expect(response.status).toBe(200);
+         expect(response.headers["content-type"]).toContain("text/csv");
+         expect(response.headers["content-disposition"]).toContain("statistici-sales-2020-03-01-2020-03-31.csv");
+         const lines = response.text.replace(/^\uFEFF/, "").trim().split(/\r?\n/);
+         expect(lines[0]).toBe("period,orders,revenue,averageOrderValue");
+         // săptămânile ISO 10-14 din 2020, plus săptămâna 9 (1 martie este duminică)
+         expect(lines).toHaveLength(7);
+      });
+
+      it("ar trebui sa respinga parametrii invalizi", async () => {
+         const auth = { Authorization: `Bearer ${authToken}` };
+         expect((await request(app).get("/api/admin/analytics?groupBy=year").set(auth)).status).toBe(400);
+         expect((await request(app).get("/api/admin/analytics?format=csv&report=clienti").set(auth)).status).toBe(400);
+         expect((await request(app).get("/api/admin/analytics?from=2020-04-01&to=2020-03-01").set(auth)).status).toBe(400);
+      });
+   });
+
+   describe("Webhook Stripe", () => {
+      const webhookSecret = "whsec_test_secret";
+      let originalFiles;
+      let orderId;
+      let cartToken;
+
+      // eveniment semnat local, fără acces la reţea
+      const sendEvent = (event, secret = webhookSecret) => {
+         const payload = JSON.stringify(event);
+         const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+         return request(app).post("/api/webhooks/stripe").set("Content-Type", "application/json").set("Stripe-Signature", signature).send(payload);
+      };
+
+      const readStock = (productId) => JSON.parse(fs.readFileSync(PRODUCTS_FILE, "utf8")).products.find((p) => p.id === productId).stock;
+
+      beforeAll(async () => {
+         process.env.STRIPE_WEBHOOK_SECRET = webhookSecret;
+         originalFiles = [ORDERS_FILE, PRODUCTS_FILE, STRIPE_EVENTS_FILE, INVOICES_FILE].map((file) => [file, fs.readFileSync(file, "utf8")]);
+
+         const cart = await request(app).post("/api/cart").send({ productId: 2, quantity: 2 });
+         cartToken = cart.body.cartToken;
+
+         const ordersData = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8"));
+         orderId = ordersData.orders.reduce((max, o) => Math.max(max, o.id), 0) + 1;
+         const now = new Date().toISOString();
+         ordersData.orders.push({
+            id: orderId,
+            userId: null,
+            cartKey: `guest:${cartToken}`,
+            customer: { name: "", email: "", phone: "" },
+            items: [{ productId: 2, title: "Express.js in Action", price: 65.99, quantity: 2, lineTotal: 131.98 }],
+            subtotal: 131.98,
+            total: 151.97,
+            status: "pending",
+            statusHistory: [{ status: "pending", at: now, by: null }],
+            stripeSessionId: "cs_test_webhook",
+            createdAt: now,
+            updatedAt: now,
+         });
+         fs.writeFileSync(ORDERS_FILE, JSON.stringify(ordersData, null, 2));
+      });
+
+      afterAll(() => {
+         originalFiles.forEach(([file, content]) => fs.writeFileSync(file, content));
+         delete process.env.STRIPE_WEBHOOK_SECRET;
+      });
+
+      it("ar trebui sa respinga o semnatura invalida", async () => {
+         const response = await sendEvent({ id: "evt_invalid", type: "checkout.session.completed", data: { object: {} } }, "whsec_alt");
+         expect(response.status).toBe(400);
+      });
+
+      it("checkout.session.completed ar trebui sa marcheze comanda platita o singura data", async () => {
+         const stockBefore = readStock(2);
+         const event = {
+            id: `evt_${Date.now()}`,
+            type: "checkout.session.completed",
+            data: {
+               object: {
+                  id: "cs_test_webhook",
+                  payment_status: "paid",
+                  payment_intent: "pi_test_webhook",
+                  metadata: { order_id: String(orderId) },
+                  customer_details: { email: "guest@test.com", name: "Guest" },
+               },
+            },
+         };
+
+         // livrări simultane ale aceluiaşi eveniment
+         const deliveries = await Promise.all([sendEvent(event), sendEvent(event)]);
+         expect(deliveries.map((response) => response.status)).toEqual([200, 200]);
+         expect(deliveries.filter((response) => response.body.duplicate)).toHaveLength(1);
+
+         const order = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8")).orders.find((o) => o.id === orderId);
+         expect(order.status).toBe("paid");
+         expect(order.customer.email).toBe("guest@test.com");
+         expect(order.invoiceNumber).toMatch(/^BKS-\d{6}$/);
+         expect(readStock(2)).toBe(stockBefore - 2);
+
+         const cart = await request(app).get("/api/cart").set("X-Cart-Token", cartToken);
+         expect(cart.body.cart.items).toHaveLength(0);
+
+         const duplicate = await sendEvent(event);
+         expect(duplicate.body.duplicate).toBe(true);
+         expect(readStock(2)).toBe(stockBefore - 2);
+      });
+
+      it("plata ar trebui sa scoata din cos doar produsele comandate", async () => {
+         const cart = await request(app).post("/api/cart").send({ productId: 2, quantity: 3 });
+         const token = cart.body.cartToken;
+
+         const ordersData = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8"));
+         const paidId = ordersData.orders.reduce((max, o) => Math.max(max, o.id), 0) + 1;
+         const now = new Date().toISOString();
+         ordersData.orders.push({
+            id: paidId,
+            userId: null,
+            cartKey: `guest:${token}`,
+            customer: { name: "Cos", email: "cos@test.com", phone: "" },
+            items: [{ productId: 2, title: "Express.js in Action", price: 65.99, quantity: 2, lineTotal: 131.98 }],
+            subtotal: 131.98,
+            total: 151.97,
+            status: "pending",
+            statusHistory: [{ status: "pending", at: now, by: null }],
+            stripeSessionId: "cs_test_partial_cart",
+            createdAt: now,
+            updatedAt: now,
+         });
+         fs.writeFileSync(ORDERS_FILE, JSON.stringify(ordersData, null, 2));
+
+         // după începerea checkout-ului clientul a mai adăugat un produs
+         await request(app).post("/api/cart").set("X-Cart-Token", token).send({ productId: 3, quantity: 1 });
+
+         const response = await sendEvent({
+            id: `evt_partial_cart_${Date.now()}`,
+            type: "checkout.session.completed",
+            data: { object: { id: "cs_test_partial_cart", payment_status: "paid", metadata: { order_id: String(paidId) } } },
+         });
+         expect(response.status).toBe(200);
+
+         const after = await request(app).get("/api/cart").set("X-Cart-Token", token);
+         expect(after.body.cart.items.map((item) => [item.productId, item.quantity])).toEqual([
+            [2, 1],
+            [3, 1],
+         ]);
+      });
+
+      it("retrimiterea dupa o eroare ar trebui sa finalizeze pasii ramasi", async () => {
+         // comanda a fost marcată plătită, dar procesarea s-a oprit înainte de stoc şi factură
+         const ordersData = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8"));
+         const retryId = ordersData.orders.reduce((max, o) => Math.max(max, o.id), 0) + 1;
+         const now = new Date().toISOString();
+         ordersData.orders.push({
+            id: retryId,
+            userId: null,
+            customer: { name: "Retry", email: "retry@test.com", phone: "" },
+            items: [{ productId: 3, title: "Learning React", price: 50, quantity: 1, lineTotal: 50 }],
+            subtotal: 50,
+            total: 69.99,
+            status: "paid",
+            statusHistory: [
+               { status: "pending", at: now, by: null },
+               { status: "paid", at: now, by: null, note: "Stripe evt_retry" },
+            ],
+            stripeSessionId: "cs_test_retry",
+            createdAt: now,
+            updatedAt: now,
+         });
+         fs.writeFileSync(ORDERS_FILE, JSON.stringify(ordersData, null, 2));
+
+         const stockBefore = readStock(3);
+         const response = await sendEvent({
+            id: `evt_retry_${Date.now()}`,
+            type: "checkout.session.completed",
+            data: { object: { id: "cs_test_retry", payment_status: "paid", metadata: { order_id: String(retryId) } } },
+         });
+         expect(response.status).toBe(200);
+
+         const order = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8")).orders.find((o) => o.id === retryId);
+         expect(order.statusHistory).toHaveLength(2);
+         expect(order.invoiceNumber).toMatch(/^BKS-\d{6}$/);
+         expect(readStock(3)).toBe(stockBefore - 1);
+      });
+
+      it("plata unei comenzi anulate ar trebui semnalata, nu ignorata", async () => {
+         const ordersData = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8"));
+         const cancelledId = ordersData.orders.reduce((max, o) => Math.max(max, o.id), 0) + 1;
+         const now = new Date().toISOString();
+         ordersData.orders.push({
+            id: cancelledId,
+            userId: null,
+            customer: { name: "Anulat", email: "anulat@test.com", phone: "" },
+            items: [{ productId: 3, title: "Learning React", price: 50, quantity: 1, lineTotal: 50 }],
+            subtotal: 50,
+            total: 69.99,
+            status: "pending",
+            statusHistory: [{ status: "pending", at: now, by: null }],
+            stripeSessionId: "cs_test_cancelled",
+            createdAt: now,
+            updatedAt: now,
+         });
+         fs.writeFileSync(ORDERS_FILE, JSON.stringify(ordersData, null, 2));
+
+         // anularea închide sesiunea Stripe (simulată)
+         const sessions = Object.getPrototypeOf(createRequire(import.meta.url)("stripe")("sk_test_mock").checkout.sessions);
+         const expireSession = vi.spyOn(sessions, "expire").mockResolvedValue({ id: "cs_test_cancelled", status: "expired" });
+         try {
+            const cancelled = await request(app).put(`/api/admin/orders/${cancelledId}/status`).set("Authorization", `Bearer ${authToken}`).send({ status: "cancelled" });
+            expect(cancelled.status).toBe(200);
+            expect(expireSession).toHaveBeenCalledWith("cs_test_cancelled");
+         } finally {
+            expireSession.mockRestore();
+         }
+
+         // clientul plătise deja: evenimentul este înregistrat şi comanda semnalată
+         const eventId = `evt_cancelled_${Date.now()}`;
+         const response = await sendEvent({
+            id: eventId,
+            type: "checkout.session.completed",
+            data: { object: { id: "cs_test_cancelled", payment_status: "paid", payment_intent: "pi_test_cancelled", amount_total: 6999, metadata: { order_id: String(cancelledId) } } },
+         });
+         expect(response.status).toBe(200);
+
+         const order = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8")).orders.find((o) => o.id === cancelledId);
+         expect(order.status).toBe("cancelled");
+         expect(order.paymentIssue).toMatchObject({ type: "paid_after_cancellation", stripeEventId: eventId, amount: 69.99 });
+         expect(order.paymentIntentId).toBe("pi_test_cancelled");
+         expect(JSON.parse(fs.readFileSync(STRIPE_EVENTS_FILE, "utf8")).events.map((e) => e.id)).toContain(eventId);
+
+         const flagged = await request(app).get("/api/admin/orders?flagged=true").set("Authorization", `Bearer ${authToken}`);
+         expect(flagged.body.orders.map((o) => o.id)).toEqual([cancelledId]);
+      });
+
+      it("charge.refunded ar trebui sa anuleze comanda si sa readuca stocul", async () => {
+         const stockBefore = readStock(2);
+         const response = await sendEvent({
+            id: `evt_refund_${Date.now()}`,
+            type: "charge.refunded",
+            data: { object: { payment_intent: "pi_test_webhook", amount_refunded: 15197, refunded: true } },
+         });
+         expect(response.status).toBe(200);
+
+         const order = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8")).orders.find((o) => o.id === orderId);
+         expect(order.status).toBe("cancelled");
+         expect(readStock(2)).toBe(stockBefore + 2);
+      });
+   });
+
+   describe("Precomenzi si backorder", () => {
+      let originalFiles;
+      const auth = () => ({ Authorization: `Bearer ${authToken}` });
+      const releaseDate = new Date(Date.UTC(new Date().getUTCFullYear() + 1, 0, 15)).toISOString();
+
+      beforeAll(() => {
+         originalFiles = [PRODUCTS_FILE, ORDERS_FILE, CART_FILE].map((file) => [file, fs.readFileSync(file, "utf8")]);
+      });
+
+      afterAll(() => {
+         originalFiles.forEach(([file, content]) => fs.writeFileSync(file, content));
+      });
+
+      it("precomanda ar trebui sa ceara data aparitiei", async () => {
+         const response = await request(app).put("/api/admin/products/2").set(auth()).send({ availability: "preorder" });
+         expect(response.status).toBe(400);
+         expect(response.body.errors).toHaveProperty("releaseDate");
+      });
+
+      it("ar trebui sa accepte precomenzi peste stoc, pana la limita produsului", async () => {
+         const stock = JSON.parse(fs.readFileSync(PRODUCTS_FILE, "utf8")).products.find((p) => p.id === 2).stock;
+         const updated = await request(app).put("/api/admin/products/2").set(auth()).send({ availability: "preorder", releaseDate, backorderLimit: stock + 2 });
+         expect(updated.status).toBe(200);
+
+         const product = await request(app).get("/api/products/2");
+         expect(product.body.product).toMatchObject({ availability: "preorder", expectedShipDate: releaseDate });
+
+         const added = await request(app)
+            .post("/api/cart")
+            .send({ productId: 2, quantity: stock + 1 });
+         expect(added.status).toBe(200);
+         expect(added.body.cart.items[0]).toMatchObject({ quantity: stock + 1, delayedQuantity: stock + 1, expectedShipDate: releaseDate });
+
+         const overLimit = await request(app)
+            .put("/api/cart/2")
+            .set("X-Cart-Token", added.body.cartToken)
+            .send({ quantity: stock + 3 });
+         expect(overLimit.status).toBe(400);
+         expect(overLimit.body.message).toContain("Limita de precomenzi");
+      });
+
+      it("produsele scoase din comercializare fara stoc nu ar trebui sa mai poata fi comandate", async () => {
+         const stock = JSON.parse(fs.readFileSync(PRODUCTS_FILE, "utf8")).products.find((p) => p.id === 2).stock;
+         await request(app).put("/api/admin/products/2").set(auth()).send({ availability: "discontinued", stock: 0, stockReason: "Tiraj epuizat" });
+
+         const response = await request(app).post("/api/cart").send({ productId: 2, quantity: 1 });
+         expect(response.status).toBe(400);
+         expect(response.body.message).toBe("Produsul nu mai este comercializat");
+
+         await request(app).put("/api/admin/products/2").set(auth()).send({ availability: "in_stock", stock, stockReason: "Restaurare test" });
+      });
+
+      it("comanda cu produse amanate ar trebui expediata doar dupa ce intra in stoc", async () => {
+         const ordersData = JSON.parse(fs.readFileSync(ORDERS_FILE, "utf8"));
+         const orderId = ordersData.orders.reduce((max, o) => Math.max(max, o.id), 0) + 1;
+         const at = new Date().toISOString();
+         ordersData.orders.push({
+            id: orderId,
+            userId: null,
+            cartKey: "guest:preorder-test",
+            items: [{ productId: 2, title: "Express.js in Action", price: 65.99, quantity: 1000000, delayedQuantity: 1000000, expectedShipDate: releaseDate, lineTotal: 65990000 }],
+            total: 65990000,
+            status: "paid",
+            statusHistory: [{ status: "paid", at, by: null }],
+            createdAt: at,
+            updatedAt: at,
+         });
+         fs.writeFileSync(ORDERS_FILE, JSON.stringify(ordersData, null, 2));
+
+         const response = await request(app).put(`/api/admin/orders/${orderId}/status`).set(auth()).send({ status: "shipped" });
+         expect(response.status).toBe(400);
+         expect(response.body.items).toEqual([expect.objectContaining({ productId: 2, required: 1000000 })]);
+      });
+   });
+
+   describe("Rezervarea stocului", () => {
+      let originalFiles;
+
+      const writeReservation = (reservation) => {
+         fs.writeFileSync(RESERVATIONS_FILE, JSON.stringify({ reservations: [reservation] }, null, 2));
+      };
+
+      beforeAll(() => {
+         originalFiles = [RESERVATIONS_FILE, ORDERS_FILE, PRODUCTS_FILE].map((file) => [file, fs.readFileSync(file, "utf8")]);
+      });
+
+      afterAll(() => {
+         originalFiles.forEach(([file, content]) => fs.writeFileSync(file, content));
+      });
+
+      it("stocul rezervat nu ar trebui sa mai poata fi adaugat in cos", async () => {
+         const stock = JSON.parse(fs.readFileSync(PRODUCTS_FILE, "utf8")).products.find((p) => p.id === 2).stock;
+         writeReservation({
+            id: 999999,
+            orderId: 999999,
+            items: [{ productId: 2, quantity: stock }],
+            status: "active",
+            createdAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + 60 * 1000).toISOString(),
+         });
+
+         const response = await request(app).post("/api/cart").send({ productId: 2, quantity: 1 });
+         expect(response.status).toBe(400);
+
+         const admin = await request(app).get("/api/admin/products").set("Authorization", `Bearer ${authToken}`);
+         const product = admin.body.products.find((p) => p.id === 2);
+         expect(product.stock).toBe(stock);
+         expect(product.availableStock).toBe(0);
+      });
+
+      it("rezervarile expirate nu ar trebui sa mai ocupe stocul", async () => {
+         writeReservation({
+            id: 999999,
+            orderId: 999999,
+            items: [{ productId: 2, quantity: 1000 }],
+            status: "active",
+            createdAt: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+            expiresAt: new Date(Date.now() - 1000).toISOString(),
+         });
+         const reservationsBefore = fs.readFileSync(RESERVATIONS_FILE, "utf8");
+
+         const [response] = await Promise.all([
+            request(app).post("/api/cart").send({ productId: 2, quantity: 1 }),
+            request(app).get("/api/products"),
+            request(app).get("/api/products/2"),
+         ]);
+         expect(response.status).toBe(200);
+
+         // citirile nu scriu: statusul şi mişcarea de eliberare rămân pentru curăţarea periodică
+         expect(fs.readFileSync(RESERVATIONS_FILE, "utf8")).toBe(reservationsBefore);
+      });
+
+      it("doua checkout-uri simultane nu ar trebui sa vanda aceeasi ultima bucata", async () => {
+         const auth = { Authorization: `Bearer ${authToken}` };
+         const created = await request(app).post("/api/admin/products").set(auth).send({ title: "Ultimul exemplar", author: "Autor", price: 40, stock: 1 });
+         const productId = created.body.product.id;
+         const carts = await Promise.all([1, 2].map(() => request(app).post("/api/cart").send({ productId, quantity: 1 })));
+
+         // sesiunea Stripe este simulată (clientul Stripe al serverului foloseşte acelaşi modul)
+         const sessions = Object.getPrototypeOf(createRequire(import.meta.url)("stripe")("sk_test_mock").checkout.sessions);
+         const createSession = vi.spyOn(sessions, "create").mockResolvedValue({ id: "cs_test_last_copy", url: "https://checkout.stripe.test" });
+         try {
+            const checkouts = await Promise.all(carts.map((cart) => request(app).post("/api/create-checkout-session").set("X-Cart-Token", cart.body.cartToken).send({})));
+            expect(checkouts.map((response) => response.status).sort()).toEqual([200, 400]);
+            expect(createSession).toHaveBeenCalledTimes(1);
+         } finally {
+            createSession.mockRestore();
+         }
+
+         const reservations = JSON.parse(fs.readFileSync(RESERVATIONS_FILE, "utf8")).reservations.filter((r) => r.items.some((item) => item.productId === productId));
+         expect(reservations).toHaveLength(1);
+      });
+   });
+
    describe("Manipulare erori", () => {
       it("ar trebui sa manipuleze rute non-existente", async () => {
          const response = await request(app).get("/api/non-existent-route");
@@ -0,0 +1,26 @@
+import { describe, it, expect } from "vitest";
+import { diffChanges } from "../utils/audit.js";
+
+describe("Jurnal de audit", () => {
+   it("ar trebui sa compare campurile imbricate si sa ignore updatedAt", () => {
+      const before = { title: "Carte", price: 50, tags: ["a"], specifications: { year: 2020, publisher: "Editura" }, updatedAt: "2026-01-01" };
+      const after = { title: "Carte", price: 45, tags: ["a", "b"], specifications: { year: 2021, publisher: "Editura" }, updatedAt: "2026-02-01" };
+
+      expect(diffChanges(before, after)).toEqual({
+         price: { from: 50, to: 45 },
+         tags: { from: ["a"], to: ["a", "b"] },
+         "specifications.year": { from: 2020, to: 2021 },
+      });
+   });
+
+   it("ar trebui sa trateze crearea, stergerea si campurile ignorate", () => {
+      expect(diffChanges(null, { code: "X", isActive: true })).toEqual({
+         code: { from: null, to: "X" },
+         isActive: { from: null, to: true },
+      });
+      expect(diffChanges({ code: "X" }, null)).toEqual({ code: { from: "X", to: null } });
+      expect(diffChanges({ status: "pending", statusHistory: [1] }, { status: "paid", statusHistory: [1, 2] }, { ignore: ["statusHistory"] })).toEqual({
+         status: { from: "pending", to: "paid" },
+      });
+   });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import { availabilityMode, expectedShipDate, planLine, immediateItems, planFulfilment } from "../utils/availability.js";
+import { validateProduct } from "../utils/productSchema.js";
+
+const NOW = new Date("2026-01-10T00:00:00.000Z");
+const product = (fields) => ({ id: 1, title: "Carte", stock: 2, ...fields });
+
+describe("Disponibilitate", () => {
+   it("ar trebui sa vanda produsele in_stock doar din stocul disponibil", () => {
+      expect(availabilityMode(product({}))).toBe("in_stock");
+      expect(planLine(product({}), 2, { available: 2, now: NOW })).toMatchObject({ ok: true, immediateQuantity: 2, delayedQuantity: 0, expectedShipDate: null });
+      expect(planLine(product({}), 3, { available: 2, now: NOW })).toMatchObject({ ok: false, maxQuantity: 2 });
+   });
+
+   it("ar trebui sa amane toate bucatile unei precomenzi pana la aparitie", () => {
+      const preorder = product({ availability: "preorder", releaseDate: "2026-02-01", backorderLimit: 5 });
+      expect(planLine(preorder, 3, { available: 2, now: NOW })).toEqual({
+         ok: true,
+         maxQuantity: 5,
+         immediateQuantity: 0,
+         delayedQuantity: 3,
+         expectedShipDate: "2026-02-01",
+      });
+      expect(expectedShipDate(preorder, 2, NOW)).toBe("2026-02-01");
+
+      // limita scade cu bucăţile deja precomandate de alţi clienţi
+      const capped = planLine(preorder, 3, { available: 2, delayed: 3, now: NOW });
+      expect(capped).toMatchObject({ ok: false, maxQuantity: 2 });
+      expect(capped.message).toContain("Limita de precomenzi");
+
+      // după apariţie se vinde din stoc
+      expect(planLine(preorder, 3, { available: 2, now: new Date("2026-03-01") })).toMatchObject({ ok: false, maxQuantity: 2 });
+   });
+
+   it("ar trebui sa livreze din stoc si sa amane restul pentru backorder", () => {
+      const backorder = product({ availability: "backorder", restockDate: "2026-01-20" });
+      expect(planLine(backorder, 5, { available: 2, now: NOW })).toMatchObject({
+         ok: true,
+         maxQuantity: Infinity,
+         immediateQuantity: 2,
+         delayedQuantity: 3,
+         expectedShipDate: "2026-01-20",
+      });
+      expect(expectedShipDate(backorder, 2, NOW)).toBeNull();
+      expect(expectedShipDate(backorder, 0, NOW)).toBe("2026-01-20");
+   });
+
+   it("ar trebui sa refuze produsele scoase din comercializare fara stoc", () => {
+      const discontinued = product({ availability: "discontinued", stock: 0 });
+      expect(planLine(discontinued, 1, { available: 1, now: NOW }).ok).toBe(true);
+      expect(planLine(discontinued, 1, { available: 0, now: NOW })).toEqual({ ok: false, maxQuantity: 0, message: "Produsul nu mai este comercializat" });
+   });
+
+   it("ar trebui sa imparta comanda in expedieri dupa data estimata", () => {
+      const items = [
+         { productId: 1, quantity: 2, delayedQuantity: 0 },
+         { productId: 2, quantity: 3, delayedQuantity: 1, expectedShipDate: "2026-02-01" },
+         { productId: 3, quantity: 1, delayedQuantity: 1, expectedShipDate: "2026-01-20" },
+      ];
+
+      expect(immediateItems(items)).toEqual([
+         { productId: 1, quantity: 2 },
+         { productId: 2, quantity: 2 },
+      ]);
+
+      const plan = planFulfilment(items);
+      expect(plan.type).toBe("split");
+      expect(plan.shipments.map((shipment) => [shipment.type, shipment.expectedShipDate, shipment.items])).toEqual([
+         ["immediate", null, [{ productId: 1, quantity: 2 }, { productId: 2, quantity: 2 }]],
+         ["delayed", "2026-01-20", [{ productId: 3, quantity: 1 }]],
+         ["delayed", "2026-02-01", [{ productId: 2, quantity: 1 }]],
+      ]);
+
+      expect(planFulfilment([items[0]]).type).toBe("immediate");
+      expect(planFulfilment([items[2]]).type).toBe("delayed");
+   });
+
+   it("ar trebui sa ceara data estimata pentru precomenzi si backorder", () => {
+      const base = { title: "Carte", author: "Autor", price: 10, stock: 0 };
+      expect(validateProduct({ ...base, availability: "preorder" }).errors).toHaveProperty("releaseDate");
+      expect(validateProduct({ ...base, availability: "backorder" }).errors).toHaveProperty("restockDate");
+      expect(validateProduct({ ...base, availability: "preorder", releaseDate: "2026-02-01" }).errors).toBeNull();
+      expect(validateProduct({ ...base, availability: "oricand" }).errors).toHaveProperty("availability");
+
+      // la actualizare data poate exista deja pe produs
+      const current = { ...base, availability: "in_stock", restockDate: "2026-01-20" };
+      expect(validateProduct({ availability: "backorder" }, { partial: true, current }).errors).toBeNull();
+   });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from "vitest";
+import { validateCoupon, evaluateCoupon } from "../utils/coupons.js";
+
+const coupon = (fields) => ({ ...validateCoupon(fields).value, id: 1 });
+const items = [
+   { productId: 1, category: "JavaScript", price: 49.99, quantity: 2 },
+   { productId: 2, category: "Node.js", price: 65.99, quantity: 1 },
+];
+const context = { items, userId: null, totalUsage: 0, userUsage: 0 };
+
+describe("Cupoane", () => {
+   it("ar trebui sa normalizeze codul si sa verifice regulile combinate", () => {
+      expect(validateCoupon({ code: "vara-25", type: "percentage", value: 25 }).value.code).toBe("VARA-25");
+      expect(validateCoupon({ code: "cu spatii", type: "fixed", value: 5 }).errors).toHaveProperty("code");
+      expect(validateCoupon({ code: "ZERO", type: "fixed" }).errors).toHaveProperty("value");
+      expect(validateCoupon({ code: "TIP", type: "cadou" }).errors).toHaveProperty("type");
+
+      const dates = validateCoupon({ code: "DATE", type: "free_shipping", startsAt: "2026-02-01", endsAt: "2026-01-01" });
+      expect(dates.errors).toHaveProperty("endsAt");
+
+      // la actualizare regulile folosesc şi valorile existente
+      const current = coupon({ code: "PROC", type: "percentage", value: 10 });
+      expect(validateCoupon({ value: 120 }, { partial: true, current }).errors).toHaveProperty("value");
+   });
+
+   it("ar trebui sa calculeze reducerea doar pentru produsele eligibile", () => {
+      expect(evaluateCoupon(coupon({ code: "TOT10", type: "percentage", value: 10 }), context)).toEqual({ discount: 16.6, freeShipping: false, productIds: [1, 2] });
+      expect(evaluateCoupon(coupon({ code: "JS10", type: "percentage", value: 10, categories: ["JavaScript"] }), context)).toMatchObject({ discount: 10, productIds: [1] });
+      // suma fixă nu depăşeşte valoarea produselor eligibile
+      expect(evaluateCoupon(coupon({ code: "NODE", type: "fixed", value: 100, productIds: [2] }), context).discount).toBe(65.99);
+      expect(evaluateCoupon(coupon({ code: "LIVRARE", type: "free_shipping" }), context)).toEqual({ discount: 0, freeShipping: true, productIds: [1, 2] });
+   });
+
+   it("ar trebui sa aplice perioada, valoarea minima si limitele de utilizare", () => {
+      const now = new Date("2026-06-15T12:00:00Z");
+      const summer = coupon({ code: "VARA", type: "fixed", value: 5, startsAt: "2026-06-01", endsAt: "2026-08-31" });
+      expect(evaluateCoupon(summer, { ...context, now }).error).toBeUndefined();
+      expect(evaluateCoupon(summer, { ...context, now: new Date("2026-09-01") }).error).toContain("expirat");
+      expect(evaluateCoupon(summer, { ...context, now: new Date("2026-05-01") }).error).toContain("încă");
+
+      expect(evaluateCoupon(coupon({ code: "MARE", type: "fixed", value: 5, minOrderValue: 200 }), context).error).toContain("200.00");
+      expect(evaluateCoupon(coupon({ code: "UNUL", type: "fixed", value: 5, usageLimit: 1 }), { ...context, totalUsage: 1 }).error).toBeDefined();
+
+      const perCustomer = coupon({ code: "CLIENT", type: "fixed", value: 5, perCustomerLimit: 1 });
+      expect(evaluateCoupon(perCustomer, context).error).toContain("Autentifică-te");
+      expect(evaluateCoupon(perCustomer, { ...context, userId: 7 }).error).toBeUndefined();
+      expect(evaluateCoupon(perCustomer, { ...context, userId: 7, userUsage: 1 }).error).toBeDefined();
+   });
+});
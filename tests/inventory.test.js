@@ -0,0 +1,43 @@
+import { describe, it, expect } from "vitest";
+import { validateReceipt, validateAdjustment, reorderThreshold, isLowStock, lowStockReport, DEFAULT_REORDER_THRESHOLD } from "../utils/inventory.js";
+
+const product = (fields) => ({ id: 1, title: "Carte", category: "React", isActive: true, stock: 5, reservedStock: 0, availableStock: 5, ...fields });
+
+describe("Registru stoc", () => {
+   it("ar trebui sa valideze receptiile si corectiile", () => {
+      expect(validateReceipt({ quantity: 10, supplier: "Furnizor" })).toEqual({
+         errors: null,
+         value: { quantity: 10, supplier: "Furnizor", reference: "", unitCost: null, note: "" },
+      });
+      expect(validateReceipt({ quantity: -1 }).errors).toHaveProperty("quantity");
+
+      expect(validateAdjustment({ quantity: 0, reason: "Inventar" }, 5).errors).toHaveProperty("quantity");
+      expect(validateAdjustment({ quantity: -3 }, 5).errors).toHaveProperty("reason");
+      expect(validateAdjustment({ quantity: -6, reason: "Inventar" }, 5).errors.quantity).toContain("negativ");
+      expect(validateAdjustment({ quantity: -5, reason: "Inventar" }, 5).errors).toBeNull();
+   });
+
+   it("ar trebui sa foloseasca pragul propriu sau pragul implicit", () => {
+      expect(reorderThreshold(product({}))).toBe(DEFAULT_REORDER_THRESHOLD);
+      expect(reorderThreshold(product({ reorderThreshold: 0 }))).toBe(0);
+      expect(isLowStock(product({ stock: 5, availableStock: 5 }))).toBe(true);
+      expect(isLowStock(product({ stock: 5, availableStock: 5, reorderThreshold: 3 }))).toBe(false);
+      expect(isLowStock(product({ stock: 0, availableStock: 0 }))).toBe(false);
+      // rezervările contează: stocul fizic este peste prag, dar cel disponibil nu
+      expect(isLowStock(product({ stock: 50, reservedStock: 45, availableStock: 5 }))).toBe(true);
+   });
+
+   it("raportul ar trebui sa includa produsele active sub prag, dupa stocul disponibil", () => {
+      const report = lowStockReport([
+         product({ id: 1, stock: 12, reservedStock: 4, availableStock: 8 }),
+         product({ id: 2, stock: 0, availableStock: 0, reorderThreshold: 2 }),
+         product({ id: 3, stock: 50, availableStock: 50 }),
+         product({ id: 4, stock: 1, availableStock: 1, isActive: false }),
+      ]);
+
+      expect(report.map((row) => [row.productId, row.shortfall, row.status])).toEqual([
+         [1, 2, "low_stock"],
+         [2, 2, "out_of_stock"],
+      ]);
+   });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from "vitest";
+import { vatBreakdown, discountedLines } from "../utils/vat.js";
+import { validateBilling, buildInvoice, renderInvoicePdf } from "../utils/invoice.js";
+
+const order = {
+   id: 7,
+   customer: { name: "Ion Popescu", email: "ion@test.com" },
+   items: [
+      { productId: 1, title: "Carte", author: "Autor", price: 50, quantity: 2, lineTotal: 100, vatRate: 11 },
+      { productId: 2, title: "Agendă", price: 30, quantity: 1, lineTotal: 30, vatRate: 21 },
+   ],
+   subtotal: 130,
+   discount: { code: "TOT10", amount: 13, productIds: [1, 2] },
+   shipping: { method: "courier", name: "Curier rapid", cost: 19.99, address: { city: "Cluj-Napoca", county: "Cluj" } },
+   billing: { companyName: "Firma SRL", cui: "RO14399840", address: "Str. Lungă 2" },
+   total: 136.99,
+   currency: "RON",
+};
+
+describe("TVA si facturi", () => {
+   it("ar trebui sa extraga TVA-ul din preturile brute, pe cote", () => {
+      expect(vatBreakdown([{ gross: 65.99, rate: 11 }, { gross: 19.99, rate: 21 }])).toEqual({
+         net: 75.97,
+         vat: 10.01,
+         gross: 85.98,
+         rates: [
+            { rate: 21, net: 16.52, vat: 3.47, gross: 19.99 },
+            { rate: 11, net: 59.45, vat: 6.54, gross: 65.99 },
+         ],
+      });
+   });
+
+   it("ar trebui sa imparta reducerea proportional pe liniile eligibile", () => {
+      expect(discountedLines(order.items, { amount: 13, productIds: [1, 2] }).map((line) => line.gross)).toEqual([90, 27]);
+      expect(discountedLines(order.items, { amount: 10, productIds: [2] }).map((line) => line.gross)).toEqual([100, 20]);
+   });
+
+   it("ar trebui sa valideze CUI-ul si datele firmei", () => {
+      expect(validateBilling({ companyName: "Firma SRL", cui: "ro 14399840" })).toMatchObject({ errors: null, value: { cui: "RO14399840" } });
+      expect(validateBilling({ companyName: "Firma SRL", cui: "14399841" }).errors).toHaveProperty("cui");
+      expect(validateBilling({ cui: "14399840" }).errors).toHaveProperty("companyName");
+      expect(validateBilling({}).errors).toBeNull();
+   });
+
+   it("factura ar trebui sa aiba linii de reducere per cota si totalul comenzii", () => {
+      const invoice = buildInvoice(order);
+      expect(invoice.buyer).toMatchObject({ name: "Firma SRL", cui: "RO14399840", address: "Str. Lungă 2" });
+      expect(invoice.lines.filter((line) => line.gross < 0).map((line) => [line.vatRate, line.gross])).toEqual([
+         [11, -10],
+         [21, -3],
+      ]);
+      expect(invoice.vat.gross).toBe(order.total);
+   });
+
+   it("PDF-ul ar trebui sa aiba tabela xref corecta", () => {
+      const pdf = renderInvoicePdf({ ...buildInvoice(order), number: "BKS-000001", issuedAt: "2026-10-19T10:00:00.000Z" }).toString("latin1");
+      expect(pdf).toContain("(Numar: BKS-000001)");
+      expect(pdf).toContain("(Agenda)");
+
+      const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+      expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe("xref");
+      const offsets = pdf.slice(xrefOffset).match(/^\d{10} 00000 n $/gm).map((entry) => Number(entry.slice(0, 10)));
+      offsets.forEach((offset, index) => {
+         expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+      });
+   });
+});
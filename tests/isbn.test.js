@@ -0,0 +1,24 @@
+import { describe, it, expect } from "vitest";
+import { toIsbn13, normalizeIsbn } from "../utils/isbn.js";
+
+describe("ISBN", () => {
+   it("ar trebui sa valideze cifra de control pentru ISBN-13", () => {
+      expect(toIsbn13("978-1617292422")).toBe("9781617292422");
+      expect(toIsbn13("978 1617 292422")).toBe("9781617292422");
+      expect(toIsbn13("978-1617292423")).toBeNull();
+      // prefixul EAN trebuie să fie 978 sau 979
+      expect(toIsbn13("1234567890128")).toBeNull();
+   });
+
+   it("ar trebui sa converteasca ISBN-10 (inclusiv cu X) in ISBN-13", () => {
+      expect(toIsbn13("1-61729-242-7")).toBe("9781617292422");
+      expect(toIsbn13("0-8044-2957-x")).toBe("9780804429573");
+      expect(toIsbn13("1-61729-242-8")).toBeNull();
+   });
+
+   it("ar trebui sa produca forma canonica din catalog", () => {
+      expect(normalizeIsbn("1617292427")).toBe("978-1617292422");
+      expect(normalizeIsbn("")).toBeNull();
+      expect(normalizeIsbn("nu este isbn")).toBeNull();
+   });
+});
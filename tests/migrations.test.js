@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRepository } from "../storage/index.js";
+import { runMigrations, migrationStatus } from "../migrations/index.js";
+
+const legacyProducts = [
+   { id: 1, title: "Seed", tags: [1, "react", "react"], specifications: {}, pages: 256, publisher: "Manning", year: 2016 },
+   { id: 2, title: "Admin", tags: ["node"], specifications: { pages: "200", year: "", publisher: "Editura" } },
+   { id: 3, title: "Canonic", isbn: "978-1617292422", tags: ["mongo"], specifications: { pages: 100, year: 2020 } },
+   { id: 4, title: "ISBN-10", isbn: "1-61729-242-7", tags: [], specifications: {} },
+   { id: 6, title: "MongoDB Applied Design Patterns", isbn: "978-1449340047", tags: [], specifications: {}, rating: 4.2, reviewCount: 76 },
+   { id: 7, title: "Recenzii", tags: [], specifications: {}, rating: 4.7, reviewCount: 156 },
+];
+
+const reviews = [
+   { id: 1, productId: 7, rating: 5, status: "approved" },
+   { id: 2, productId: 7, rating: 4, status: "approved" },
+   { id: 3, productId: 7, rating: 1, status: "hidden" },
+];
+
+describe("Migrari de date", () => {
+   let dir;
+   let repository;
+   const readBooks = () => JSON.parse(fs.readFileSync(path.join(dir, "books.json"), "utf8")).products;
+
+   beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "bookstore-migrations-"));
+      fs.writeFileSync(path.join(dir, "books.json"), JSON.stringify({ products: legacyProducts }));
+      fs.writeFileSync(path.join(dir, "reviews.json"), JSON.stringify({ reviews }));
+      repository = createRepository({ driver: "json", dataDir: dir });
+   });
+
+   afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+   });
+
+   it("dry-run ar trebui sa arate diferentele fara a scrie", async () => {
+      const results = await runMigrations(repository, { dryRun: true });
+
+      expect(results.map((r) => r.id)).toEqual([
+         "001-nest-product-specifications",
+         "002-clean-product-tags",
+         "003-canonical-isbn",
+         "004-fix-seed-isbn",
+         "005-recompute-product-ratings",
+      ]);
+      expect(results[0].changes.map((c) => c.id)).toEqual([1, 2]);
+      expect(results[0].changes[0].diff).toContainEqual({ path: "specifications.pages", before: undefined, after: "256" });
+      expect(results[1].changes.map((c) => c.id)).toEqual([1]);
+      expect(results[2].changes).toEqual([{ id: 4, diff: [{ path: "isbn", before: '"1-61729-242-7"', after: '"978-1617292422"' }] }]);
+      expect(results[3].changes).toEqual([{ id: 6, diff: [{ path: "isbn", before: '"978-1449340047"', after: '"978-1449340049"' }] }]);
+      expect(results[4].changes.map((c) => c.id)).toEqual([6, 7]);
+
+      expect(readBooks()).toEqual(legacyProducts);
+      expect((await migrationStatus(repository)).every((m) => m.appliedAt === null)).toBe(true);
+   });
+
+   it("ar trebui sa rescrie datele in forma canonica o singura data", async () => {
+      await runMigrations(repository);
+
+      const [seed, admin, canonic, isbn10, seedIsbn, reviewed] = readBooks();
+      expect(seed).toEqual({ id: 1, title: "Seed", tags: ["react"], specifications: { pages: 256, publisher: "Manning", year: 2016 } });
+      expect(admin.specifications).toEqual({ pages: 200, year: null, publisher: "Editura" });
+      expect(canonic).toEqual(legacyProducts[2]);
+      expect(isbn10.isbn).toBe("978-1617292422");
+      expect(seedIsbn).toMatchObject({ isbn: "978-1449340049", rating: null, reviewCount: 0 });
+      // doar recenziile aprobate intră în rating
+      expect(reviewed).toMatchObject({ rating: 4.5, reviewCount: 2 });
+
+      expect((await migrationStatus(repository)).every((m) => m.appliedAt !== null)).toBe(true);
+      expect(await runMigrations(repository)).toEqual([]);
+   });
+
+   it("citirile ar trebui sa normalizeze produsele nemigrate", async () => {
+      const product = await repository.products.findById(1);
+      expect(product).toMatchObject({ tags: ["react"], specifications: { pages: 256, publisher: "Manning" } });
+      expect(product).not.toHaveProperty("publisher");
+
+      // colecţia brută rămâne neschimbată pentru migrări
+      expect(await repository.collection("products").findById(1)).toEqual(legacyProducts[0]);
+   });
+});
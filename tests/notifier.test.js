@@ -0,0 +1,29 @@
+import { describe, it, expect, afterAll } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createNotifier } from "../utils/notifier.js";
+
+describe("Notifier", () => {
+   const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bookstore-notifier-"));
+
+   afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+   });
+
+   it("driver-ul file ar trebui sa adauge cate o linie JSON per notificare", async () => {
+      const file = path.join(dir, "notifications.log");
+      const notifier = createNotifier({ driver: "file", file });
+
+      await notifier.send({ id: 1, type: "back_in_stock", userId: 7, message: "Din nou în stoc" });
+      await notifier.send({ id: 2, type: "price_drop", userId: 7, message: "Preţ mai mic" });
+
+      const lines = fs.readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+      expect(lines.map((n) => n.type)).toEqual(["back_in_stock", "price_drop"]);
+      expect(lines[0]).toHaveProperty("deliveredAt");
+   });
+
+   it("ar trebui sa respinga un driver necunoscut", () => {
+      expect(() => createNotifier({ driver: "sms" })).toThrow(/NOTIFIER/);
+   });
+});
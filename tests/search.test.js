@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import { createSearchIndex, foldText, editDistance } from "../utils/search.js";
+
+const products = [
+   { id: 1, title: "Învaţă Node.js", author: "Ion Popescu", description: "Ghid practic", tags: ["nodejs"], isbn: "978-1617292422" },
+   { id: 2, title: "React în practică", author: "Maria Ionescu", description: "Învață React pas cu pas", tags: [1, "react"], specifications: { publisher: "Editura Ştiinţa" } },
+   { id: 3, title: "MongoDB in Action", author: "Kyle Banker", description: "Baze de date NoSQL", tags: ["mongodb"] },
+];
+
+describe("Motor de cautare", () => {
+   const index = createSearchIndex();
+   index.rebuild(products);
+
+   it("ar trebui sa ignore diacriticele, cu sedila sau virgula", () => {
+      expect(foldText("Învaţă")).toBe("invata");
+      expect(foldText("Învață")).toBe("invata");
+      expect(foldText("Ştiinţa")).toBe(foldText("Știința"));
+   });
+
+   it("ar trebui sa gaseasca textul fara diacritice si sa ordoneze dupa relevanta", () => {
+      const results = index.search("invata");
+      expect(results.map((r) => r.id)).toEqual([1, 2]);
+      expect(results[0].highlights.title).toBe("<mark>Învaţă</mark> Node.js");
+   });
+
+   it("ar trebui sa tolereze greseli mici de tastare", () => {
+      expect(editDistance("mongdb", "mongodb", 1)).toBe(1);
+      expect(index.search("mongdb").map((r) => r.id)).toEqual([3]);
+      expect(index.search("raect").map((r) => r.id)).toEqual([2]);
+   });
+
+   it("ar trebui sa caute dupa editura si ISBN", () => {
+      expect(index.search("stiinta").map((r) => r.id)).toEqual([2]);
+      expect(index.search("9781617292422").map((r) => r.id)).toEqual([1]);
+      expect(index.search("1-61729-242-7").map((r) => r.id)).toEqual([1]);
+   });
+
+   it("ar trebui sa reflecte actualizarile indexului", () => {
+      index.upsert({ ...products[2], title: "Cassandra in Action" });
+      expect(index.search("mongodb").map((r) => r.id)).toEqual([3]);
+      expect(index.search("cassandra").map((r) => r.id)).toEqual([3]);
+      index.remove(3);
+      expect(index.search("cassandra")).toHaveLength(0);
+   });
+});
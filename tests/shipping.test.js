@@ -0,0 +1,33 @@
+import { describe, it, expect } from "vitest";
+import { validateShippingMethod, quoteShippingMethod } from "../utils/shipping.js";
+
+const method = (fields) => validateShippingMethod({ code: "test", name: "Test", ...fields }).value;
+const books = (quantity, weight = null) => [{ productId: 1, price: 50, quantity, weight }];
+
+describe("Livrare", () => {
+   it("ar trebui sa creasca costul cu greutatea si numarul de bucati", () => {
+      const byWeight = method({ baseCost: 10, includedWeight: 2000, costPerExtraKg: 2.5 });
+      expect(quoteShippingMethod(byWeight, { items: books(4), merchandiseTotal: 200 }).cost).toBe(10);
+      // 5 x 500 g implicit = 2,5 kg -> un kg suplimentar început
+      expect(quoteShippingMethod(byWeight, { items: books(5), merchandiseTotal: 250 }).cost).toBe(12.5);
+      expect(quoteShippingMethod(byWeight, { items: books(1, 4200), merchandiseTotal: 50 }).cost).toBe(17.5);
+
+      const byItems = method({ baseCost: 12.99, includedItems: 3, costPerExtraItem: 1.5 });
+      expect(quoteShippingMethod(byItems, { items: books(5), merchandiseTotal: 250 }).cost).toBe(15.99);
+   });
+
+   it("ar trebui sa aplice pragul de livrare gratuita si cuponul de livrare gratuita", () => {
+      const courier = method({ baseCost: 19.99, freeShippingThreshold: 250 });
+      expect(quoteShippingMethod(courier, { items: books(1), merchandiseTotal: 200 })).toMatchObject({ cost: 19.99, amountUntilFree: 50 });
+      expect(quoteShippingMethod(courier, { items: books(5), merchandiseTotal: 250 })).toMatchObject({ cost: 0, freeShipping: true });
+      expect(quoteShippingMethod(courier, { items: books(1), merchandiseTotal: 50, freeShipping: true }).cost).toBe(0);
+   });
+
+   it("ar trebui sa limiteze metodele la judete si greutate maxima", () => {
+      const locker = method({ baseCost: 12.99, regions: ["Bucureşti", "Cluj"], maxWeight: 5000 });
+      expect(quoteShippingMethod(locker, { items: books(1), merchandiseTotal: 50 }).available).toBe(false);
+      expect(quoteShippingMethod(locker, { items: books(1), merchandiseTotal: 50, county: "  București " }).available).toBe(true);
+      expect(quoteShippingMethod(locker, { items: books(1), merchandiseTotal: 50, county: "Iaşi" }).reason).toContain("Cluj");
+      expect(quoteShippingMethod(locker, { items: books(11), merchandiseTotal: 550, county: "Cluj" }).reason).toContain("5 kg");
+   });
+});
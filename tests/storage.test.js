@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRepository } from "../storage/index.js";
+
+/**
+ * Acelaşi set de teste pentru fiecare adaptor de stocare
+ * Testele MongoDB rulează doar dacă MONGODB_URI indică un mongod local, ex:
+ *   MONGODB_URI=mongodb://127.0.0.1:27017 npm run test:run
+ */
+const adapterContract = (name, createTestRepository, cleanup) => {
+   describe(`Adaptor ${name}`, () => {
+      let repository;
+
+      beforeAll(async () => {
+         repository = await createTestRepository();
+      });
+
+      afterAll(async () => {
+         await cleanup(repository);
+         await repository.close();
+      });
+
+      it("insert ar trebui sa atribuie ID-uri incrementate", async () => {
+         const first = await repository.collection("items").insert({ title: "Prima", stock: 1, isActive: true });
+         const second = await repository.collection("items").insert({ title: "A doua", stock: 0, isActive: false });
+         expect(second.id).toBe(first.id + 1);
+         expect(await repository.collection("items").nextId()).toBe(second.id + 1);
+      });
+
+      it("insert-urile simultane ar trebui sa primeasca ID-uri distincte", async () => {
+         const docs = await Promise.all(Array.from({ length: 20 }, (_, i) => repository.collection("parallel").insert({ index: i })));
+         expect(new Set(docs.map((doc) => doc.id)).size).toBe(20);
+         expect(await repository.collection("parallel").find()).toHaveLength(20);
+      });
+
+      it("insert ar trebui sa refuze un ID explicit care exista deja", async () => {
+         const doc = await repository.collection("explicit").insert({ id: 7, title: "Original" });
+         await expect(repository.collection("explicit").insert({ id: doc.id, title: "Duplicat" })).rejects.toThrow();
+         expect(await repository.collection("explicit").find()).toEqual([{ id: 7, title: "Original" }]);
+      });
+
+      it("find ar trebui sa filtreze dupa egalitate pe campuri", async () => {
+         const active = await repository.collection("items").find({ isActive: true });
+         expect(active.map((p) => p.title)).toEqual(["Prima"]);
+         expect(active[0]).not.toHaveProperty("_id");
+         expect(await repository.collection("items").findOne({ title: "A doua" })).toMatchObject({ stock: 0 });
+      });
+
+      it("find ar trebui sa filtreze si dupa campuri imbricate", async () => {
+         const orders = repository.collection("nested");
+         await orders.insert({ discount: { couponId: 1 } });
+         await orders.insert({ discount: null });
+         await orders.insert({ discount: { couponId: 2 } });
+         expect(await orders.find({ "discount.couponId": 1 })).toEqual([expect.objectContaining({ discount: { couponId: 1 } })]);
+      });
+
+      it("update si replace ar trebui sa modifice documentul", async () => {
+         const product = await repository.collection("items").findOne({ title: "Prima" });
+         const updated = await repository.collection("items").update(product.id, { stock: 5 });
+         expect(updated).toMatchObject({ id: product.id, title: "Prima", stock: 5 });
+
+         await repository.collection("items").replace(product.id, { title: "Înlocuită" });
+         expect(await repository.collection("items").findById(product.id)).toEqual({ id: product.id, title: "Înlocuită" });
+         expect(await repository.collection("items").update(999999, { stock: 1 })).toBeNull();
+      });
+
+      it("updateIf ar trebui sa modifice documentul doar daca are valorile asteptate", async () => {
+         const reservation = await repository.reservations.insert({ status: "active" });
+         expect(await repository.reservations.updateIf(reservation.id, { status: "active" }, { status: "expired" })).toMatchObject({ status: "expired" });
+         expect(await repository.reservations.updateIf(reservation.id, { status: "active" }, { status: "released" })).toBeNull();
+         expect(await repository.reservations.findById(reservation.id)).toMatchObject({ status: "expired" });
+      });
+
+      it("ar trebui sa suporte ID-uri text si colectii noi", async () => {
+         await repository.carts.replace("guest:abc", { items: [] });
+         expect(await repository.carts.findById("guest:abc")).toEqual({ id: "guest:abc", items: [] });
+         expect(await repository.carts.remove("guest:abc")).toBe(true);
+         expect(await repository.carts.remove("guest:abc")).toBe(false);
+
+         const wishlists = repository.collection("wishlists");
+         await wishlists.insert({ userId: 1 });
+         expect(await wishlists.find({ userId: 1 })).toHaveLength(1);
+      });
+   });
+};
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "bookstore-storage-"));
+
+adapterContract(
+   "JSON",
+   () => createRepository({ driver: "json", dataDir: tempDir }),
+   () => fs.rmSync(tempDir, { recursive: true, force: true })
+);
+
+describe.skipIf(!process.env.MONGODB_URI)("MongoDB", () => {
+   const dbName = `bookstore_test_${Date.now()}`;
+   adapterContract(
+      "MongoDB",
+      () => createRepository({ driver: "mongo", mongoUri: process.env.MONGODB_URI, mongoDb: dbName }),
+      async (repository) => {
+         const { MongoClient } = await import("mongodb");
+         const client = new MongoClient(process.env.MONGODB_URI);
+         await client.db(dbName).dropDatabase();
+         await client.close();
+      }
+   );
+});
+
+describe("Configurare stocare", () => {
+   it("ar trebui sa respinga un driver necunoscut", () => {
+      expect(() => createRepository({ driver: "redis" })).toThrow(/STORAGE_DRIVER/);
+   });
+
+   it("JSON ar trebui sa pastreze formatul fisierelor existente", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bookstore-format-"));
+      const repository = createRepository({ driver: "json", dataDir: dir });
+      await repository.products.insert({ title: "Carte" });
+      await repository.stripeEvents.insert({ id: "evt_1" });
+      expect(JSON.parse(fs.readFileSync(path.join(dir, "books.json"), "utf8"))).toEqual({ products: [{ id: 1, title: "Carte" }] });
+      expect(JSON.parse(fs.readFileSync(path.join(dir, "stripe-events.json"), "utf8"))).toEqual({ events: [{ id: "evt_1" }] });
+      fs.rmSync(dir, { recursive: true, force: true });
+   });
+});
+
+describe("Scrieri JSON", () => {
+   let dir;
+   let repository;
+
+   beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "bookstore-writes-"));
+      repository = createRepository({ driver: "json", dataDir: dir });
+   });
+
+   afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+   });
+
+   it("scrierile simultane nu ar trebui sa piarda actualizari", async () => {
+      await Promise.all(Array.from({ length: 20 }, (_, i) => repository.orders.insert({ index: i })));
+      await Promise.all([repository.carts.replace("user:1", { items: [1] }), repository.carts.replace("user:2", { items: [2] })]);
+
+      const orders = await repository.orders.find();
+      expect(orders).toHaveLength(20);
+      expect(new Set(orders.map((o) => o.id)).size).toBe(20);
+      expect(await repository.carts.find()).toHaveLength(2);
+   });
+
+   it("nu ar trebui sa lase fisiere temporare", () => {
+      expect(fs.readdirSync(dir).filter((file) => file.endsWith(".tmp"))).toEqual([]);
+   });
+
+   it("un fisier corupt ar trebui sa produca eroare, nu o colectie goala", async () => {
+      fs.writeFileSync(path.join(dir, "books.json"), '{"products": [{"id": 1, "tit');
+      await expect(repository.products.find()).rejects.toThrow(/books\.json este corupt/);
+      await expect(repository.products.insert({ title: "Carte" })).rejects.toThrow(/corupt/);
+      // fişierul corupt rămâne neatins pentru recuperare
+      expect(fs.readFileSync(path.join(dir, "books.json"), "utf8")).toBe('{"products": [{"id": 1, "tit');
+
+      fs.writeFileSync(path.join(dir, "books.json"), '{"products": {}}');
+      await expect(repository.products.find()).rejects.toThrow(/trebuie să fie o listă/);
+   });
+});
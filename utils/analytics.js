@@ -0,0 +1,243 @@
+/**
+ * STATISTICI DE VÂNZĂRI
+ * Calcule pe comenzi, produse şi coşuri pentru rapoartele din admin. Toate datele sunt în UTC.
+ * O vânzare este o comandă plătită (paid, shipped, delivered), datată la momentul plăţii;
+ * venitul unei comenzi este totalul ei minus sumele rambursate parţial.
+ */
+
+const GROUP_BY = ["day", "week", "month"];
+
+const SOLD_STATUSES = ["paid", "shipped", "delivered"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Perioada unei date: 2026-10-19 (zi), 2026-W43 (săptămână ISO) sau 2026-10 (lună)
+ * @param {Date} date
+ * @param {string} groupBy "day" | "week" | "month"
+ * @returns {string}
+ */
+const periodKey = (date, groupBy) => {
+   const iso = date.toISOString();
+   if (groupBy === "day") {
+      return iso.slice(0, 10);
+   }
+   if (groupBy === "month") {
+      return iso.slice(0, 7);
+   }
+
+   // săptămâna ISO este cea care conţine joia
+   const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 3 - ((date.getUTCDay() + 6) % 7)));
+   const firstOfYear = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+   const week = Math.floor((thursday - firstOfYear) / DAY_MS / 7) + 1;
+   return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+};
+
+/**
+ * Toate perioadele dintr-un interval, în ordine (inclusiv cele fără vânzări)
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string} groupBy
+ * @returns {Array<string>}
+ */
+const periodsBetween = (from, to, groupBy) => {
+   const periods = [];
+   for (let time = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()); time <= to.getTime(); time += DAY_MS) {
+      const key = periodKey(new Date(time), groupBy);
+      if (periods[periods.length - 1] !== key) {
+         periods.push(key);
+      }
+   }
+   return periods;
+};
+
+/**
+ * Momentul plăţii unei comenzi (din istoricul statusurilor)
+ * @param {Object} order
+ * @returns {Date}
+ */
+const paidAt = (order) => {
+   const entry = (order.statusHistory || []).find((history) => history.status === "paid");
+   return new Date(entry ? entry.at : order.createdAt);
+};
+
+/**
+ * Comenzile plătite în interval
+ * @param {Array} orders
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array}
+ */
+const soldOrders = (orders, from, to) =>
+   orders.filter((order) => {
+      if (!SOLD_STATUSES.includes(order.status)) {
+         return false;
+      }
+      const date = paidAt(order);
+      return date >= from && date <= to;
+   });
+
+/**
+ * @param {Object} order
+ * @returns {number} Venitul comenzii (RON)
+ */
+const orderRevenue = (order) => order.total - (order.refund ? order.refund.amount : 0);
+
+/**
+ * Venit, număr de comenzi şi valoarea medie, total şi pe perioade
+ * @param {Array} orders Comenzile plătite în interval
+ * @param {Object} range { from, to, groupBy }
+ * @returns {{ summary: Object, series: Array }}
+ */
+const salesOverTime = (orders, { from, to, groupBy }) => {
+   const buckets = new Map(periodsBetween(from, to, groupBy).map((period) => [period, { period, revenue: 0, orders: 0 }]));
+   orders.forEach((order) => {
+      const bucket = buckets.get(periodKey(paidAt(order), groupBy));
+      if (bucket) {
+         bucket.revenue += orderRevenue(order);
+         bucket.orders++;
+      }
+   });
+
+   const series = [...buckets.values()].map((bucket) => {
+      const revenue = round2(bucket.revenue);
+      return { ...bucket, revenue, averageOrderValue: bucket.orders > 0 ? round2(revenue / bucket.orders) : 0 };
+   });
+   const revenue = round2(orders.reduce((sum, order) => sum + orderRevenue(order), 0));
+   return {
+      summary: {
+         revenue,
+         orders: orders.length,
+         averageOrderValue: orders.length > 0 ? round2(revenue / orders.length) : 0,
+      },
+      series,
+   };
+};
+
+/**
+ * Bucăţile vândute şi valoarea lor (înainte de reduceri), per produs
+ * @param {Array} orders
+ * @returns {Map<number, { units: number, revenue: number }>}
+ */
+const unitsByProduct = (orders) => {
+   const totals = new Map();
+   orders.forEach((order) =>
+      order.items.forEach((item) => {
+         const current = totals.get(item.productId) || { units: 0, revenue: 0 };
+         totals.set(item.productId, { units: current.units + item.quantity, revenue: current.revenue + item.lineTotal });
+      })
+   );
+   return totals;
+};
+
+/**
+ * Valoarea produselor vândute pe categorii (categoria curentă din catalog)
+ * @param {Array} orders
+ * @param {Array} products
+ * @returns {Array} Sortate descrescător după venit
+ */
+const revenueByCategory = (orders, products) => {
+   const categories = new Map();
+   unitsByProduct(orders).forEach(({ units, revenue }, productId) => {
+      const product = products.find((p) => p.id === productId);
+      const category = product ? product.category : "Produse şterse";
+      const current = categories.get(category) || { category, units: 0, revenue: 0 };
+      categories.set(category, { category, units: current.units + units, revenue: current.revenue + revenue });
+   });
+   return [...categories.values()].map((entry) => ({ ...entry, revenue: round2(entry.revenue) })).sort((a, b) => b.revenue - a.revenue);
+};
+
+/**
+ * Cele mai vândute şi cele mai slab vândute produse active (inclusiv cele fără vânzări)
+ * @param {Array} orders
+ * @param {Array} products
+ * @param {number} limit
+ * @returns {{ ranking: Array, bestSellers: Array, worstSellers: Array }} ranking: toate produsele active, descrescător
+ */
+const productRanking = (orders, products, limit) => {
+   const sales = unitsByProduct(orders);
+   const rows = products
+      .filter((product) => product.isActive)
+      .map((product) => {
+         const sold = sales.get(product.id) || { units: 0, revenue: 0 };
+         return { productId: product.id, title: product.title, category: product.category, units: sold.units, revenue: round2(sold.revenue) };
+      });
+
+   const ranking = rows.sort((a, b) => b.units - a.units || b.revenue - a.revenue);
+   return {
+      ranking,
+      bestSellers: ranking.filter((row) => row.units > 0).slice(0, limit),
+      worstSellers: [...ranking].reverse().slice(0, limit),
+   };
+};
+
+/**
+ * Produsele care riscă să rămână fără stoc, după ritmul vânzărilor recente
+ * @param {Array} recentOrders Comenzile plătite în fereastra recentă
+ * @param {Array} products Produsele, cu availableStock
+ * @param {Object} options { days: lungimea ferestrei, horizonDays: pragul de risc }
+ * @returns {Array} Sortate după zilele de stoc rămase
+ */
+const stockOutRisk = (recentOrders, products, { days, horizonDays }) => {
+   const sales = unitsByProduct(recentOrders);
+   return products
+      .filter((product) => product.isActive && sales.has(product.id))
+      .map((product) => {
+         const dailySales = sales.get(product.id).units / days;
+         return {
+            productId: product.id,
+            title: product.title,
+            availableStock: product.availableStock,
+            unitsSold: sales.get(product.id).units,
+            dailySales: round2(dailySales),
+            daysOfStockLeft: Math.floor(product.availableStock / dailySales),
+         };
+      })
+      .filter((row) => row.daysOfStockLeft <= horizonDays)
+      .sort((a, b) => a.daysOfStockLeft - b.daysOfStockLeft);
+};
+
+/**
+ * Conversia coş -> checkout -> plată. Un coş este activ dacă a fost modificat în interval
+ * sau a pornit un checkout în interval (coşurile plătite sunt golite, dar rămân în comenzi).
+ * @param {Array} carts Coşurile salvate
+ * @param {Array} orders Toate comenzile
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Object}
+ */
+const cartConversion = (carts, orders, from, to) => {
+   const inRange = (value) => {
+      const date = new Date(value);
+      return date >= from && date <= to;
+   };
+   const checkouts = orders.filter((order) => inRange(order.createdAt));
+   const paid = checkouts.filter((order) => SOLD_STATUSES.includes(order.status) || (order.statusHistory || []).some((h) => h.status === "paid"));
+
+   const cartKeys = new Set(carts.filter((cart) => cart.items && cart.items.length > 0 && inRange(cart.lastUpdated)).map((cart) => cart.id));
+   checkouts.forEach((order) => cartKeys.add(order.cartKey || `order:${order.id}`));
+
+   const rate = (part, whole) => (whole > 0 ? round2((part / whole) * 100) : 0);
+   return {
+      carts: cartKeys.size,
+      checkouts: checkouts.length,
+      paidOrders: paid.length,
+      checkoutRate: rate(checkouts.length, cartKeys.size),
+      paymentRate: rate(paid.length, checkouts.length),
+      conversionRate: rate(paid.length, cartKeys.size),
+   };
+};
+
+module.exports = {
+   GROUP_BY,
+   DAY_MS,
+   periodKey,
+   soldOrders,
+   salesOverTime,
+   revenueByCategory,
+   productRanking,
+   stockOutRisk,
+   cartConversion,
+};
@@ -0,0 +1,79 @@
+/**
+ * JURNAL DE AUDIT
+ * Fiecare scriere făcută de un administrator este înregistrată cu autorul, momentul, IP-ul
+ * şi diferenţele pe câmpuri între starea dinainte şi cea de după.
+ * Obiectele imbricate sunt comparate câmp cu câmp (ex. "specifications.year"); listele sunt comparate ca întreg.
+ */
+
+// Entităţile şi acţiunile înregistrate; rutele noi adaugă aici ce scriu
+const AUDIT_ENTITIES = ["product", "coupon", "shippingMethod", "order", "review", "user"];
+
+const AUDIT_ACTIONS = [
+   "create",
+   "update",
+   "deactivate",
+   "delete",
+   "restore",
+   "import_create",
+   "import_update",
+   "stock_receipt",
+   "stock_adjustment",
+   "status_change",
+];
+
+// Câmpuri care se schimbă la orice scriere şi nu spun nimic despre modificare
+const DEFAULT_IGNORED_FIELDS = ["updatedAt"];
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Valorile unui document ca map cale -> valoare (obiectele imbricate sunt aplatizate)
+ * @param {Object} doc
+ * @param {string} [prefix]
+ * @param {Object} [result]
+ * @returns {Object}
+ */
+const flatten = (doc, prefix = "", result = {}) => {
+   Object.entries(doc || {}).forEach(([field, value]) => {
+      if (isPlainObject(value) && Object.keys(value).length > 0) {
+         flatten(value, `${prefix}${field}.`, result);
+      } else {
+         result[prefix + field] = value;
+      }
+   });
+   return result;
+};
+
+/**
+ * Diferenţele pe câmpuri între două stări ale unui document
+ * @param {Object|null} before Starea dinainte (null la creare)
+ * @param {Object|null} after Starea de după (null la ştergere)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.ignore] Câmpuri (căi) ignorate
+ * @returns {Object} Map cale -> { from, to }; un câmp lipsă apare ca null
+ */
+const diffChanges = (before, after, { ignore = DEFAULT_IGNORED_FIELDS } = {}) => {
+   const from = flatten(before);
+   const to = flatten(after);
+   const changes = {};
+
+   new Set([...Object.keys(from), ...Object.keys(to)]).forEach((path) => {
+      if (ignore.some((field) => path === field || path.startsWith(`${field}.`))) {
+         return;
+      }
+      const previous = from[path] === undefined ? null : from[path];
+      const next = to[path] === undefined ? null : to[path];
+      if (JSON.stringify(previous) !== JSON.stringify(next)) {
+         changes[path] = { from: previous, to: next };
+      }
+   });
+
+   return changes;
+};
+
+module.exports = {
+   AUDIT_ENTITIES,
+   AUDIT_ACTIONS,
+   DEFAULT_IGNORED_FIELDS,
+   diffChanges,
+};
@@ -0,0 +1,140 @@
+/**
+ * DISPONIBILITATEA PRODUSELOR
+ * Modul de vânzare al unui produs:
+ * - in_stock: doar din stocul disponibil
+ * - preorder: carte care nu a apărut încă; până la releaseDate toate bucăţile se livrează la apariţie
+ *   (după releaseDate produsul se vinde ca in_stock)
+ * - backorder: stocul disponibil se livrează imediat, restul după reaprovizionare (restockDate)
+ * - discontinued: nu se mai reaprovizionează, se vinde doar stocul rămas
+ * Bucăţile vândute fără stoc (precomenzi şi backorder) sunt "amânate" şi pot fi limitate per produs (backorderLimit).
+ */
+
+const AVAILABILITY_MODES = ["in_stock", "preorder", "backorder", "discontinued"];
+
+/**
+ * Modul de vânzare al unui produs (produsele fără mod sunt in_stock)
+ * @param {Object} product
+ * @returns {string}
+ */
+const availabilityMode = (product) => product.availability || "in_stock";
+
+/**
+ * Precomandă pentru o carte care nu a apărut încă
+ * @param {Object} product
+ * @param {Date} now
+ * @returns {boolean}
+ */
+const isUnreleased = (product, now) => availabilityMode(product) === "preorder" && Boolean(product.releaseDate) && new Date(product.releaseDate) > now;
+
+/**
+ * Data estimată de livrare pentru bucăţile amânate ale unui produs
+ * @param {Object} product
+ * @param {number} available Stocul disponibil
+ * @param {Date} [now]
+ * @returns {string|null} Data ISO sau null dacă produsul se livrează din stoc (sau nu poate fi comandat)
+ */
+const expectedShipDate = (product, available, now = new Date()) => {
+   if (isUnreleased(product, now)) {
+      return product.releaseDate;
+   }
+   return availabilityMode(product) === "backorder" && available === 0 ? product.restockDate || null : null;
+};
+
+/**
+ * Cum poate fi onorată o cantitate dintr-un produs: cât se livrează din stoc şi cât se amână
+ * @param {Object} product
+ * @param {number} quantity Cantitatea dorită (totalul din coş)
+ * @param {Object} stock
+ * @param {number} stock.available Stocul disponibil (fără rezervări)
+ * @param {number} [stock.delayed] Bucăţile amânate deja comandate de alţi clienţi
+ * @param {Date} [stock.now]
+ * @returns {{ ok: boolean, maxQuantity: number, immediateQuantity?: number, delayedQuantity?: number, expectedShipDate?: string|null, message?: string }}
+ */
+const planLine = (product, quantity, { available, delayed = 0, now = new Date() }) => {
+   const mode = availabilityMode(product);
+   const unreleased = isUnreleased(product, now);
+   const canDelay = unreleased || mode === "backorder";
+
+   const immediateCapacity = unreleased ? 0 : available;
+   const limit = Number.isInteger(product.backorderLimit) ? product.backorderLimit : null;
+   const delayCapacity = !canDelay ? 0 : limit === null ? Infinity : Math.max(0, limit - delayed);
+   const maxQuantity = immediateCapacity + delayCapacity;
+
+   if (quantity > maxQuantity) {
+      let message = `Stoc insuficient (disponibil: ${maxQuantity})`;
+      if (mode === "discontinued" && maxQuantity === 0) {
+         message = "Produsul nu mai este comercializat";
+      } else if (canDelay) {
+         message = `${unreleased ? "Limita de precomenzi" : "Limita de comenzi fără stoc"} a fost atinsă (disponibil: ${maxQuantity})`;
+      }
+      return { ok: false, maxQuantity, message };
+   }
+
+   const immediateQuantity = Math.min(immediateCapacity, quantity);
+   const delayedQuantity = quantity - immediateQuantity;
+   return {
+      ok: true,
+      maxQuantity,
+      immediateQuantity,
+      delayedQuantity,
+      expectedShipDate: delayedQuantity > 0 ? (unreleased ? product.releaseDate : product.restockDate || null) : null,
+   };
+};
+
+/**
+ * Liniile care se livrează din stoc (cantitatea fără bucăţile amânate)
+ * @param {Array} items Liniile ({ productId, quantity, delayedQuantity })
+ * @returns {Array} { productId, quantity }
+ */
+const immediateItems = (items) =>
+   items.map((item) => ({ productId: item.productId, quantity: item.quantity - (item.delayedQuantity || 0) })).filter((item) => item.quantity > 0);
+
+/**
+ * Bucăţile amânate ale liniilor
+ * @param {Array} items Liniile ({ productId, delayedQuantity, expectedShipDate })
+ * @returns {Array} { productId, quantity, expectedShipDate }
+ */
+const delayedItems = (items) =>
+   items
+      .filter((item) => item.delayedQuantity > 0)
+      .map((item) => ({ productId: item.productId, quantity: item.delayedQuantity, expectedShipDate: item.expectedShipDate || null }));
+
+/**
+ * Planul de livrare al unei comenzi: o expediere pentru produsele din stoc şi câte una
+ * pentru fiecare dată estimată a produselor amânate. Cu mai multe expedieri livrarea este "split".
+ * @param {Array} items Liniile comenzii
+ * @returns {{ type: string, shipments: Array }} type: "immediate" | "delayed" | "split"
+ */
+const planFulfilment = (items) => {
+   const shipments = [];
+   const ready = immediateItems(items);
+   if (ready.length > 0) {
+      shipments.push({ type: "immediate", expectedShipDate: null, status: "pending", items: ready });
+   }
+
+   const byDate = new Map();
+   delayedItems(items).forEach(({ expectedShipDate: date, ...item }) => {
+      byDate.set(date, [...(byDate.get(date) || []), item]);
+   });
+   [...byDate.entries()]
+      .sort(([a], [b]) => (a === null) - (b === null) || new Date(a) - new Date(b))
+      .forEach(([date, delayed]) => shipments.push({ type: "delayed", expectedShipDate: date, status: "pending", items: delayed }));
+
+   let type = "immediate";
+   if (shipments.length > 1) {
+      type = "split";
+   } else if (ready.length === 0) {
+      type = "delayed";
+   }
+   return { type, shipments };
+};
+
+module.exports = {
+   AVAILABILITY_MODES,
+   availabilityMode,
+   expectedShipDate,
+   planLine,
+   immediateItems,
+   delayedItems,
+   planFulfilment,
+};
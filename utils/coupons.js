@@ -0,0 +1,150 @@
+/**
+ * CUPOANE DE REDUCERE
+ * Schema cupoanelor gestionate din admin şi calculul reducerii pentru un coş.
+ * Sumele se calculează în bani (1 RON = 100 bani) pentru a evita erorile de rotunjire.
+ */
+
+const { validateSchema } = require("./schema");
+
+const COUPON_TYPES = ["percentage", "fixed", "free_shipping"];
+
+/**
+ * Codul se salvează cu majuscule: litere, cifre, "-" şi "_"
+ * @param {string} value
+ * @returns {{ error?: string, value?: string }}
+ */
+const checkCode = (value) => {
+   const code = value.toUpperCase();
+   return /^[A-Z0-9_-]+$/.test(code) ? { value: code } : { error: "Doar litere, cifre, - şi _" };
+};
+
+/**
+ * Câmpurile editabile ale unui cupon (regulile sunt descrise în utils/schema.js)
+ * value: procentul (percentage) sau suma în RON (fixed); ignorat pentru free_shipping
+ * categories / productIds: listele goale înseamnă tot coşul
+ * startsAt / endsAt, usageLimit / perCustomerLimit: null = fără limită
+ */
+const COUPON_SCHEMA = {
+   code: { type: "string", required: true, minLength: 3, maxLength: 32, check: checkCode },
+   description: { type: "string", maxLength: 500, default: "" },
+   type: { type: "string", required: true, oneOf: COUPON_TYPES },
+   value: { type: "number", min: 0, max: 100000, default: 0 },
+   minOrderValue: { type: "number", min: 0, max: 100000, default: 0 },
+   categories: { type: "array", items: { type: "string", minLength: 1, maxLength: 100 }, maxItems: 50, default: [] },
+   productIds: { type: "array", items: { type: "integer", min: 1 }, maxItems: 500, default: [] },
+   startsAt: { type: "date", nullable: true, default: null },
+   endsAt: { type: "date", nullable: true, default: null },
+   usageLimit: { type: "integer", nullable: true, min: 1, default: null },
+   perCustomerLimit: { type: "integer", nullable: true, min: 1, default: null },
+   isActive: { type: "boolean", default: true },
+};
+
+// Câmpuri gestionate de server: ignorate dacă apar în cerere
+const READ_ONLY_FIELDS = ["id", "createdAt", "createdBy", "updatedAt", "usage"];
+
+/**
+ * Validează datele unui cupon
+ * @param {Object} input Corpul cererii
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] true pentru PUT: doar câmpurile trimise sunt validate şi returnate
+ * @param {Object} [options.current] Cuponul existent, pentru regulile care combină câmpuri
+ * @returns {{ errors: Object|null, value: Object }} Erorile per câmp (cale -> mesaj) sau null, şi valorile normalizate
+ */
+const validateCoupon = (input, { partial = false, current = null } = {}) => {
+   const { errors, value } = validateSchema(input, COUPON_SCHEMA, { partial, ignore: READ_ONLY_FIELDS });
+   const merged = { ...(current || {}), ...value };
+
+   if (!errors.type && !errors.value) {
+      if (merged.type === "percentage" && !(merged.value > 0 && merged.value <= 100)) {
+         errors.value = "Procentul trebuie să fie între 0 şi 100";
+      } else if (merged.type === "fixed" && !(merged.value > 0)) {
+         errors.value = "Suma trebuie să fie mai mare decât 0";
+      }
+   }
+   if (!errors.startsAt && !errors.endsAt && merged.startsAt && merged.endsAt && merged.startsAt >= merged.endsAt) {
+      errors[value.endsAt !== undefined ? "endsAt" : "startsAt"] = "Data de sfârşit trebuie să fie după data de început";
+   }
+
+   return { errors: Object.keys(errors).length > 0 ? errors : null, value };
+};
+
+/**
+ * Verifică dacă o linie din coş intră sub reducere
+ * @param {Object} coupon
+ * @param {Object} item Linie cu productId şi category
+ * @returns {boolean}
+ */
+const isEligibleItem = (coupon, item) => {
+   const categories = coupon.categories || [];
+   const productIds = coupon.productIds || [];
+   if (categories.length === 0 && productIds.length === 0) {
+      return true;
+   }
+   return categories.includes(item.category) || productIds.includes(item.productId);
+};
+
+/**
+ * Calculează reducerea unui cupon pentru un coş
+ * @param {Object} coupon Cuponul salvat
+ * @param {Object} context
+ * @param {Array} context.items Liniile coşului ({ productId, category, price, quantity })
+ * @param {number|null} context.userId Clientul autentificat (necesar pentru limita per client)
+ * @param {number} context.totalUsage De câte ori a fost folosit cuponul
+ * @param {number} context.userUsage De câte ori l-a folosit clientul
+ * @param {Date} [context.now]
+ * @returns {{ error: string } | { discount: number, freeShipping: boolean, productIds: Array }} Motivul respingerii
+ * sau reducerea în RON, cu produsele din coş la care se aplică
+ */
+const evaluateCoupon = (coupon, { items, userId, totalUsage, userUsage, now = new Date() }) => {
+   if (!coupon.isActive) {
+      return { error: "Cuponul nu este activ" };
+   }
+   if (coupon.startsAt && now < new Date(coupon.startsAt)) {
+      return { error: "Cuponul nu este încă valabil" };
+   }
+   if (coupon.endsAt && now > new Date(coupon.endsAt)) {
+      return { error: "Cuponul a expirat" };
+   }
+   if (coupon.usageLimit !== null && coupon.usageLimit !== undefined && totalUsage >= coupon.usageLimit) {
+      return { error: "Cuponul a atins numărul maxim de utilizări" };
+   }
+   if (coupon.perCustomerLimit !== null && coupon.perCustomerLimit !== undefined) {
+      if (!userId) {
+         return { error: "Autentifică-te pentru a folosi acest cupon" };
+      }
+      if (userUsage >= coupon.perCustomerLimit) {
+         return { error: "Ai folosit deja acest cupon de numărul maxim de ori" };
+      }
+   }
+
+   const lineBani = (item) => Math.round(item.price * 100) * item.quantity;
+   const subtotalBani = items.reduce((sum, item) => sum + lineBani(item), 0);
+   if (subtotalBani < Math.round((coupon.minOrderValue || 0) * 100)) {
+      return { error: `Valoarea minimă a comenzii pentru acest cupon este ${coupon.minOrderValue.toFixed(2)} RON` };
+   }
+
+   const eligible = items.filter((item) => isEligibleItem(coupon, item));
+   if (eligible.length === 0) {
+      return { error: "Cuponul nu se aplică produselor din coş" };
+   }
+   const eligibleBani = eligible.reduce((sum, item) => sum + lineBani(item), 0);
+   const productIds = eligible.map((item) => item.productId);
+
+   switch (coupon.type) {
+      case "percentage":
+         return { discount: Math.round((eligibleBani * coupon.value) / 100) / 100, freeShipping: false, productIds };
+      case "fixed":
+         return { discount: Math.min(Math.round(coupon.value * 100), eligibleBani) / 100, freeShipping: false, productIds };
+      case "free_shipping":
+         return { discount: 0, freeShipping: true, productIds };
+      default:
+         return { error: "Tip de cupon necunoscut" };
+   }
+};
+
+module.exports = {
+   COUPON_TYPES,
+   COUPON_SCHEMA,
+   validateCoupon,
+   evaluateCoupon,
+};
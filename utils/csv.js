@@ -0,0 +1,118 @@
+/**
+ * CITIRE ŞI SCRIERE CSV (RFC 4180)
+ * - câmpuri între ghilimele, cu ghilimele dublate ("") şi rânduri noi în interior
+ * - separatorul se detectează din antet: virgulă sau punct şi virgulă (Excel în setări româneşti)
+ */
+
+/**
+ * Alege separatorul după prima linie
+ * @param {string} text
+ * @returns {string}
+ */
+const detectDelimiter = (text) => {
+   const firstLine = text.slice(0, text.search(/\r?\n|$/));
+   return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+};
+
+/**
+ * Împarte textul CSV în rânduri de celule
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {Array<Array<string>>}
+ */
+const parseRows = (text, delimiter) => {
+   const rows = [];
+   let row = [];
+   let cell = "";
+   let quoted = false;
+
+   for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+         if (char === '"' && text[i + 1] === '"') {
+            cell += '"';
+            i++;
+         } else if (char === '"') {
+            quoted = false;
+         } else {
+            cell += char;
+         }
+      } else if (char === '"' && cell === "") {
+         quoted = true;
+      } else if (char === delimiter) {
+         row.push(cell);
+         cell = "";
+      } else if (char === "\n" || char === "\r") {
+         if (char === "\r" && text[i + 1] === "\n") {
+            i++;
+         }
+         row.push(cell);
+         rows.push(row);
+         row = [];
+         cell = "";
+      } else {
+         cell += char;
+      }
+   }
+
+   if (quoted) {
+      throw new Error("CSV invalid: ghilimele neînchise");
+   }
+   if (cell !== "" || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+   }
+
+   // rândurile complet goale (ex. linia finală) nu sunt date
+   return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+/**
+ * Transformă un text CSV cu antet în obiecte (antet -> valoare)
+ * @param {string} text
+ * @returns {Array<Object>} Un obiect per rând de date
+ */
+const parseCsv = (text) => {
+   const content = text.replace(/^\uFEFF/, "");
+   const [header, ...rows] = parseRows(content, detectDelimiter(content));
+   if (!header) {
+      return [];
+   }
+
+   const columns = header.map((name) => name.trim());
+   return rows.map((cells) => {
+      const record = {};
+      columns.forEach((column, index) => {
+         if (column) {
+            record[column] = cells[index] !== undefined ? cells[index] : "";
+         }
+      });
+      return record;
+   });
+};
+
+/**
+ * Serializează o celulă, cu ghilimele doar când este nevoie
+ * @param {*} value
+ * @returns {string}
+ */
+const formatCell = (value) => {
+   if (value === null || value === undefined) {
+      return "";
+   }
+   const text = String(value);
+   return /[",;\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializează un rând CSV (cu terminator de linie)
+ * @param {Array} values
+ * @returns {string}
+ */
+const formatCsvRow = (values) => values.map(formatCell).join(",") + "\r\n";
+
+module.exports = {
+   parseCsv,
+   formatCsvRow,
+};
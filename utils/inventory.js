@@ -0,0 +1,109 @@
+/**
+ * REGISTRUL DE STOC
+ * Fiecare modificare a stocului unui produs este o mişcare adăugată în registru (nu se modifică şi nu se şterge):
+ * - receipt: recepţie de la furnizor
+ * - sale / return: vânzare plătită, respectiv produse readuse în stoc (anulare, rambursare)
+ * - adjustment: corecţie manuală, cu motiv (inventar, produse deteriorate, editarea produsului)
+ * - reservation / reservation_release: stoc blocat pentru o plată în curs, respectiv eliberat;
+ *   acestea schimbă doar stocul disponibil, stocul fizic rămâne acelaşi
+ * quantity este cu semn: pozitiv măreşte stocul (fizic sau disponibil), negativ îl scade.
+ */
+
+const { validateSchema } = require("./schema");
+
+const MOVEMENT_TYPES = ["receipt", "sale", "return", "adjustment", "reservation", "reservation_release"];
+
+// Pragul de reaprovizionare pentru produsele fără prag propriu
+const DEFAULT_REORDER_THRESHOLD = 10;
+
+/**
+ * Recepţia unei livrări de la furnizor
+ * reference: numărul facturii sau al avizului; unitCost: preţul de achiziţie (RON)
+ */
+const RECEIPT_SCHEMA = {
+   quantity: { type: "integer", required: true, min: 1, max: 1000000 },
+   supplier: { type: "string", maxLength: 200, default: "" },
+   reference: { type: "string", maxLength: 100, default: "" },
+   unitCost: { type: "number", nullable: true, min: 0, max: 100000, default: null },
+   note: { type: "string", maxLength: 500, default: "" },
+};
+
+/**
+ * Corecţia manuală: diferenţa faţă de stocul curent şi motivul ei
+ */
+const ADJUSTMENT_SCHEMA = {
+   quantity: { type: "integer", required: true, min: -1000000, max: 1000000 },
+   reason: { type: "string", required: true, minLength: 3, maxLength: 500 },
+};
+
+/**
+ * Validează o recepţie
+ * @param {Object} input Corpul cererii
+ * @returns {{ errors: Object|null, value: Object }}
+ */
+const validateReceipt = (input) => {
+   const { errors, value } = validateSchema(input, RECEIPT_SCHEMA);
+   return { errors: Object.keys(errors).length > 0 ? errors : null, value };
+};
+
+/**
+ * Validează o corecţie manuală; diferenţa nu poate fi 0, iar stocul rezultat nu poate fi negativ
+ * @param {Object} input Corpul cererii
+ * @param {number} currentStock Stocul fizic curent
+ * @returns {{ errors: Object|null, value: Object }}
+ */
+const validateAdjustment = (input, currentStock) => {
+   const { errors, value } = validateSchema(input, ADJUSTMENT_SCHEMA);
+   if (!errors.quantity && value.quantity === 0) {
+      errors.quantity = "Corecţia trebuie să modifice stocul";
+   } else if (!errors.quantity && currentStock + value.quantity < 0) {
+      errors.quantity = `Stocul nu poate deveni negativ (stoc curent: ${currentStock})`;
+   }
+   return { errors: Object.keys(errors).length > 0 ? errors : null, value };
+};
+
+/**
+ * Pragul de reaprovizionare al unui produs
+ * @param {Object} product
+ * @returns {number}
+ */
+const reorderThreshold = (product) => (Number.isInteger(product.reorderThreshold) ? product.reorderThreshold : DEFAULT_REORDER_THRESHOLD);
+
+/**
+ * Stoc scăzut: mai există bucăţi disponibile (fără rezervări), dar sub pragul de reaprovizionare.
+ * Aceeaşi definiţie ca în raportul de reaprovizionare.
+ * @param {Object} product Produsul, cu availableStock
+ * @returns {boolean}
+ */
+const isLowStock = (product) => product.availableStock > 0 && product.availableStock < reorderThreshold(product);
+
+/**
+ * Produsele active care trebuie reaprovizionate: stocul disponibil este sub prag (inclusiv epuizate)
+ * @param {Array} products Produsele, cu reservedStock şi availableStock
+ * @returns {Array} Sortate după lipsa faţă de prag, descrescător
+ */
+const lowStockReport = (products) =>
+   products
+      .filter((product) => product.isActive && product.availableStock < reorderThreshold(product))
+      .map((product) => ({
+         productId: product.id,
+         title: product.title,
+         category: product.category,
+         stock: product.stock,
+         reservedStock: product.reservedStock,
+         availableStock: product.availableStock,
+         reorderThreshold: reorderThreshold(product),
+         shortfall: reorderThreshold(product) - product.availableStock,
+         status: isLowStock(product) ? "low_stock" : "out_of_stock",
+      }))
+      .sort((a, b) => b.shortfall - a.shortfall || a.productId - b.productId);
+
+module.exports = {
+   MOVEMENT_TYPES,
+   DEFAULT_REORDER_THRESHOLD,
+   validateReceipt,
+   validateAdjustment,
+   reorderThreshold,
+   isLowStock,
+   lowStockReport,
+};
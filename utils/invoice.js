@@ -0,0 +1,225 @@
+/**
+ * FACTURI
+ * Datele de facturare ale clientului (persoană fizică sau firmă cu CUI), construirea facturii
+ * dintr-o comandă plătită şi generarea PDF-ului (offline, prin utils/pdf.js).
+ * Factura este salvată la emitere; PDF-ul se generează din datele salvate, deci nu se schimbă ulterior.
+ */
+
+const { validateSchema } = require("./schema");
+const { createPdf } = require("./pdf");
+const { VAT_RATES, vatRateForCategory, vatBreakdown, discountedLines } = require("./vat");
+
+// Cheia de control pentru CUI (cod unic de înregistrare)
+const CUI_CONTROL_KEY = "753217532";
+
+/**
+ * CUI valid (cu sau fără prefixul RO), salvat fără spaţii, cu majuscule
+ * @param {string} value
+ * @returns {{ error?: string, value?: string }}
+ */
+const checkCui = (value) => {
+   const cui = value.replace(/\s/g, "").toUpperCase();
+   const digits = cui.replace(/^RO/, "");
+   if (!/^\d{2,10}$/.test(digits)) {
+      return { error: "CUI invalid (2-10 cifre, opţional cu prefixul RO)" };
+   }
+
+   const body = digits.slice(0, -1).padStart(9, "0");
+   const sum = [...body].reduce((total, digit, index) => total + Number(digit) * Number(CUI_CONTROL_KEY[index]), 0);
+   const control = ((sum * 10) % 11) % 10;
+   return control === Number(digits.slice(-1)) ? { value: cui } : { error: "CUI invalid (cifra de control nu corespunde)" };
+};
+
+/**
+ * Datele de facturare trimise la checkout (toate opţionale pentru persoane fizice)
+ */
+const BILLING_SCHEMA = {
+   companyName: { type: "string", maxLength: 200, default: "" },
+   cui: { type: "string", maxLength: 20, check: (value) => (value === "" ? { value } : checkCui(value)), default: "" },
+   registrationNumber: { type: "string", maxLength: 50, default: "" },
+   address: { type: "string", maxLength: 300, default: "" },
+   city: { type: "string", maxLength: 100, default: "" },
+   county: { type: "string", maxLength: 100, default: "" },
+};
+
+/**
+ * Validează datele de facturare; o firmă trebuie să aibă atât denumire cât şi CUI
+ * @param {Object} input
+ * @returns {{ errors: Object|null, value: Object }}
+ */
+const validateBilling = (input) => {
+   const { errors, value } = validateSchema(input, BILLING_SCHEMA);
+   if (!errors.cui && !errors.companyName) {
+      if (value.cui && !value.companyName) {
+         errors.companyName = "Denumirea firmei este obligatorie când se completează CUI-ul";
+      } else if (value.companyName && !value.cui) {
+         errors.cui = "CUI-ul este obligatoriu pentru facturarea pe firmă";
+      }
+   }
+   return { errors: Object.keys(errors).length > 0 ? errors : null, value };
+};
+
+/**
+ * Datele furnizorului (din variabilele de mediu, cu valori implicite)
+ * @returns {Object}
+ */
+const sellerDetails = () => ({
+   name: process.env.INVOICE_SELLER_NAME || "BookStore SRL",
+   cui: process.env.INVOICE_SELLER_CUI || "RO18547290",
+   registrationNumber: process.env.INVOICE_SELLER_REG || "J40/1234/2020",
+   address: process.env.INVOICE_SELLER_ADDRESS || "Str. Cărţilor nr. 1, Bucureşti",
+   iban: process.env.INVOICE_SELLER_IBAN || "",
+});
+
+/**
+ * Seria facturilor
+ * @returns {string}
+ */
+const invoiceSeries = () => process.env.INVOICE_SERIES || "BKS";
+
+/**
+ * Numărul facturii: seria urmată de numărul de ordine pe 6 cifre (ex. BKS-000042)
+ * @param {number} sequence
+ * @returns {string}
+ */
+const formatInvoiceNumber = (sequence) => `${invoiceSeries()}-${String(sequence).padStart(6, "0")}`;
+
+/**
+ * Construieşte factura unei comenzi plătite (fără număr; numărul se atribuie la salvare)
+ * @param {Object} order Comanda
+ * @returns {Object}
+ */
+const buildInvoice = (order) => {
+   const rateOf = (item) => (item.vatRate !== undefined ? item.vatRate : vatRateForCategory(item.category));
+   const lines = order.items.map((item) => ({
+      description: `${item.title}${item.author ? ` - ${item.author}` : ""}`,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      gross: item.lineTotal,
+      vatRate: rateOf(item),
+   }));
+
+   // reducerea apare pe câte o linie negativă pentru fiecare cotă de TVA
+   const discount = order.discount;
+   if (discount && discount.amount > 0) {
+      const discounted = discountedLines(
+         order.items.map((item) => ({ ...item, vatRate: rateOf(item) })),
+         discount
+      );
+      const byRate = new Map();
+      order.items.forEach((item, index) => {
+         const amount = Math.round((item.lineTotal - discounted[index].gross) * 100);
+         byRate.set(rateOf(item), (byRate.get(rateOf(item)) || 0) + amount);
+      });
+      byRate.forEach((amount, rate) => {
+         if (amount > 0) {
+            lines.push({ description: `Reducere cupon ${discount.code}`, quantity: 1, unitPrice: -amount / 100, gross: -amount / 100, vatRate: rate });
+         }
+      });
+   }
+
+   if (order.shipping && order.shipping.cost > 0) {
+      const cost = order.shipping.cost;
+      lines.push({ description: `Transport (${order.shipping.name || order.shipping.method})`, quantity: 1, unitPrice: cost, gross: cost, vatRate: VAT_RATES.standard });
+   }
+
+   // adresa de facturare; dacă lipseşte, adresa de livrare
+   const billing = order.billing || {};
+   const customer = order.customer || {};
+   const shippingAddress = (order.shipping && order.shipping.address) || {};
+   const billingAddress = [billing.address, billing.city, billing.county].filter(Boolean).join(", ");
+   const deliveryAddress = [shippingAddress.address, shippingAddress.city, shippingAddress.county].filter(Boolean).join(", ");
+
+   return {
+      orderId: order.id,
+      currency: order.currency || "RON",
+      seller: sellerDetails(),
+      buyer: {
+         name: billing.companyName || customer.name || "",
+         email: customer.email || "",
+         cui: billing.cui || "",
+         registrationNumber: billing.registrationNumber || "",
+         address: billingAddress || deliveryAddress,
+      },
+      lines,
+      vat: vatBreakdown(lines.map((line) => ({ gross: line.gross, rate: line.vatRate }))),
+      total: order.total,
+   };
+};
+
+/**
+ * Generează PDF-ul unei facturi salvate
+ * @param {Object} invoice
+ * @returns {Buffer}
+ */
+const renderInvoicePdf = (invoice) => {
+   const pdf = createPdf();
+   const money = (value) => value.toFixed(2);
+   const right = { align: "right" };
+
+   pdf.text(50, 60, "FACTURA FISCALA", { size: 18, bold: true });
+   pdf.text(50, 80, `Numar: ${invoice.number}`);
+   pdf.text(50, 94, `Data emiterii: ${invoice.issuedAt.slice(0, 10)}`);
+   pdf.text(50, 108, `Comanda: #${invoice.orderId}`);
+
+   const party = (x, title, details) => {
+      pdf.text(x, 140, title, { bold: true });
+      details.filter(Boolean).forEach((row, index) => pdf.text(x, 156 + index * 13, row, { size: 9 }));
+   };
+   const { seller, buyer } = invoice;
+   party(50, "Furnizor", [seller.name, `CUI: ${seller.cui}`, `Reg. Com.: ${seller.registrationNumber}`, seller.address, seller.iban && `IBAN: ${seller.iban}`]);
+   party(320, "Cumparator", [buyer.name, buyer.cui && `CUI: ${buyer.cui}`, buyer.registrationNumber && `Reg. Com.: ${buyer.registrationNumber}`, buyer.address, buyer.email]);
+
+   const header = (y) => {
+      pdf.text(50, y, "Nr.", { size: 9, bold: true });
+      pdf.text(75, y, "Denumire", { size: 9, bold: true });
+      pdf.text(370, y, "Cant.", { size: 9, bold: true, ...right });
+      pdf.text(440, y, "Pret unitar", { size: 9, bold: true, ...right });
+      pdf.text(485, y, "TVA", { size: 9, bold: true, ...right });
+      pdf.text(545, y, "Valoare", { size: 9, bold: true, ...right });
+      pdf.line(50, y + 5, 545, y + 5);
+      return y + 20;
+   };
+
+   let y = header(250);
+   invoice.lines.forEach((line, index) => {
+      if (y > 760) {
+         pdf.addPage();
+         y = header(60);
+      }
+      pdf.text(50, y, index + 1, { size: 9 });
+      pdf.text(75, y, line.description.length > 55 ? `${line.description.slice(0, 52)}...` : line.description, { size: 9 });
+      pdf.text(370, y, line.quantity, { size: 9, ...right });
+      pdf.text(440, y, money(line.unitPrice), { size: 9, ...right });
+      pdf.text(485, y, `${line.vatRate}%`, { size: 9, ...right });
+      pdf.text(545, y, money(line.gross), { size: 9, ...right });
+      y += 15;
+   });
+
+   if (y > 700) {
+      pdf.addPage();
+      y = 60;
+   }
+   pdf.line(50, y - 5, 545, y - 5);
+   y += 10;
+   invoice.vat.rates.forEach((group) => {
+      pdf.text(545, y, `Baza TVA ${group.rate}%: ${money(group.net)}   TVA: ${money(group.vat)}`, { size: 9, ...right });
+      y += 13;
+   });
+   y += 5;
+   pdf.text(440, y, "Total fara TVA:", right);
+   pdf.text(545, y, `${money(invoice.vat.net)} ${invoice.currency}`, right);
+   pdf.text(440, y + 14, "Total TVA:", right);
+   pdf.text(545, y + 14, `${money(invoice.vat.vat)} ${invoice.currency}`, right);
+   pdf.text(440, y + 32, "Total de plata:", { bold: true, ...right });
+   pdf.text(545, y + 32, `${money(invoice.total)} ${invoice.currency}`, { bold: true, ...right });
+
+   return pdf.toBuffer();
+};
+
+module.exports = {
+   validateBilling,
+   formatInvoiceNumber,
+   buildInvoice,
+   renderInvoicePdf,
+};
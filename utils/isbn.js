@@ -0,0 +1,73 @@
+/**
+ * ISBN: VALIDARE ŞI NORMALIZARE
+ * Acceptă ISBN-10 şi ISBN-13, cu sau fără cratime/spaţii, şi verifică cifra de control.
+ * Forma canonică din catalog este ISBN-13 cu prefixul EAN separat: 978-1617292422.
+ */
+
+/**
+ * ISBN-ul fără cratime şi spaţii (X final în majusculă)
+ * @param {string} text
+ * @returns {string}
+ */
+const compactIsbn = (text) => String(text || "").replace(/[\s-]/g, "").toUpperCase();
+
+/**
+ * Cifra de control ISBN-13 pentru primele 12 cifre
+ * @param {string} digits
+ * @returns {number}
+ */
+const isbn13CheckDigit = (digits) => {
+   const sum = [...digits.slice(0, 12)].reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+   return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * @param {string} digits ISBN compact
+ * @returns {boolean}
+ */
+const isValidIsbn10 = (digits) => {
+   if (!/^\d{9}[\dX]$/.test(digits)) {
+      return false;
+   }
+   const sum = [...digits].reduce((total, char, index) => total + (char === "X" ? 10 : Number(char)) * (10 - index), 0);
+   return sum % 11 === 0;
+};
+
+/**
+ * @param {string} digits ISBN compact
+ * @returns {boolean}
+ */
+const isValidIsbn13 = (digits) => /^97[89]\d{10}$/.test(digits) && isbn13CheckDigit(digits) === Number(digits[12]);
+
+/**
+ * Converteşte un ISBN valid (10 sau 13) în cele 13 cifre ale ISBN-13
+ * @param {string} text
+ * @returns {string|null} null dacă ISBN-ul nu este valid
+ */
+const toIsbn13 = (text) => {
+   const digits = compactIsbn(text);
+   if (digits.length === 10 && isValidIsbn10(digits)) {
+      const base = "978" + digits.slice(0, 9);
+      return base + isbn13CheckDigit(base);
+   }
+   if (digits.length === 13 && isValidIsbn13(digits)) {
+      return digits;
+   }
+   return null;
+};
+
+/**
+ * Forma canonică a unui ISBN (ex. "1-61729-242-7" -> "978-1617292422")
+ * @param {string} text
+ * @returns {string|null} null dacă ISBN-ul nu este valid
+ */
+const normalizeIsbn = (text) => {
+   const isbn13 = toIsbn13(text);
+   return isbn13 ? `${isbn13.slice(0, 3)}-${isbn13.slice(3)}` : null;
+};
+
+module.exports = {
+   compactIsbn,
+   toIsbn13,
+   normalizeIsbn,
+};
@@ -0,0 +1,44 @@
+/**
+ * TRIMITEREA NOTIFICĂRILOR CĂTRE CLIENŢI
+ * Destinaţia se alege din configurare (NOTIFIER):
+ * - console (implicit): afişează notificarea în log
+ * - file: adaugă notificarea ca linie JSON în NOTIFIER_FILE (util în teste şi pentru un proces extern de email)
+ * Un notifier nou (email, SMS) trebuie doar să expună send(notification) asincron.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Creează notifier-ul configurat
+ * @param {Object} [config] Suprascrie variabilele de mediu
+ * @param {string} [config.driver] "console" sau "file"
+ * @param {string} [config.file] Fişierul pentru driver-ul "file"
+ * @returns {{ driver: string, send: Function }}
+ */
+const createNotifier = (config = {}) => {
+   const driver = config.driver || process.env.NOTIFIER || "console";
+
+   if (driver === "console") {
+      return {
+         driver,
+         send: async (notification) => {
+            console.log(`[notificare] ${notification.type} -> ${notification.email || `utilizator ${notification.userId}`}: ${notification.message}`);
+         },
+      };
+   }
+
+   if (driver === "file") {
+      const file = config.file || process.env.NOTIFIER_FILE || path.join(__dirname, "..", "data", "notifications.log");
+      return {
+         driver,
+         send: async (notification) => {
+            await fs.promises.appendFile(file, JSON.stringify({ ...notification, deliveredAt: new Date().toISOString() }) + "\n");
+         },
+      };
+   }
+
+   throw new Error(`NOTIFIER necunoscut: ${driver}`);
+};
+
+module.exports = { createNotifier };
@@ -0,0 +1,121 @@
+/**
+ * GENERARE PDF (FĂRĂ DEPENDENŢE)
+ * Documente simple cu text şi linii, pe pagini A4, folosind fonturile standard Helvetica
+ * (disponibile în orice cititor PDF, fără fonturi încorporate sau acces la reţea).
+ * Fonturile standard nu au ă, ş, ţ: diacriticele se scriu fără semne (ex. "Bucureşti" -> "Bucuresti").
+ */
+
+// A4 în puncte (1/72 inch)
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// Lăţimile caracterelor Helvetica 32-126 (unităţi la 1000), pentru alinierea la dreapta
+const HELVETICA_WIDTHS = [
+   278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667,
+   667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500,
+   556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+/**
+ * Textul în caractere ASCII afişabile: fără diacritice, ghilimelele româneşti devin ", restul devine "?"
+ * @param {*} value
+ * @returns {string}
+ */
+const toPdfText = (value) =>
+   String(value === null || value === undefined ? "" : value)
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[\u201c\u201d\u201e]/g, '"')
+      .replace(/[\u2018\u2019]/g, "'")
+      .replace(/[\u2013\u2014]/g, "-")
+      .replace(/[^\x20-\x7e]/g, "?");
+
+/**
+ * Lăţimea aproximativă a unui text (bold este estimat cu lăţimile normale)
+ * @param {string} text Text deja convertit cu toPdfText
+ * @param {number} size Mărimea fontului
+ * @returns {number} Puncte
+ */
+const textWidth = (text, size) => ([...text].reduce((sum, char) => sum + HELVETICA_WIDTHS[char.charCodeAt(0) - 32], 0) * size) / 1000;
+
+/**
+ * Escapează un text pentru un şir PDF (...)
+ * @param {string} text
+ * @returns {string}
+ */
+const escapePdfString = (text) => text.replace(/[\\()]/g, (char) => `\\${char}`);
+
+/**
+ * Creează un document PDF. Coordonatele pornesc din colţul stânga-sus al paginii.
+ * @returns {Object} { text, line, addPage, toBuffer, width, height }
+ */
+const createPdf = () => {
+   const pages = [[]];
+   const current = () => pages[pages.length - 1];
+
+   return {
+      width: PAGE_WIDTH,
+      height: PAGE_HEIGHT,
+
+      /**
+       * @param {number} x
+       * @param {number} y Linia de bază a textului
+       * @param {*} value
+       * @param {Object} [options] { size = 10, bold = false, align: "left" | "right" }
+       */
+      text(x, y, value, { size = 10, bold = false, align = "left" } = {}) {
+         const text = toPdfText(value);
+         const left = align === "right" ? x - textWidth(text, size) : x;
+         current().push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${left.toFixed(2)} ${(PAGE_HEIGHT - y).toFixed(2)} Td (${escapePdfString(text)}) Tj ET`);
+      },
+
+      line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+         current().push(`${width} w ${x1} ${PAGE_HEIGHT - y1} m ${x2} ${PAGE_HEIGHT - y2} l S`);
+      },
+
+      addPage() {
+         pages.push([]);
+      },
+
+      /**
+       * Serializează documentul (PDF 1.4, fără compresie)
+       * @returns {Buffer}
+       */
+      toBuffer() {
+         // 1 catalog, 2 lista de pagini, 3-4 fonturi, apoi câte o pagină şi conţinutul ei
+         const objects = [];
+         const pageIds = pages.map((_, index) => 5 + index * 2);
+         objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+         objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+         objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+         objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+         pages.forEach((commands, index) => {
+            const content = commands.join("\n");
+            objects[pageIds[index]] =
+               `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+               `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+            objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`;
+         });
+
+         let output = "%PDF-1.4\n";
+         const offsets = [];
+         for (let id = 1; id < objects.length; id++) {
+            offsets[id] = Buffer.byteLength(output, "latin1");
+            output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+         }
+
+         const xrefOffset = Buffer.byteLength(output, "latin1");
+         output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+         for (let id = 1; id < objects.length; id++) {
+            output += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+         }
+         output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+         return Buffer.from(output, "latin1");
+      },
+   };
+};
+
+module.exports = {
+   createPdf,
+   toPdfText,
+};
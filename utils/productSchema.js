@@ -0,0 +1,312 @@
+/**
+ * SCHEMA PRODUSULUI
+ * Sursa unică pentru câmpurile acceptate la crearea (POST) şi actualizarea (PUT) unui produs:
+ * tipuri, valori permise şi valori implicite. Validarea returnează erori per câmp.
+ */
+
+const { normalizeIsbn } = require("./isbn");
+const { hasType, validateSchema } = require("./schema");
+const { AVAILABILITY_MODES } = require("./availability");
+
+const CURRENT_YEAR = new Date().getFullYear();
+
+/**
+ * ISBN-10 sau ISBN-13 valid, salvat în forma canonică ISBN-13 ("" = fără ISBN)
+ * @param {string} value
+ * @returns {{ error?: string, value?: string }}
+ */
+const checkIsbn = (value) => {
+   if (value === "") {
+      return { value };
+   }
+   const isbn = normalizeIsbn(value);
+   return isbn ? { value: isbn } : { error: "ISBN invalid (ISBN-10 sau ISBN-13 cu cifra de control corectă)" };
+};
+
+/**
+ * Câmpurile editabile ale unui produs (regulile sunt descrise în utils/schema.js)
+ */
+const PRODUCT_SCHEMA = {
+   title: { type: "string", required: true, minLength: 1, maxLength: 300 },
+   author: { type: "string", required: true, minLength: 1, maxLength: 200 },
+   isbn: { type: "string", maxLength: 20, check: checkIsbn, default: "" },
+   category: { type: "string", minLength: 1, maxLength: 100, default: "General" },
+   price: { type: "number", required: true, min: 0, max: 100000 },
+   discountPrice: { type: "number", nullable: true, min: 0, max: 100000, default: null },
+   description: { type: "string", maxLength: 5000, default: "" },
+   imageUrl: { type: "string", maxLength: 2000, default: "/images/default-book.jpg" },
+   stock: { type: "integer", required: true, min: 0, max: 1000000 },
+   // sub acest stoc produsul apare în raportul de reaprovizionare (null = pragul implicit)
+   reorderThreshold: { type: "integer", nullable: true, min: 0, max: 1000000, default: null },
+   // modul de vânzare (vezi utils/availability.js); precomanda cere data apariţiei, backorder data reaprovizionării
+   availability: { type: "string", oneOf: AVAILABILITY_MODES, default: "in_stock" },
+   releaseDate: { type: "date", nullable: true, default: null },
+   restockDate: { type: "date", nullable: true, default: null },
+   // bucăţile care pot fi comandate fără stoc (precomenzi sau backorder), null = nelimitat
+   backorderLimit: { type: "integer", nullable: true, min: 0, max: 1000000, default: null },
+   // greutatea cu ambalaj, în grame (pentru costul livrării)
+   weight: { type: "integer", nullable: true, min: 1, max: 100000, default: null },
+   isActive: { type: "boolean", default: true },
+   featured: { type: "boolean", default: false },
+   tags: { type: "array", items: { type: "string", minLength: 1, maxLength: 50 }, maxItems: 20, default: [] },
+   specifications: {
+      type: "object",
+      fields: {
+         pages: { type: "integer", nullable: true, min: 1, max: 100000, default: null },
+         language: { type: "string", maxLength: 50, default: "Romanian" },
+         publisher: { type: "string", maxLength: 200, default: "" },
+         year: { type: "integer", nullable: true, min: 1450, max: CURRENT_YEAR + 2, default: null },
+         format: { type: "string", maxLength: 50, default: "Paperback" },
+      },
+   },
+};
+
+// Câmpuri gestionate de server: ignorate dacă apar în cerere (ex. produsul trimis înapoi întreg de formular)
+// rating şi reviewCount se calculează din recenziile aprobate
+const READ_ONLY_FIELDS = ["id", "createdAt", "createdBy", "updatedAt", "rating", "reviewCount", "reservedStock", "availableStock", "relevance", "highlights"];
+
+const SPECIFICATION_FIELDS = Object.keys(PRODUCT_SCHEMA.specifications.fields);
+
+/**
+ * Mută câmpurile de specificaţii trimise la nivel superior (pages, publisher, year, ...)
+ * în obiectul specifications. Valorile din specifications au prioritate.
+ * @param {Object} input
+ * @returns {Object} O copie normalizată
+ */
+const liftSpecifications = (input) => {
+   const result = { ...input };
+   const lifted = {};
+   SPECIFICATION_FIELDS.forEach((field) => {
+      if (result[field] !== undefined) {
+         lifted[field] = result[field];
+         delete result[field];
+      }
+   });
+   if (Object.keys(lifted).length > 0) {
+      result.specifications = hasType(input.specifications, "object") ? { ...lifted, ...input.specifications } : input.specifications || lifted;
+   }
+   return result;
+};
+
+/**
+ * Validează datele unui produs
+ * @param {Object} input Corpul cererii
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] true pentru PUT: doar câmpurile trimise sunt validate şi returnate
+ * @param {Object} [options.current] Produsul existent, pentru regulile care combină câmpuri (preţ redus ≤ preţ, datele de livrare)
+ * @returns {{ errors: Object|null, value: Object }} Erorile per câmp (cale -> mesaj) sau null, şi valorile normalizate
+ */
+const validateProduct = (input, { partial = false, current = null } = {}) => {
+   if (!hasType(input, "object")) {
+      return { errors: { "": "Corpul cererii trebuie să fie un obiect JSON" }, value: {} };
+   }
+
+   const { errors, value } = validateSchema(liftSpecifications(input), PRODUCT_SCHEMA, { partial, ignore: READ_ONLY_FIELDS });
+
+   // Preţul redus se compară cu preţul final (cel trimis sau cel existent)
+   const price = value.price !== undefined ? value.price : current && current.price;
+   const discountPrice = value.discountPrice !== undefined ? value.discountPrice : current && current.discountPrice;
+   if (!errors.price && !errors.discountPrice && typeof price === "number" && typeof discountPrice === "number" && discountPrice > price) {
+      errors[value.discountPrice !== undefined ? "discountPrice" : "price"] = "Prețul redus nu poate fi mai mare decât prețul original";
+   }
+
+   // Precomanda şi backorder au nevoie de data estimată de livrare
+   const finalValue = (field) => (value[field] !== undefined ? value[field] : current && current[field]);
+   const availability = finalValue("availability");
+   const requiredDate = { preorder: "releaseDate", backorder: "restockDate" }[availability];
+   if (requiredDate && !errors.availability && !errors[requiredDate] && !finalValue(requiredDate)) {
+      errors[requiredDate] = availability === "preorder" ? "Data apariţiei este obligatorie pentru precomenzi" : "Data estimată a reaprovizionării este obligatorie pentru backorder";
+   }
+
+   return { errors: Object.keys(errors).length > 0 ? errors : null, value };
+};
+
+/**
+ * Aplică o actualizare parţială validată peste un produs.
+ * Specificaţiile se îmbină câmp cu câmp; cele vechi păstrate la nivel superior sunt mutate în specifications.
+ * @param {Object} product Produsul existent
+ * @param {Object} changes Valorile returnate de validateProduct(..., { partial: true })
+ * @returns {Object} Produsul actualizat (copie)
+ */
+const applyProductUpdate = (product, changes) => {
+   const { specifications: specChanges, ...fields } = changes;
+   const updated = { ...product, ...fields };
+
+   if (specChanges && Object.keys(specChanges).length > 0) {
+      const specifications = { ...(product.specifications || {}) };
+      SPECIFICATION_FIELDS.forEach((field) => {
+         if (updated[field] !== undefined) {
+            if (specifications[field] === undefined || specifications[field] === "") {
+               specifications[field] = updated[field];
+            }
+            delete updated[field];
+         }
+      });
+      updated.specifications = { ...specifications, ...specChanges };
+   }
+
+   return updated;
+};
+
+/**
+ * Aduce specificaţiile în forma canonică: câmpurile vechi de la nivel superior
+ * (pages, publisher, year, ...) trec în specifications, iar numerele salvate ca text devin numere.
+ * @param {Object} product
+ * @returns {Object} Produsul normalizat (copie)
+ */
+const nestSpecifications = (product) => {
+   const { fields } = PRODUCT_SCHEMA.specifications;
+   const result = { ...product };
+   const specifications = hasType(product.specifications, "object") ? { ...product.specifications } : {};
+
+   SPECIFICATION_FIELDS.forEach((field) => {
+      if (field in result) {
+         const current = specifications[field];
+         if (current === undefined || current === null || current === "") {
+            specifications[field] = result[field];
+         }
+         delete result[field];
+      }
+
+      // ex. pages: "200" -> 200, year: "" -> null
+      if (fields[field].type === "integer" && typeof specifications[field] === "string") {
+         const text = specifications[field].trim();
+         if (text === "") {
+            specifications[field] = null;
+         } else if (/^\d+$/.test(text)) {
+            specifications[field] = parseInt(text, 10);
+         }
+      }
+   });
+
+   result.specifications = specifications;
+   return result;
+};
+
+/**
+ * Păstrează doar etichetele text, fără spaţii la capete şi fără duplicate
+ * @param {Object} product
+ * @returns {Object} Produsul normalizat (copie)
+ */
+const cleanTags = (product) => {
+   const tags = Array.isArray(product.tags) ? product.tags : [];
+   const clean = tags.filter((tag) => typeof tag === "string").map((tag) => tag.trim()).filter(Boolean);
+   return { ...product, tags: [...new Set(clean)] };
+};
+
+/**
+ * Aduce ISBN-ul valid în forma canonică ISBN-13; ISBN-urile invalide rămân neschimbate
+ * @param {Object} product
+ * @returns {Object} Produsul normalizat (copie)
+ */
+const canonicalIsbn = (product) => {
+   const isbn = normalizeIsbn(product.isbn);
+   return isbn && isbn !== product.isbn ? { ...product, isbn } : product;
+};
+
+/**
+ * Forma canonică a unui produs, aplicată la citire pentru înregistrările încă nemigrate
+ * @param {Object} product
+ * @returns {Object}
+ */
+const normalizeProduct = (product) => canonicalIsbn(cleanTags(nestSpecifications(product)));
+
+// Coloanele fişierelor CSV de import/export; specificaţiile apar ca şi coloane proprii
+const CSV_COLUMNS = [
+   "id",
+   "isbn",
+   "title",
+   "author",
+   "category",
+   "price",
+   "discountPrice",
+   "stock",
+   "reorderThreshold",
+   "availability",
+   "releaseDate",
+   "restockDate",
+   "backorderLimit",
+   "weight",
+   "isActive",
+   "featured",
+   "rating",
+   "reviewCount",
+   "tags",
+   "description",
+   "imageUrl",
+   ...SPECIFICATION_FIELDS,
+   "createdAt",
+   "updatedAt",
+];
+
+// Separatorul etichetelor într-o celulă CSV
+const CSV_TAG_SEPARATOR = "|";
+
+const BOOLEAN_TEXT = { true: true, false: false, 1: true, 0: false, da: true, nu: false };
+
+/**
+ * Converteşte o celulă CSV după tipul câmpului; textul care nu se poate converti
+ * rămâne neschimbat, ca validarea să raporteze eroarea
+ * @param {string} text
+ * @param {Object} rule
+ * @returns {*}
+ */
+const fromCsvCell = (text, rule) => {
+   const value = text.trim();
+   switch (rule && rule.type) {
+      case "number":
+      case "integer":
+         return /^-?\d+([.,]\d+)?$/.test(value) ? Number(value.replace(",", ".")) : value;
+      case "boolean":
+         return value.toLowerCase() in BOOLEAN_TEXT ? BOOLEAN_TEXT[value.toLowerCase()] : value;
+      case "array":
+         return value
+            .split(CSV_TAG_SEPARATOR)
+            .map((item) => item.trim())
+            .filter(Boolean);
+      default:
+         return value;
+   }
+};
+
+/**
+ * Transformă un rând CSV (coloană -> text) în datele unui produs, gata de validare.
+ * Celulele goale sunt tratate ca lipsă.
+ * @param {Object} record
+ * @returns {Object}
+ */
+const productFromCsvRecord = (record) => {
+   const product = {};
+   Object.entries(record).forEach(([column, text]) => {
+      if (text.trim() === "") {
+         return;
+      }
+      const rule = PRODUCT_SCHEMA[column] || PRODUCT_SCHEMA.specifications.fields[column];
+      product[column] = fromCsvCell(text, rule);
+   });
+   return product;
+};
+
+/**
+ * Valorile unui produs în ordinea CSV_COLUMNS
+ * @param {Object} product Produs în forma canonică
+ * @returns {Array}
+ */
+const productToCsvValues = (product) =>
+   CSV_COLUMNS.map((column) => {
+      const value = SPECIFICATION_FIELDS.includes(column) ? (product.specifications || {})[column] : product[column];
+      return Array.isArray(value) ? value.join(CSV_TAG_SEPARATOR) : value;
+   });
+
+module.exports = {
+   PRODUCT_SCHEMA,
+   CSV_COLUMNS,
+   productFromCsvRecord,
+   productToCsvValues,
+   validateProduct,
+   applyProductUpdate,
+   nestSpecifications,
+   cleanTags,
+   canonicalIsbn,
+   normalizeProduct,
+};
@@ -0,0 +1,16 @@
+/**
+ * RECENZII
+ * Rating-ul unui produs nu se introduce manual: este media recenziilor aprobate, rotunjită la o zecimală.
+ */
+
+/**
+ * Rating-ul şi numărul de recenzii ale unui produs
+ * @param {Array} approved Recenziile aprobate ale produsului
+ * @returns {{ rating: number|null, reviewCount: number }} rating null pentru produsele fără recenzii
+ */
+const productRating = (approved) => ({
+   rating: approved.length > 0 ? Math.round((approved.reduce((sum, review) => sum + review.rating, 0) / approved.length) * 10) / 10 : null,
+   reviewCount: approved.length,
+});
+
+module.exports = { productRating };
@@ -0,0 +1,191 @@
+/**
+ * VALIDARE DUPĂ SCHEMĂ
+ * O schemă este un map câmp -> regulă:
+ * - type: "string" | "number" | "integer" | "boolean" | "array" | "object" | "date"
+ * - required, nullable, default
+ * - minLength/maxLength (text), min/max (numere), maxItems/items (liste), fields (obiecte), oneOf (valori permise)
+ * - check: verificare suplimentară, returnează { value } normalizat sau { error }
+ * Erorile se raportează per câmp, cu calea completă (ex. "specifications.year").
+ */
+
+const TYPE_NAMES = {
+   string: "text",
+   number: "număr",
+   integer: "număr întreg",
+   boolean: "true/false",
+   array: "listă",
+   object: "obiect",
+   date: "dată ISO 8601",
+};
+
+/**
+ * Verifică tipul unei valori
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+const hasType = (value, type) => {
+   switch (type) {
+      case "number":
+         return typeof value === "number" && Number.isFinite(value);
+      case "integer":
+         return Number.isInteger(value);
+      case "array":
+         return Array.isArray(value);
+      case "object":
+         return value !== null && typeof value === "object" && !Array.isArray(value);
+      case "date":
+         return typeof value === "string" && !isNaN(Date.parse(value));
+      default:
+         return typeof value === type;
+   }
+};
+
+/**
+ * Validează o valoare faţă de regula ei
+ * @param {*} value
+ * @param {Object} rule
+ * @returns {{ error?: string, value?: * }} Mesajul de eroare sau valoarea normalizată
+ */
+const checkValue = (value, rule) => {
+   if (value === null) {
+      return rule.nullable ? { value: null } : { error: "Valoarea nu poate fi null" };
+   }
+   if (!hasType(value, rule.type)) {
+      return { error: `Trebuie să fie ${TYPE_NAMES[rule.type]}` };
+   }
+   if (rule.oneOf && !rule.oneOf.includes(value)) {
+      return { error: `Valori permise: ${rule.oneOf.join(", ")}` };
+   }
+   if (rule.type === "date") {
+      return { value: new Date(value).toISOString() };
+   }
+
+   if (rule.type === "string") {
+      const trimmed = value.trim();
+      if (rule.minLength !== undefined && trimmed.length < rule.minLength) {
+         return { error: rule.minLength === 1 ? "Nu poate fi gol" : `Minim ${rule.minLength} caractere` };
+      }
+      if (rule.maxLength !== undefined && trimmed.length > rule.maxLength) {
+         return { error: `Maxim ${rule.maxLength} caractere` };
+      }
+      return rule.check ? rule.check(trimmed) : { value: trimmed };
+   }
+
+   if (rule.type === "number" || rule.type === "integer") {
+      if (rule.min !== undefined && value < rule.min) {
+         return { error: `Trebuie să fie cel puţin ${rule.min}` };
+      }
+      if (rule.max !== undefined && value > rule.max) {
+         return { error: `Trebuie să fie cel mult ${rule.max}` };
+      }
+   }
+
+   if (rule.type === "array") {
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+         return { error: `Maxim ${rule.maxItems} elemente` };
+      }
+      const items = [];
+      for (let i = 0; i < value.length; i++) {
+         const item = checkValue(value[i], rule.items);
+         if (item.error) {
+            return { error: `Elementul ${i}: ${item.error}` };
+         }
+         items.push(item.value);
+      }
+      return { value: items };
+   }
+
+   return { value };
+};
+
+/**
+ * Validează câmpurile unui obiect faţă de o listă de reguli
+ * @param {Object} input Datele primite
+ * @param {Object} fields Map câmp -> regulă
+ * @param {Object} options
+ * @param {boolean} options.partial true pentru actualizări parţiale (fără câmpuri obligatorii şi fără valori implicite)
+ * @param {Array<string>} options.ignore Câmpuri de nivel superior ignorate în tăcere (gestionate de server)
+ * @param {string} prefix Prefixul căii câmpului în mesajele de eroare
+ * @param {Object} errors Map cale câmp -> mesaj, completat de funcţie
+ * @returns {Object} Valorile valide
+ */
+const validateFields = (input, fields, options, prefix, errors) => {
+   const { partial, ignore } = options;
+   const value = {};
+
+   Object.keys(input).forEach((field) => {
+      if (!fields[field] && !(prefix === "" && ignore.includes(field))) {
+         errors[prefix + field] = "Câmp necunoscut";
+      }
+   });
+
+   Object.entries(fields).forEach(([field, rule]) => {
+      const path = prefix + field;
+      let raw = input[field];
+
+      // formularele trimit "" pentru câmpurile numerice lăsate goale
+      if (raw === "" && rule.type !== "string") {
+         raw = rule.nullable ? null : undefined;
+         if (raw === undefined && partial) {
+            errors[path] = "Nu poate fi gol";
+            return;
+         }
+      }
+
+      if (raw === undefined) {
+         if (partial) {
+            return;
+         }
+         if (rule.required) {
+            errors[path] = "Câmp obligatoriu";
+         } else if (rule.type === "object") {
+            value[field] = validateFields({}, rule.fields, options, `${path}.`, errors);
+         } else if (rule.default !== undefined) {
+            value[field] = Array.isArray(rule.default) ? [...rule.default] : rule.default;
+         }
+         return;
+      }
+
+      if (rule.type === "object") {
+         if (!hasType(raw, "object")) {
+            errors[path] = `Trebuie să fie ${TYPE_NAMES.object}`;
+            return;
+         }
+         value[field] = validateFields(raw, rule.fields, options, `${path}.`, errors);
+         return;
+      }
+
+      const checked = checkValue(raw, rule);
+      if (checked.error) {
+         errors[path] = checked.error;
+      } else {
+         value[field] = checked.value;
+      }
+   });
+
+   return value;
+};
+
+/**
+ * Validează datele primite faţă de o schemă
+ * @param {Object} input Corpul cererii
+ * @param {Object} fields Schema
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] true pentru actualizări: doar câmpurile trimise sunt validate şi returnate
+ * @param {Array<string>} [options.ignore] Câmpuri gestionate de server, ignorate dacă apar în cerere
+ * @returns {{ errors: Object, value: Object }} Erorile per câmp (obiect gol dacă nu există) şi valorile normalizate
+ */
+const validateSchema = (input, fields, { partial = false, ignore = [] } = {}) => {
+   if (!hasType(input, "object")) {
+      return { errors: { "": "Corpul cererii trebuie să fie un obiect JSON" }, value: {} };
+   }
+   const errors = {};
+   const value = validateFields(input, fields, { partial, ignore }, "", errors);
+   return { errors, value };
+};
+
+module.exports = {
+   hasType,
+   validateSchema,
+};
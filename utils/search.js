@@ -0,0 +1,290 @@
+/**
+ * MOTOR DE CĂUTARE PENTRU CATALOG
+ * Index în memorie peste titlu, autor, descriere, etichete, editură şi ISBN.
+ * - ignoră diacriticele (inclusiv ş/ș şi ţ/ț, cu sedilă sau virgulă)
+ * - tolerează greşeli mici de tastare (distanţă de editare 1-2)
+ * - ordonează rezultatele după relevanţă, cu ponderi pe câmpuri
+ * - marchează fragmentele găsite cu <mark>
+ */
+
+const { toIsbn13 } = require("./isbn");
+
+// Ponderile câmpurilor în scorul de relevanţă
+const FIELD_WEIGHTS = {
+   title: 5,
+   author: 4,
+   isbn: 4,
+   tags: 3,
+   publisher: 2,
+   description: 1,
+};
+
+// Scorul unui termen în funcţie de tipul potrivirii
+const MATCH_SCORES = {
+   exact: 1,
+   prefix: 0.7,
+   fuzzy: 0.4,
+};
+
+// Lungimea maximă a fragmentului returnat pentru descriere
+const FRAGMENT_LENGTH = 120;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Normalizează textul pentru căutare: litere mici, fără diacritice
+ * NFD descompune ă, â, î, ş/ș, ţ/ț în literă + semn combinat, care apoi se elimină
+ * @param {string} text
+ * @returns {string}
+ */
+const foldText = (text) =>
+   String(text || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase();
+
+/**
+ * Împarte textul în cuvinte normalizate
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const tokenize = (text) => foldText(text).match(WORD_PATTERN) || [];
+
+/**
+ * Distanţa de editare (Damerau-Levenshtein restrânsă), cu oprire când depăşeşte limita
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max Distanţa maximă de interes
+ * @returns {number} Distanţa sau max + 1 dacă este mai mare
+ */
+const editDistance = (a, b, max) => {
+   if (Math.abs(a.length - b.length) > max) {
+      return max + 1;
+   }
+
+   let previousRow = null;
+   let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+   for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+         const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+         let value = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+         // transpoziţia a două litere alăturate
+         if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+            value = Math.min(value, previousRow[j - 2] + 1);
+         }
+         current.push(value);
+         rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > max) {
+         return max + 1;
+      }
+      previousRow = row;
+      row = current;
+   }
+
+   return row[b.length];
+};
+
+/**
+ * Numărul de greşeli tolerate pentru un termen, după lungimea lui
+ * @param {string} term
+ * @returns {number}
+ */
+const allowedTypos = (term) => {
+   if (term.length >= 8) return 2;
+   if (term.length >= 4) return 1;
+   return 0;
+};
+
+/**
+ * Compară un termen din interogare cu un cuvânt din index
+ * @param {string} term Termenul căutat (normalizat)
+ * @param {string} word Cuvântul din index (normalizat)
+ * @returns {string|null} "exact", "prefix", "fuzzy" sau null
+ */
+const matchWord = (term, word) => {
+   if (word === term) return "exact";
+   if (term.length >= 2 && word.startsWith(term)) return "prefix";
+   // numerele (ani, ISBN) nu se potrivesc aproximativ
+   const typos = /^\d+$/.test(term) ? 0 : allowedTypos(term);
+   if (typos > 0 && editDistance(term, word, typos) <= typos) return "fuzzy";
+   return null;
+};
+
+/**
+ * Extrage textul câmpurilor căutabile ale unui produs
+ * @param {Object} product
+ * @returns {Object} Map câmp -> text
+ */
+const searchableFields = (product) => ({
+   title: product.title || "",
+   author: product.author || "",
+   isbn: product.isbn || "",
+   tags: (product.tags || []).filter((tag) => typeof tag === "string").join(" "),
+   publisher: product.publisher || (product.specifications && product.specifications.publisher) || "",
+   description: product.description || "",
+});
+
+/**
+ * Escapare HTML pentru fragmentele returnate
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHtml = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/**
+ * Marchează cu <mark> cuvintele potrivite din textul original
+ * @param {string} text Textul original
+ * @param {Array<string>} terms Termenii căutaţi (normalizaţi)
+ * @param {boolean} fragment true pentru a returna doar o porţiune în jurul primei potriviri
+ * @returns {string|null} Textul marcat sau null dacă nu există potriviri
+ */
+const highlight = (text, terms, fragment = false) => {
+   const matches = [];
+   for (const match of text.matchAll(WORD_PATTERN)) {
+      const word = foldText(match[0]);
+      if (terms.some((term) => matchWord(term, word))) {
+         matches.push({ start: match.index, end: match.index + match[0].length });
+      }
+   }
+   if (matches.length === 0) {
+      return null;
+   }
+
+   let from = 0;
+   let to = text.length;
+   if (fragment && text.length > FRAGMENT_LENGTH) {
+      from = Math.max(0, matches[0].start - Math.floor(FRAGMENT_LENGTH / 3));
+      to = Math.min(text.length, from + FRAGMENT_LENGTH);
+   }
+
+   let result = from > 0 ? "…" : "";
+   let cursor = from;
+   matches
+      .filter((m) => m.start >= from && m.end <= to)
+      .forEach((m) => {
+         result += escapeHtml(text.slice(cursor, m.start)) + "<mark>" + escapeHtml(text.slice(m.start, m.end)) + "</mark>";
+         cursor = m.end;
+      });
+   result += escapeHtml(text.slice(cursor, to)) + (to < text.length ? "…" : "");
+   return result;
+};
+
+/**
+ * Creează un index de căutare
+ * @returns {Object} { rebuild, upsert, remove, search, size }
+ */
+const createSearchIndex = () => {
+   // productId -> { fields: { câmp: text }, tokens: { câmp: Set<string> }, isbnDigits, isbn13 }
+   const documents = new Map();
+
+   /**
+    * Adaugă sau actualizează un produs în index
+    * @param {Object} product
+    */
+   const upsert = (product) => {
+      const fields = searchableFields(product);
+      const tokens = {};
+      Object.keys(fields).forEach((field) => {
+         tokens[field] = new Set(tokenize(fields[field]));
+      });
+      documents.set(product.id, { fields, tokens, isbnDigits: fields.isbn.replace(/[^0-9xX]/g, "").toLowerCase(), isbn13: toIsbn13(fields.isbn) });
+   };
+
+   /**
+    * Elimină un produs din index
+    * @param {number} productId
+    */
+   const remove = (productId) => {
+      documents.delete(productId);
+   };
+
+   /**
+    * Reconstruieşte indexul pentru tot catalogul
+    * @param {Array} products
+    */
+   const rebuild = (products) => {
+      documents.clear();
+      products.forEach(upsert);
+   };
+
+   /**
+    * Caută în index. Fiecare termen din interogare trebuie găsit în cel puţin un câmp.
+    * @param {string} query Textul căutat
+    * @returns {Array<{ id: number, score: number, highlights: Object }>} Rezultatele ordonate după relevanţă
+    */
+   const search = (query) => {
+      const terms = tokenize(query);
+      const queryDigits = String(query || "").replace(/[^0-9xX]/g, "").toLowerCase();
+      // un ISBN complet (10 sau 13) găseşte cartea indiferent de forma în care a fost salvat
+      const queryIsbn = toIsbn13(query);
+      if (terms.length === 0) {
+         return [];
+      }
+
+      const results = [];
+      documents.forEach((doc, id) => {
+         let score = 0;
+         const matchedFields = new Set();
+
+         // căutare directă după ISBN (cu sau fără cratime)
+         if ((queryDigits.length >= 4 && doc.isbnDigits.includes(queryDigits)) || (queryIsbn && doc.isbn13 === queryIsbn)) {
+            score += FIELD_WEIGHTS.isbn * 2;
+            matchedFields.add("isbn");
+         }
+
+         const allTermsFound = terms.every((term) => {
+            let best = 0;
+            Object.keys(FIELD_WEIGHTS).forEach((field) => {
+               let fieldBest = 0;
+               doc.tokens[field].forEach((word) => {
+                  const type = matchWord(term, word);
+                  if (type) {
+                     fieldBest = Math.max(fieldBest, MATCH_SCORES[type]);
+                  }
+               });
+               if (fieldBest > 0) {
+                  matchedFields.add(field);
+                  best += fieldBest * FIELD_WEIGHTS[field];
+               }
+            });
+            score += best;
+            return best > 0 || matchedFields.has("isbn");
+         });
+
+         if (!allTermsFound || score === 0) {
+            return;
+         }
+
+         const highlights = {};
+         matchedFields.forEach((field) => {
+            const marked = field === "isbn" ? `<mark>${escapeHtml(doc.fields.isbn)}</mark>` : highlight(doc.fields[field], terms, field === "description");
+            if (marked) {
+               highlights[field] = marked;
+            }
+         });
+
+         results.push({ id, score: Math.round(score * 100) / 100, highlights });
+      });
+
+      return results.sort((a, b) => b.score - a.score);
+   };
+
+   return {
+      rebuild,
+      upsert,
+      remove,
+      search,
+      size: () => documents.size,
+   };
+};
+
+module.exports = {
+   createSearchIndex,
+   foldText,
+   tokenize,
+   editDistance,
+};
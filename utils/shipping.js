@@ -0,0 +1,147 @@
+/**
+ * REGULI DE LIVRARE
+ * Metodele de livrare (curier, easybox, ridicare din librărie) sunt gestionate din admin.
+ * Costul = cost de bază + cost per kg peste greutatea inclusă + cost per bucată peste numărul inclus;
+ * livrarea devine gratuită peste pragul metodei, iar unele metode sunt disponibile doar în anumite judeţe.
+ */
+
+const { validateSchema } = require("./schema");
+
+// Greutatea folosită pentru produsele fără greutate în catalog (grame)
+const DEFAULT_ITEM_WEIGHT = 500;
+
+// Metoda folosită când clientul nu a ales una
+const DEFAULT_SHIPPING_METHOD = "courier";
+
+/**
+ * Codul metodei: litere mici, cifre, "-" şi "_"
+ * @param {string} value
+ * @returns {{ error?: string, value?: string }}
+ */
+const checkCode = (value) => {
+   const code = value.toLowerCase();
+   return /^[a-z0-9_-]+$/.test(code) ? { value: code } : { error: "Doar litere, cifre, - şi _" };
+};
+
+/**
+ * Câmpurile editabile ale unei metode de livrare (regulile sunt descrise în utils/schema.js)
+ * includedWeight, maxWeight: grame; regions: judeţele în care metoda este disponibilă (listă goală = toate)
+ * freeShippingThreshold: valoarea produselor (după reduceri) de la care livrarea este gratuită, null = niciodată
+ */
+const SHIPPING_METHOD_SCHEMA = {
+   code: { type: "string", required: true, minLength: 2, maxLength: 32, check: checkCode },
+   name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+   description: { type: "string", maxLength: 500, default: "" },
+   baseCost: { type: "number", required: true, min: 0, max: 10000 },
+   includedWeight: { type: "integer", min: 0, max: 1000000, default: 0 },
+   costPerExtraKg: { type: "number", min: 0, max: 10000, default: 0 },
+   includedItems: { type: "integer", min: 0, max: 10000, default: 0 },
+   costPerExtraItem: { type: "number", min: 0, max: 10000, default: 0 },
+   maxWeight: { type: "integer", nullable: true, min: 1, max: 1000000, default: null },
+   freeShippingThreshold: { type: "number", nullable: true, min: 0, max: 100000, default: null },
+   regions: { type: "array", items: { type: "string", minLength: 1, maxLength: 100 }, maxItems: 50, default: [] },
+   estimatedDays: { type: "string", maxLength: 20, default: "" },
+   isActive: { type: "boolean", default: true },
+};
+
+// Câmpuri gestionate de server: ignorate dacă apar în cerere
+const READ_ONLY_FIELDS = ["id", "createdAt", "updatedAt"];
+
+/**
+ * Validează datele unei metode de livrare
+ * @param {Object} input Corpul cererii
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] true pentru PUT: doar câmpurile trimise sunt validate şi returnate
+ * @returns {{ errors: Object|null, value: Object }} Erorile per câmp (cale -> mesaj) sau null, şi valorile normalizate
+ */
+const validateShippingMethod = (input, { partial = false } = {}) => {
+   const { errors, value } = validateSchema(input, SHIPPING_METHOD_SCHEMA, { partial, ignore: READ_ONLY_FIELDS });
+   return { errors: Object.keys(errors).length > 0 ? errors : null, value };
+};
+
+/**
+ * Numele judeţului pentru comparare: fără diacritice, spaţii la capete şi majuscule
+ * ("Bucureşti", "București" şi "bucuresti" sunt acelaşi judeţ)
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeRegion = (text) =>
+   String(text || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .trim()
+      .toLowerCase();
+
+/**
+ * Greutatea totală a liniilor din coş (grame)
+ * @param {Array} items Liniile ({ weight, quantity })
+ * @returns {number}
+ */
+const itemsWeight = (items) => items.reduce((sum, item) => sum + (item.weight || DEFAULT_ITEM_WEIGHT) * item.quantity, 0);
+
+/**
+ * Calculează costul unei metode de livrare pentru un coş
+ * @param {Object} method Metoda salvată
+ * @param {Object} context
+ * @param {Array} context.items Liniile coşului ({ weight, quantity })
+ * @param {number} context.merchandiseTotal Valoarea produselor după reducerea cuponului (RON)
+ * @param {string} [context.county] Judeţul de livrare
+ * @param {boolean} [context.freeShipping] Livrare gratuită prin cupon
+ * @returns {Object} Oferta: disponibilitate (cu motiv), cost şi cât mai lipseşte până la livrarea gratuită
+ */
+const quoteShippingMethod = (method, { items, merchandiseTotal, county, freeShipping = false }) => {
+   const quote = {
+      method: method.code,
+      name: method.name,
+      description: method.description,
+      estimatedDays: method.estimatedDays,
+      available: true,
+      reason: null,
+      cost: null,
+      freeShipping: false,
+      freeShippingThreshold: method.freeShippingThreshold,
+      amountUntilFree: null,
+   };
+
+   const regions = method.regions || [];
+   if (!method.isActive) {
+      return { ...quote, available: false, reason: "Metoda de livrare nu este activă" };
+   }
+   if (regions.length > 0 && !county) {
+      return { ...quote, available: false, reason: "Indică judeţul de livrare" };
+   }
+   if (regions.length > 0 && !regions.some((region) => normalizeRegion(region) === normalizeRegion(county))) {
+      return { ...quote, available: false, reason: `Disponibilă doar în: ${regions.join(", ")}` };
+   }
+
+   const weight = itemsWeight(items);
+   if (method.maxWeight !== null && method.maxWeight !== undefined && weight > method.maxWeight) {
+      return { ...quote, available: false, reason: `Coletul depăşeşte ${method.maxWeight / 1000} kg` };
+   }
+
+   const quantity = items.reduce((sum, item) => sum + item.quantity, 0);
+   const extraKg = Math.ceil(Math.max(0, weight - (method.includedWeight || 0)) / 1000);
+   const extraItems = Math.max(0, quantity - (method.includedItems || 0));
+   const costBani =
+      Math.round(method.baseCost * 100) + extraKg * Math.round((method.costPerExtraKg || 0) * 100) + extraItems * Math.round((method.costPerExtraItem || 0) * 100);
+
+   const threshold = method.freeShippingThreshold;
+   const aboveThreshold = threshold !== null && threshold !== undefined && merchandiseTotal >= threshold;
+   if (freeShipping || aboveThreshold || costBani === 0) {
+      return { ...quote, cost: 0, freeShipping: true };
+   }
+
+   return {
+      ...quote,
+      cost: costBani / 100,
+      amountUntilFree: threshold !== null && threshold !== undefined ? Math.round((threshold - merchandiseTotal) * 100) / 100 : null,
+   };
+};
+
+module.exports = {
+   DEFAULT_SHIPPING_METHOD,
+   SHIPPING_METHOD_SCHEMA,
+   validateShippingMethod,
+   normalizeRegion,
+   quoteShippingMethod,
+};
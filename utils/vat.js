@@ -0,0 +1,93 @@
+/**
+ * TVA
+ * Preţurile din catalog sunt brute (cu TVA inclus); TVA-ul se extrage din preţ după cota categoriei.
+ * Cărţile au cota redusă, celelalte produse (papetărie, cadouri, ...) şi transportul cota standard.
+ * Calculul se face în bani, pe grupe de cote, ca totalurile să fie exacte.
+ */
+
+// Cotele de TVA în vigoare (%)
+const VAT_RATES = {
+   standard: 21,
+   reduced: 11,
+};
+
+// Categoriile care nu sunt cărţi; orice altă categorie este o categorie de carte (cotă redusă)
+const STANDARD_RATE_CATEGORIES = ["Accesorii", "Papetărie", "Cadouri", "Jocuri", "Muzică"];
+
+/**
+ * Cota de TVA pentru categoria unui produs
+ * @param {string} category
+ * @returns {number} Procentul
+ */
+const vatRateForCategory = (category) => (STANDARD_RATE_CATEGORIES.includes(category) ? VAT_RATES.standard : VAT_RATES.reduced);
+
+/**
+ * Împarte o sumă brută în net şi TVA
+ * @param {number} grossBani Suma cu TVA, în bani
+ * @param {number} rate Cota (%)
+ * @returns {{ net: number, vat: number }} În bani
+ */
+const splitGross = (grossBani, rate) => {
+   const net = Math.round((grossBani * 100) / (100 + rate));
+   return { net, vat: grossBani - net };
+};
+
+/**
+ * Totalurile net / TVA / brut, pe cote şi în total
+ * @param {Array} lines Sume brute cu cota lor ({ gross: RON, rate: % })
+ * @returns {{ net: number, vat: number, gross: number, rates: Array }} Sumele în RON; rates: câte o grupă per cotă
+ */
+const vatBreakdown = (lines) => {
+   const groups = new Map();
+   lines.forEach(({ gross, rate }) => {
+      groups.set(rate, (groups.get(rate) || 0) + Math.round(gross * 100));
+   });
+
+   const rates = [...groups.entries()]
+      .sort(([a], [b]) => b - a)
+      .filter(([, gross]) => gross !== 0)
+      .map(([rate, gross]) => ({ rate, gross, ...splitGross(gross, rate) }));
+
+   const sum = (field) => rates.reduce((total, group) => total + group[field], 0) / 100;
+   return {
+      net: sum("net"),
+      vat: sum("vat"),
+      gross: sum("gross"),
+      rates: rates.map((group) => ({ rate: group.rate, net: group.net / 100, vat: group.vat / 100, gross: group.gross / 100 })),
+   };
+};
+
+/**
+ * Sumele brute ale liniilor de produse după reducere, cu cota fiecărei linii.
+ * Reducerea se împarte proporţional pe liniile la care se aplică (ultima linie preia restul de rotunjire).
+ * @param {Array} items Liniile ({ productId, price, quantity, şi vatRate sau category })
+ * @param {Object} [discount] { amount, productIds } - productIds: liniile eligibile (implicit toate)
+ * @returns {Array} { productId, gross, rate }
+ */
+const discountedLines = (items, discount = null) => {
+   const lines = items.map((item) => ({
+      productId: item.productId,
+      grossBani: Math.round(item.price * 100) * item.quantity,
+      rate: item.vatRate !== undefined ? item.vatRate : vatRateForCategory(item.category),
+   }));
+
+   if (discount && discount.amount > 0) {
+      const eligible = lines.filter((line) => !discount.productIds || discount.productIds.includes(line.productId));
+      const eligibleBani = eligible.reduce((sum, line) => sum + line.grossBani, 0);
+      let remaining = Math.round(discount.amount * 100);
+      eligible.forEach((line, index) => {
+         const share = index === eligible.length - 1 ? remaining : Math.round((Math.round(discount.amount * 100) * line.grossBani) / eligibleBani);
+         line.grossBani -= share;
+         remaining -= share;
+      });
+   }
+
+   return lines.map((line) => ({ productId: line.productId, gross: line.grossBani / 100, rate: line.rate }));
+};
+
+module.exports = {
+   VAT_RATES,
+   vatRateForCategory,
+   vatBreakdown,
+   discountedLines,
+};